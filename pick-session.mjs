@@ -8,7 +8,8 @@ import { parsePositiveEnvInt, sanitizeDisplayText } from "./lib/common.mjs";
 
 const NO_SESSION_BUCKET = "(no-session-id)";
 const MAX_CONTEXT_FILE_BYTES = parsePositiveEnvInt("MCP_SHARED_CONTEXT_MAX_CONTEXT_FILE_BYTES", 50 * 1024 * 1024);
-const SESSION_INDEX_VERSION = 2;
+const SESSION_INDEX_VERSION = 4;
+const HIDDEN_SESSION_STATUSES = ["done", "archived"];
 
 function expandHomePath(value) {
   if (typeof value !== "string" || !value) {
@@ -167,10 +168,15 @@ function buildSessionSummaries(entries, project, limit) {
         entry_count: 0,
         handoff_count: 0,
         latest_handoff_summary: undefined,
+        status: "open",
       };
       sessions.set(sessionId, summary);
     }
 
+    if (entry.kind === "status" && typeof entry.status === "string") {
+      summary.status = entry.status;
+    }
+
     summary.entry_count += 1;
     if (entry.kind === "handoff") summary.handoff_count += 1;
     summary.latest_file_index = fileIndex;
@@ -193,6 +199,7 @@ function buildSessionSummaries(entries, project, limit) {
   });
 
   return [...sessions.values()]
+    .filter((summary) => !HIDDEN_SESSION_STATUSES.includes(summary.status))
     .sort((a, b) => {
       const aTs = Number.isFinite(a.latest_ts_ms) ? a.latest_ts_ms : Number.NEGATIVE_INFINITY;
       const bTs = Number.isFinite(b.latest_ts_ms) ? b.latest_ts_ms : Number.NEGATIVE_INFINITY;
@@ -216,6 +223,7 @@ function buildSessionSummariesFromIndex(index, project, limit) {
         ? rawSummary.session_id.trim()
         : String(sessionIdKey || "").trim();
     if (!sessionId || sessionId === NO_SESSION_BUCKET) return;
+    if (HIDDEN_SESSION_STATUSES.includes(index?.sessions?.[sessionId]?.status)) return;
 
     const latestTs = typeof rawSummary.latest_ts === "string" ? rawSummary.latest_ts : undefined;
     const latestTsMsRaw =
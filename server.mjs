@@ -2,10 +2,18 @@ import fsSync from "node:fs";
 import fs from "node:fs/promises";
 import path from "node:path";
 import os from "node:os";
-import { randomUUID } from "node:crypto";
+import { createHash, randomUUID } from "node:crypto";
+import { AsyncLocalStorage } from "node:async_hooks";
 import { execFile } from "node:child_process";
+import http from "node:http";
+import { promisify } from "node:util";
+import { gunzip, gzip } from "node:zlib";
 import { parsePositiveEnvInt, sanitizeDisplayText } from "./lib/common.mjs";
 
+// Retirement runs under the write lock; the async forms keep the event loop free while large sessions compress.
+const gzipAsync = promisify(gzip);
+const gunzipAsync = promisify(gunzip);
+
 const SERVER_NAME = "ContextFlowMCP";
 const SERVER_VERSION = "0.1.0";
 const NO_SESSION_BUCKET = "(no-session-id)";
@@ -19,14 +27,37 @@ const CONTEXT_FILE_DISCOVERY = contextFileSelection.discovery || null;
 const SESSION_DATA_DIR = `${CONTEXT_FILE}.sessions`;
 const LOCK_FILE = `${CONTEXT_FILE}.lock`;
 const SESSION_INDEX_FILE = `${CONTEXT_FILE}.sessions-index.json`;
+const SEARCH_INDEX_FILE = `${CONTEXT_FILE}.search-index.json`;
+const CLAIMS_FILE = `${CONTEXT_FILE}.claims.json`;
+const ARTIFACTS_DIR = `${CONTEXT_FILE}.artifacts`;
+const COMPACTED_DIR = `${CONTEXT_FILE}.compacted`;
+const RETIRED_DIR = `${CONTEXT_FILE}.retired`;
 const ACTIVE_SESSION_FILE = path.resolve(
   configuredActiveSessionPath || path.join(path.dirname(CONTEXT_FILE), "active-session.txt"),
 );
 const MAX_LOCK_WAIT_MS = 5000;
 const STALE_LOCK_MS = 30000;
-const SESSION_INDEX_VERSION = 2;
+const SESSION_INDEX_VERSION = 4;
+const SEARCH_INDEX_VERSION = 1;
+const SEARCH_SNIPPET_CHARS = 160;
+const DEFAULT_CLAIM_TTL_SECONDS = 900;
+const MAX_CLAIM_TTL_SECONDS = 24 * 60 * 60;
 const DEFAULT_NEW_SESSION_PREFIX = process.env.MCP_SHARED_CONTEXT_NEW_SESSION_PREFIX || "session";
 const MAX_PROMPT_SESSIONS = 50;
+const MAX_GIT_CHANGED_FILES = 100;
+const GIT_CAPTURE_TIMEOUT_MS = 1500;
+const GIT_DIFF_TIMEOUT_MS = 5000;
+const MAX_CHANGES_SINCE_COMMITS = 100;
+const GIT_COMMIT_PATTERN = /^[0-9a-f]{7,64}$/;
+const DEFAULT_COMPACT_KEEP_RECENT = 20;
+const DIGEST_MAX_NOTES = 100;
+const DIGEST_NOTE_TEXT_CHARS = 500;
+const EXPORT_FORMATS = ["markdown", "html"];
+const IMPORT_FORMATS = ["markdown", "ndjson"];
+const DEFAULT_IMPORT_AGENT = "import";
+const ENTRY_KINDS = ["note", "handoff", "status", "step_completion", "decision", "answer", "digest"];
+const SESSION_STATUSES = ["open", "blocked", "done", "archived"];
+const DEFAULT_VISIBLE_SESSION_STATUSES = ["open", "blocked"];
 const PROMPT_NEW_SESSION = "new_session";
 const PROMPT_RESUME_BY_ID = "resume_by_id";
 const PROMPT_RESUME_PREFIX = "resume_";
@@ -38,18 +69,122 @@ const MAX_NOTE_TEXT_CHARS = parsePositiveEnvInt("MCP_SHARED_CONTEXT_MAX_NOTE_TEX
 const MAX_HANDOFF_SUMMARY_CHARS = parsePositiveEnvInt("MCP_SHARED_CONTEXT_MAX_HANDOFF_SUMMARY_CHARS", 20000);
 const MAX_ARRAY_ITEMS = parsePositiveEnvInt("MCP_SHARED_CONTEXT_MAX_ARRAY_ITEMS", 200);
 const MAX_ARRAY_ITEM_CHARS = parsePositiveEnvInt("MCP_SHARED_CONTEXT_MAX_ARRAY_ITEM_CHARS", 1000);
+const MAX_ARTIFACT_BYTES = parsePositiveEnvInt("MCP_SHARED_CONTEXT_MAX_ARTIFACT_BYTES", 5 * 1024 * 1024);
+const RETENTION_DAYS = parsePositiveEnvInt("MCP_SHARED_CONTEXT_RETENTION_DAYS", 0);
+const RETENTION_PROJECT_DAYS = parseRetentionProjectDays(process.env.MCP_SHARED_CONTEXT_RETENTION_PROJECT_DAYS);
+const RETENTION_CHECK_INTERVAL_MS = 60 * 60 * 1000;
+const WATCH_POLL_MS = parsePositiveEnvInt("MCP_SHARED_CONTEXT_WATCH_POLL_MS", 2000);
+const WATCH_DEBOUNCE_MS = 50;
+// Storage files that sit next to the sessions directory rather than inside it.
+const ROOT_WATCH_FILE_NAMES = new Set([SESSION_INDEX_FILE, SEARCH_INDEX_FILE, CLAIMS_FILE].map((file) => path.basename(file)));
+const LIST_PAGE_SIZE = parsePositiveEnvInt("MCP_SHARED_CONTEXT_LIST_PAGE_SIZE", 100);
+const HTTP_ENDPOINT_PATH = "/mcp";
+const DEFAULT_HTTP_HOST = "127.0.0.1";
+const DEFAULT_HTTP_PORT = 8765;
+const HTTP_SESSION_IDLE_MS = 60 * 60 * 1000;
+const LOOPBACK_HOSTNAMES = new Set(["localhost", "127.0.0.1", "[::1]", "::1"]);
+const LOG_LEVELS = ["debug", "info", "notice", "warning", "error", "critical", "alert", "emergency"];
+const DAY_MS = 24 * 60 * 60 * 1000;
 
 const state = {
-  initialized: false,
-  clientProtocolVersion: null,
   transportMode: null,
 };
 
+// Every connected MCP client (the stdio peer, or one per HTTP Mcp-Session-Id) gets its own protocol state.
+const clientSessions = new Set();
+
+function createClientSession(send) {
+  const session = {
+    id: randomUUID(),
+    send,
+    initialized: false,
+    clientProtocolVersion: null,
+    // uri -> last seen signature of the files backing it.
+    subscriptions: new Map(),
+    // Session ids behind resume_1..resume_N as last returned by prompts/list; null until the client lists prompts.
+    promptSessionOrder: null,
+    // resume_# -> session id as this connection last saw it; prompts/get resolves against it, not a fresh list.
+    promptSessionSnapshot: null,
+    // Minimum level for notifications/message; null until the client calls logging/setLevel.
+    logLevel: null,
+    // JSON-RPC id -> { cancelled } for requests received but not yet answered.
+    inFlight: new Map(),
+  };
+  clientSessions.add(session);
+  return session;
+}
+
+const stdioSession = createClientSession((message) => sendMessage(message));
+
+// The client session and in-flight request being handled, so diagnostics reach the connection that caused
+// them and long reads can notice cancellation.
+const requestContext = new AsyncLocalStorage();
+
+function trackInFlightRequest(session, message) {
+  if (!isObject(message) || !Object.prototype.hasOwnProperty.call(message, "id") || message.id === null) {
+    return null;
+  }
+  const request = { id: message.id, cancelled: false };
+  session.inFlight.set(message.id, request);
+  return request;
+}
+
+function cancelInFlightRequest(session, params) {
+  // MCP uses notifications/cancelled { requestId }; $/cancelRequest { id } is the LSP spelling.
+  const requestId = Object.hasOwn(params, "requestId") ? params.requestId : params.id;
+  const request = session.inFlight.get(requestId);
+  if (request) {
+    request.cancelled = true;
+  }
+}
+
+function throwIfCancelled() {
+  if (requestContext.getStore()?.request?.cancelled) {
+    throw Object.assign(new Error("Request cancelled"), { cancelled: true });
+  }
+}
+
+const storageWatch = {
+  watcher: null,
+  rootWatcher: null,
+  pollTimer: null,
+  debounceTimer: null,
+  checking: false,
+  rerun: false,
+};
+
 const sessionIndexCache = {
   fileSignature: null,
   index: null,
 };
 
+const searchIndexCache = {
+  fileSignature: null,
+  index: null,
+};
+
+const retentionState = {
+  lastRunMs: 0,
+};
+
+function parseRetentionProjectDays(raw) {
+  // "project=days,other=days"; days=0 exempts a project from the global setting.
+  const byProject = new Map();
+  if (typeof raw !== "string") {
+    return byProject;
+  }
+  raw.split(",").forEach((pair) => {
+    const separator = pair.lastIndexOf("=");
+    if (separator <= 0) return;
+    const project = pair.slice(0, separator).trim();
+    const days = Number(pair.slice(separator + 1).trim());
+    if (project && Number.isInteger(days) && days >= 0) {
+      byProject.set(project, days);
+    }
+  });
+  return byProject;
+}
+
 function expandHomePath(value) {
   if (typeof value !== "string" || !value) {
     return value;
@@ -319,6 +454,206 @@ function resolveContextFileSelection() {
   };
 }
 
+// Output schemas describe the structuredContent of tools that have a JSON result; it matches their `format: "json"` text.
+const ENTRY_SCHEMA = {
+  type: "object",
+  description: "A stored entry: id, ts, kind, project, agent, session_id plus kind-specific fields.",
+  properties: {
+    id: { type: "string" },
+    ts: { type: "string" },
+    kind: { type: "string" },
+    project: { type: "string" },
+    agent: { type: "string" },
+    session_id: { type: "string" },
+  },
+};
+const ENTRY_LIST_SCHEMA = { type: "array", items: ENTRY_SCHEMA };
+const PARSE_ERRORS_SCHEMA = { type: "array", items: { type: "object" } };
+const NEXT_CURSOR_SCHEMA = { type: ["string", "null"], description: "Pass back as `cursor` for the next page; null when done." };
+const SESSION_SUMMARY_SCHEMA = {
+  type: "object",
+  properties: {
+    session_id: { type: "string" },
+    project: { type: "string" },
+    entry_count: { type: "integer" },
+    handoff_count: { type: "integer" },
+    latest_ts: { type: ["string", "null"] },
+    agents: { type: "array", items: { type: "string" } },
+    status: { type: "string" },
+    claim: { type: "object" },
+  },
+  required: ["session_id"],
+};
+const CHECKLIST_SCHEMA = {
+  type: "array",
+  items: {
+    type: "object",
+    properties: { id: { type: "string" }, text: { type: "string" }, done: { type: "boolean" } },
+  },
+};
+const QUESTION_LIST_SCHEMA = {
+  type: "array",
+  items: {
+    type: "object",
+    properties: { id: { type: "string" }, text: { type: "string" }, answered: { type: "boolean" }, session_id: { type: "string" } },
+  },
+};
+
+const READ_SHARED_CONTEXT_OUTPUT_SCHEMA = {
+  type: "object",
+  properties: {
+    file: { type: "string" },
+    indexFile: { type: "string" },
+    filters: { type: "object" },
+    count: { type: "integer" },
+    parseErrors: PARSE_ERRORS_SCHEMA,
+    entries: ENTRY_LIST_SCHEMA,
+    next_cursor: NEXT_CURSOR_SCHEMA,
+  },
+  required: ["file", "count", "entries", "next_cursor"],
+};
+const LATEST_HANDOFF_OUTPUT_SCHEMA = {
+  type: "object",
+  properties: {
+    file: { type: "string" },
+    indexFile: { type: "string" },
+    parseErrors: PARSE_ERRORS_SCHEMA,
+    handoff: { anyOf: [ENTRY_SCHEMA, { type: "null" }] },
+    checklist: CHECKLIST_SCHEMA,
+    questions: QUESTION_LIST_SCHEMA,
+  },
+  required: ["file", "handoff"],
+};
+const LIST_SESSIONS_OUTPUT_SCHEMA = {
+  type: "object",
+  properties: {
+    file: { type: "string" },
+    project: { type: "string" },
+    filters: { type: "object" },
+    count: { type: "integer" },
+    parseErrors: PARSE_ERRORS_SCHEMA,
+    sessions: { type: "array", items: SESSION_SUMMARY_SCHEMA },
+    next_cursor: NEXT_CURSOR_SCHEMA,
+  },
+  required: ["file", "project", "count", "sessions", "next_cursor"],
+};
+const CHOOSE_SESSION_OUTPUT_SCHEMA = {
+  type: "object",
+  properties: {
+    file: { type: "string" },
+    project: { type: "string" },
+    parseErrors: PARSE_ERRORS_SCHEMA,
+    selected_session: SESSION_SUMMARY_SCHEMA,
+    choice: { type: "object" },
+    resume_tool: { type: "string" },
+    resume_args: { type: "object" },
+  },
+  required: ["file", "project", "selected_session", "resume_tool", "resume_args"],
+};
+const RESUME_SESSION_OUTPUT_SCHEMA = {
+  type: "object",
+  properties: {
+    file: { type: "string" },
+    indexFile: { type: "string" },
+    project: { type: "string" },
+    session_id: { type: "string" },
+    parseErrors: PARSE_ERRORS_SCHEMA,
+    summary: { anyOf: [SESSION_SUMMARY_SCHEMA, { type: "null" }] },
+    latest_handoff: { anyOf: [ENTRY_SCHEMA, { type: "null" }] },
+    checklist: CHECKLIST_SCHEMA,
+    open_questions: QUESTION_LIST_SCHEMA,
+    lineage: { type: "array", items: { type: "object" } },
+    artifacts: { type: "array", items: { type: "object" } },
+    entries: ENTRY_LIST_SCHEMA,
+  },
+  required: ["file", "project", "session_id", "entries"],
+};
+const SEARCH_OUTPUT_SCHEMA = {
+  type: "object",
+  properties: {
+    file: { type: "string" },
+    indexFile: { type: "string" },
+    query: { type: "string" },
+    filters: { type: "object" },
+    count: { type: "integer" },
+    parseErrors: PARSE_ERRORS_SCHEMA,
+    results: {
+      type: "array",
+      items: {
+        type: "object",
+        properties: {
+          score: { type: "number" },
+          session_id: { type: "string" },
+          entry_id: { type: ["string", "null"] },
+          snippet: { type: "string" },
+        },
+      },
+    },
+  },
+  required: ["file", "query", "count", "results"],
+};
+const OPEN_QUESTIONS_OUTPUT_SCHEMA = {
+  type: "object",
+  properties: {
+    file: { type: "string" },
+    project: { type: "string" },
+    filters: { type: "object" },
+    count: { type: "integer" },
+    parseErrors: PARSE_ERRORS_SCHEMA,
+    questions: QUESTION_LIST_SCHEMA,
+  },
+  required: ["file", "project", "count", "questions"],
+};
+const CHANGES_SINCE_HANDOFF_OUTPUT_SCHEMA = {
+  type: "object",
+  properties: {
+    session_id: { type: "string" },
+    handoff_id: { type: "string" },
+    handoff_ts: { type: "string" },
+    base_commit: { type: "string" },
+    base_branch: { type: ["string", "null"] },
+    head: { type: ["string", "null"] },
+    branch: { type: ["string", "null"] },
+    commits: { type: "array", items: { type: "object" } },
+    commits_truncated: { type: "boolean" },
+    files: { type: "array", items: { type: "object" } },
+    untracked: { type: "array", items: { type: "string" } },
+    incomplete: { type: "array", items: { type: "string", enum: ["commits", "files", "untracked"] } },
+    totals: { type: "object" },
+  },
+  required: ["session_id", "base_commit", "commits", "files"],
+};
+const LIST_DECISIONS_OUTPUT_SCHEMA = {
+  type: "object",
+  properties: {
+    file: { type: "string" },
+    filters: { type: "object" },
+    count: { type: "integer" },
+    parseErrors: PARSE_ERRORS_SCHEMA,
+    decisions: ENTRY_LIST_SCHEMA,
+  },
+  required: ["file", "count", "decisions"],
+};
+const LIST_TAGS_OUTPUT_SCHEMA = {
+  type: "object",
+  properties: {
+    file: { type: "string" },
+    project: { type: "string" },
+    filters: { type: "object" },
+    count: { type: "integer" },
+    parseErrors: PARSE_ERRORS_SCHEMA,
+    tags: {
+      type: "array",
+      items: {
+        type: "object",
+        properties: { tag: { type: "string" }, count: { type: "integer" }, sessions: { type: "integer" } },
+      },
+    },
+    sessions: { type: "array", items: { type: "object" } },
+  },
+  required: ["file", "project", "count", "tags"],
+};
+
 const tools = [
   {
     name: "read_shared_context",
@@ -330,14 +665,28 @@ const tools = [
         project: { type: "string", description: "Project key. Defaults to MCP_SHARED_CONTEXT_PROJECT or 'shared'." },
         agent: { type: "string", description: "Optional filter by agent name (e.g. claude, codex, gemini)." },
         session_id: { type: "string", description: "Optional filter by session/task thread id." },
-        kind: { type: "string", enum: ["note", "handoff"], description: "Optional filter by entry type." },
+        kind: { type: "string", enum: ENTRY_KINDS, description: "Optional filter by entry type." },
         since: { type: "string", description: "Optional ISO-8601 timestamp. Only entries at/after this time are returned." },
+        tags: {
+          type: "array",
+          items: { type: "string" },
+          description: "Optional filter: only include entries carrying all of these tags.",
+        },
+        any_tags: {
+          type: "array",
+          items: { type: "string" },
+          description: "Optional filter: only include entries carrying at least one of these tags.",
+        },
         limit: {
           type: "integer",
           minimum: 1,
           maximum: 200,
           description: "How many recent entries to return. Default 20.",
         },
+        cursor: {
+          type: "string",
+          description: "Opaque cursor from a previous call's next_cursor; returns the page of entries just before it.",
+        },
         format: {
           type: "string",
           enum: ["text", "json"],
@@ -346,9 +695,11 @@ const tools = [
       },
       additionalProperties: false,
     },
+    outputSchema: READ_SHARED_CONTEXT_OUTPUT_SCHEMA,
   },
   {
     name: "append_shared_note",
+    mutates: true,
     description: "Append a progress note to the shared context file while you are working.",
     inputSchema: {
       type: "object",
@@ -374,6 +725,7 @@ const tools = [
   },
   {
     name: "write_shared_handoff",
+    mutates: true,
     description: "Write a structured handoff entry so another assistant can continue where you left off.",
     inputSchema: {
       type: "object",
@@ -416,6 +768,7 @@ const tools = [
       },
       additionalProperties: false,
     },
+    outputSchema: LATEST_HANDOFF_OUTPUT_SCHEMA,
   },
   {
     name: "list_sessions",
@@ -427,16 +780,35 @@ const tools = [
         project: { type: "string", description: "Project key filter. Defaults to MCP_SHARED_CONTEXT_PROJECT/'shared'." },
         agent: { type: "string", description: "Optional filter: include only sessions with entries by this agent." },
         since: { type: "string", description: "Optional ISO-8601 timestamp. Only include sessions active at/after this time." },
+        tags: {
+          type: "array",
+          items: { type: "string" },
+          description: "Optional filter: only include sessions carrying all of these tags.",
+        },
+        any_tags: {
+          type: "array",
+          items: { type: "string" },
+          description: "Optional filter: only include sessions carrying at least one of these tags.",
+        },
         limit: {
           type: "integer",
           minimum: 1,
           maximum: 200,
           description: "Max sessions to return, newest first. Default 20.",
         },
+        cursor: {
+          type: "string",
+          description: "Opaque cursor from a previous call's next_cursor; returns the next page of older sessions.",
+        },
         include_unsessioned: {
           type: "boolean",
           description: "Include entries with no session_id grouped under a synthetic '(no-session-id)' bucket. Default false.",
         },
+        status: {
+          type: "array",
+          items: { type: "string", enum: SESSION_STATUSES },
+          description: "Optional filter by session status. Default: open and blocked (done/archived are hidden).",
+        },
         format: {
           type: "string",
           enum: ["text", "json"],
@@ -445,6 +817,7 @@ const tools = [
       },
       additionalProperties: false,
     },
+    outputSchema: LIST_SESSIONS_OUTPUT_SCHEMA,
   },
   {
     name: "choose_session",
@@ -463,6 +836,16 @@ const tools = [
         project: { type: "string", description: "Project key filter. Defaults to MCP_SHARED_CONTEXT_PROJECT/'shared'." },
         agent: { type: "string", description: "Optional filter: include only sessions with entries by this agent." },
         since: { type: "string", description: "Optional ISO-8601 timestamp. Only choose from sessions active at/after this time." },
+        tags: {
+          type: "array",
+          items: { type: "string" },
+          description: "Optional filter: only include sessions carrying all of these tags.",
+        },
+        any_tags: {
+          type: "array",
+          items: { type: "string" },
+          description: "Optional filter: only include sessions carrying at least one of these tags.",
+        },
         limit: {
           type: "integer",
           minimum: 1,
@@ -473,6 +856,11 @@ const tools = [
           type: "boolean",
           description: "Include the synthetic no-session bucket in the candidate list. Default false.",
         },
+        status: {
+          type: "array",
+          items: { type: "string", enum: SESSION_STATUSES },
+          description: "Optional filter by session status. Default: open and blocked (done/archived are hidden).",
+        },
         format: {
           type: "string",
           enum: ["text", "json"],
@@ -481,6 +869,7 @@ const tools = [
       },
       additionalProperties: false,
     },
+    outputSchema: CHOOSE_SESSION_OUTPUT_SCHEMA,
   },
   {
     name: "resume_session",
@@ -505,1302 +894,4950 @@ const tools = [
       },
       additionalProperties: false,
     },
+    outputSchema: RESUME_SESSION_OUTPUT_SCHEMA,
   },
-];
-
-function logErr(message, error) {
-  const line = error ? `${message}: ${error?.stack || error}` : message;
-  process.stderr.write(`${line}\n`);
-}
-
-function jsonRpcResult(id, result) {
-  return { jsonrpc: "2.0", id, result };
-}
-
-function jsonRpcError(id, code, message, data) {
-  const error = data === undefined ? { code, message } : { code, message, data };
-  return { jsonrpc: "2.0", id: id ?? null, error };
-}
-
-function sendMessage(message) {
-  if (state.transportMode === "line") {
-    process.stdout.write(`${JSON.stringify(message)}\n`);
-    return;
-  }
-  const payload = Buffer.from(JSON.stringify(message), "utf8");
-  const header = Buffer.from(
-    `Content-Length: ${payload.length}\r\nContent-Type: application/json; charset=utf-8\r\n\r\n`,
-    "utf8",
-  );
-  process.stdout.write(header);
-  process.stdout.write(payload);
-}
-
-function sendResult(id, result) {
-  sendMessage(jsonRpcResult(id, result));
-}
-
-function sendError(id, code, message, data) {
-  sendMessage(jsonRpcError(id, code, message, data));
-}
-
-function isObject(value) {
-  return value !== null && typeof value === "object" && !Array.isArray(value);
-}
-
-function asString(value, name, { required = false, trim = true } = {}) {
-  if (value === undefined || value === null) {
-    if (required) {
-      throw new Error(`Missing required string: ${name}`);
-    }
-    return undefined;
-  }
-  if (typeof value !== "string") {
-    throw new Error(`Expected string for ${name}`);
-  }
-  const out = trim ? value.trim() : value;
-  if (required && out.length === 0) {
-    throw new Error(`String cannot be empty: ${name}`);
-  }
-  return out;
-}
-
-function asStringArray(value, name) {
-  if (value === undefined || value === null) {
-    return undefined;
-  }
-  if (!Array.isArray(value)) {
-    throw new Error(`Expected array of strings for ${name}`);
-  }
-  const out = value.map((item, index) => {
-    if (typeof item !== "string") {
-      throw new Error(`Expected string at ${name}[${index}]`);
-    }
-    const trimmed = item.trim();
-    if (!trimmed) {
-      throw new Error(`Empty string not allowed at ${name}[${index}]`);
-    }
-    return trimmed;
-  });
-  return out;
-}
-
-function enforceStringMaxLength(value, name, maxChars) {
-  if (value === undefined) {
-    return undefined;
-  }
-  if (value.length > maxChars) {
-    throw new Error(`${name} exceeds max length (${maxChars} chars)`);
-  }
-  return value;
-}
-
-function enforceStringArrayLimits(values, name, { maxItems = MAX_ARRAY_ITEMS, maxItemChars = MAX_ARRAY_ITEM_CHARS } = {}) {
-  if (values === undefined) {
-    return undefined;
-  }
-  if (values.length > maxItems) {
-    throw new Error(`${name} exceeds max items (${maxItems})`);
-  }
-  values.forEach((item, index) => {
-    if (item.length > maxItemChars) {
-      throw new Error(`${name}[${index}] exceeds max length (${maxItemChars} chars)`);
-    }
-  });
-  return values;
-}
-
-function resolveNoteTextInput(args) {
-  const text = asString(args.text, "text", { trim: false });
-  const content = asString(args.content, "content", { trim: false });
-  const candidate = (typeof text === "string" && text.length > 0 ? text : undefined)
-    ?? (typeof content === "string" && content.length > 0 ? content : undefined);
-  if (!candidate) {
-    throw new Error("Missing required string: text (or content)");
-  }
-  return candidate;
-}
-
-function asPositiveInt(value, name, fallback, min = 1, max = 200) {
-  if (value === undefined || value === null) {
-    return fallback;
-  }
-  if (!Number.isInteger(value)) {
-    throw new Error(`Expected integer for ${name}`);
-  }
-  if (value < min || value > max) {
-    throw new Error(`${name} must be between ${min} and ${max}`);
-  }
-  return value;
-}
-
-function asIsoDateOrUndefined(value, name) {
-  const text = asString(value, name);
-  if (!text) {
-    return undefined;
-  }
-  const ms = Date.parse(text);
-  if (Number.isNaN(ms)) {
-    throw new Error(`Invalid date for ${name}; expected ISO-8601`);
-  }
-  return new Date(ms).toISOString();
-}
-
-function normalizeProject(project) {
-  return project?.trim() || DEFAULT_PROJECT;
-}
-
-function normalizeFormat(value) {
-  const fmt = (value ?? "text");
-  if (fmt !== "text" && fmt !== "json") {
-    throw new Error("format must be 'text' or 'json'");
-  }
-  return fmt;
-}
-
-function normalizeSessionId(value) {
-  if (value === undefined || value === null) {
-    return undefined;
-  }
-  if (typeof value !== "string") {
-    throw new Error("Expected string for session_id");
-  }
-  const out = value.trim();
-  return out || undefined;
-}
+  {
+    name: "search_shared_context",
+    description:
+      "Full-text search over notes and handoffs in every session. Returns ranked hits with session_id, entry id and a highlighted snippet.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        query: {
+          type: "string",
+          description: "Keywords to search for. Wrap a phrase in double quotes to require it verbatim.",
+        },
+        project: { type: "string", description: "Project key filter. Defaults to MCP_SHARED_CONTEXT_PROJECT/'shared'." },
+        agent: { type: "string", description: "Optional filter by agent name." },
+        session_id: { type: "string", description: "Optional filter by session/task thread id." },
+        kind: { type: "string", enum: ENTRY_KINDS, description: "Optional filter by entry type." },
+        limit: {
+          type: "integer",
+          minimum: 1,
+          maximum: 200,
+          description: "Max hits to return, best first. Default 10.",
+        },
+        format: {
+          type: "string",
+          enum: ["text", "json"],
+          description: "Return text (default) or JSON.",
+        },
+      },
+      required: ["query"],
+      additionalProperties: false,
+    },
+    outputSchema: SEARCH_OUTPUT_SCHEMA,
+  },
+  {
+    name: "set_session_status",
+    mutates: true,
+    description:
+      "Mark a session as open, blocked, done or archived. Done and archived sessions are hidden from list_sessions, choose_session and resume_# prompts by default.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        agent: { type: "string", description: "Agent changing the status." },
+        status: { type: "string", enum: SESSION_STATUSES, description: "New session status." },
+        reason: { type: "string", description: "Optional short reason (e.g. what blocks the session)." },
+        session_id: { type: "string", description: "Session to update. Defaults to the active session." },
+        project: { type: "string", description: "Project key. Defaults to MCP_SHARED_CONTEXT_PROJECT or 'shared'." },
+      },
+      required: ["agent", "status"],
+      additionalProperties: false,
+    },
+  },
+  {
+    name: "rename_session",
+    mutates: true,
+    description:
+      "Rename a session_id (for example after a Git branch rename). Rewrites the session file, updates the index and repoints the active session.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        session_id: { type: "string", description: "Current session_id. Defaults to the active session." },
+        new_session_id: { type: "string", description: "New session_id. Must not exist yet (use merge_sessions otherwise)." },
+      },
+      required: ["new_session_id"],
+      additionalProperties: false,
+    },
+  },
+  {
+    name: "merge_sessions",
+    mutates: true,
+    description:
+      "Merge one or more sessions into a target session. Entries are combined in timestamp order and the source sessions are removed.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        source_session_ids: {
+          type: "array",
+          items: { type: "string" },
+          description: "Sessions to merge into the target. They are removed afterwards.",
+        },
+        target_session_id: { type: "string", description: "Session that receives the merged entries." },
+      },
+      required: ["source_session_ids", "target_session_id"],
+      additionalProperties: false,
+    },
+  },
+  {
+    name: "fork_session",
+    mutates: true,
+    description:
+      "Start a new session from an existing one, at a given entry or at its latest handoff, so an alternative approach can proceed while the original continues.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        agent: { type: "string", description: "Agent creating the fork." },
+        session_id: { type: "string", description: "Session to fork from. Defaults to the active session." },
+        entry_id: { type: "string", description: "Entry to fork at. Defaults to the session's latest handoff." },
+        new_session_id: { type: "string", description: "session_id for the fork. Generated from the source id when omitted." },
+        summary: {
+          type: "string",
+          description: "Optional summary for the fork's seed handoff (e.g. the alternative being tried). Defaults to the fork point's content.",
+        },
+        task: { type: "string", description: "Optional task title for the fork. Defaults to the source task." },
+        project: { type: "string", description: "Project key. Defaults to the fork point's project." },
+        activate: { type: "boolean", description: "Make the fork the active session. Default true." },
+      },
+      required: ["agent"],
+      additionalProperties: false,
+    },
+  },
+  {
+    name: "complete_step",
+    mutates: true,
+    description:
+      "Mark a handoff next step as done by its step id. resume_session and get_latest_handoff show the steps as a checklist.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        agent: { type: "string", description: "Agent that finished the step." },
+        step_id: { type: "string", description: "Step id as shown in the handoff checklist (e.g. 3f2a9c1b-2)." },
+        note: { type: "string", description: "Optional note about how the step was completed." },
+        session_id: { type: "string", description: "Session holding the handoff. Defaults to the active session." },
+        project: { type: "string", description: "Project key. Defaults to the handoff's project." },
+      },
+      required: ["agent", "step_id"],
+      additionalProperties: false,
+    },
+  },
+  {
+    name: "answer_question",
+    mutates: true,
+    description:
+      "Answer a handoff open question by its question id. Answered questions drop out of resume_session and list_open_questions.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        agent: { type: "string", description: "Agent answering the question." },
+        question_id: { type: "string", description: "Question id as shown in the handoff (e.g. 3f2a9c1b-q1)." },
+        answer: { type: "string", description: "The answer." },
+        session_id: { type: "string", description: "Session holding the handoff. Defaults to the active session." },
+        project: { type: "string", description: "Project key. Defaults to the handoff's project." },
+      },
+      required: ["agent", "question_id", "answer"],
+      additionalProperties: false,
+    },
+  },
+  {
+    name: "list_open_questions",
+    description: "List unanswered questions from the latest handoff of every session in a project.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        project: { type: "string", description: "Project key. Defaults to MCP_SHARED_CONTEXT_PROJECT or 'shared'." },
+        session_id: { type: "string", description: "Optional filter: only this session." },
+        format: {
+          type: "string",
+          enum: ["text", "json"],
+          description: "Return text (default) or JSON.",
+        },
+      },
+      additionalProperties: false,
+    },
+    outputSchema: OPEN_QUESTIONS_OUTPUT_SCHEMA,
+  },
+  {
+    name: "export_session",
+    description:
+      "Render a whole session as Markdown or standalone HTML: summary header, handoffs with their checklists, and a chronological timeline. Handy for pasting into PRs and issues.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        session_id: { type: "string", description: "Session to export. Defaults to the active session." },
+        project: { type: "string", description: "Project key. Defaults to MCP_SHARED_CONTEXT_PROJECT or 'shared'." },
+        format: { type: "string", enum: EXPORT_FORMATS, description: "Output format. Default markdown." },
+      },
+      additionalProperties: false,
+    },
+  },
+  {
+    name: "import_session",
+    mutates: true,
+    description:
+      "Import existing handoff documents: Markdown with Summary / Next steps / Open questions / Files headings becomes handoff entries, and NDJSON exported from another ContextFlow root is appended with duplicates (same entry id) skipped.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        agent: { type: "string", description: "Agent recorded on Markdown imports. NDJSON entries keep their own agent." },
+        content: { type: "string", description: "Markdown or NDJSON text. To import a file, use `node server.mjs import <file>`." },
+        format: { type: "string", enum: IMPORT_FORMATS, description: "Input format. Detected from the content when omitted." },
+        session_id: {
+          type: "string",
+          description: "Target session. Markdown defaults to the active session; NDJSON keeps each entry's session unless set.",
+        },
+        project: { type: "string", description: "Project key. Markdown defaults to MCP_SHARED_CONTEXT_PROJECT; NDJSON keeps each entry's project unless set." },
+        task: { type: "string", description: "Optional task title for Markdown handoffs." },
+      },
+      required: ["agent", "content"],
+      additionalProperties: false,
+    },
+  },
+  {
+    name: "restore_session",
+    mutates: true,
+    description: "Bring a session retired by the retention policy back into the sessions directory and index.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        agent: { type: "string", description: "Agent restoring the session." },
+        session_id: { type: "string", description: "Retired session to restore." },
+      },
+      required: ["agent", "session_id"],
+      additionalProperties: false,
+    },
+  },
+  {
+    name: "compact_session",
+    mutates: true,
+    description:
+      "Roll a long session's older entries into one digest entry (handoffs, decisions, shortened notes, open questions, files, tags). The original lines move to an archive file; the latest handoff and the most recent entries stay as they are.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        agent: { type: "string", description: "Agent running the compaction." },
+        session_id: { type: "string", description: "Session to compact. Defaults to the active session." },
+        keep_recent: {
+          type: "integer",
+          minimum: 1,
+          maximum: 1000,
+          description: `How many of the most recent entries to keep verbatim. Default ${DEFAULT_COMPACT_KEEP_RECENT}. The latest handoff and later entries are always kept.`,
+        },
+      },
+      required: ["agent"],
+      additionalProperties: false,
+    },
+  },
+  {
+    name: "changes_since_handoff",
+    description:
+      "Compare the commit recorded on a session's latest handoff with the current working tree: commits in between plus changed files with diff stats.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        session_id: { type: "string", description: "Session to inspect. Defaults to the active session." },
+        project: { type: "string", description: "Project key. Defaults to MCP_SHARED_CONTEXT_PROJECT or 'shared'." },
+        format: {
+          type: "string",
+          enum: ["text", "json"],
+          description: "Return text (default) or JSON.",
+        },
+      },
+      additionalProperties: false,
+    },
+    outputSchema: CHANGES_SINCE_HANDOFF_OUTPUT_SCHEMA,
+  },
+  {
+    name: "attach_artifact",
+    mutates: true,
+    description:
+      "Store a log, diff or other blob in the content-addressed artifact store and append a note that points to it by hash. Read it back via shared-context://artifact/{hash}.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        agent: { type: "string", description: "Agent attaching the artifact." },
+        content: { type: "string", description: "Artifact content (UTF-8 text, or base64 when encoding=base64)." },
+        encoding: { type: "string", enum: ["utf8", "base64"], description: "Encoding of `content`. Default utf8; base64 may be standard or base64url, padded or not." },
+        name: { type: "string", description: "Optional display name (e.g. test-output.log, fix.diff)." },
+        mime_type: { type: "string", description: "Optional MIME type. Defaults to text/plain for utf8 and application/octet-stream for base64." },
+        text: { type: "string", description: "Optional note text describing the artifact." },
+        project: { type: "string", description: "Project key. Defaults to MCP_SHARED_CONTEXT_PROJECT or 'shared'." },
+        session_id: { type: "string", description: "Optional session/thread/task id. Defaults to the active session." },
+        task: { type: "string", description: "Optional current task title." },
+        tags: {
+          type: "array",
+          items: { type: "string" },
+          description: "Optional tags for filtering later.",
+        },
+      },
+      required: ["agent", "content"],
+      additionalProperties: false,
+    },
+  },
+  {
+    name: "record_decision",
+    mutates: true,
+    description:
+      "Record a settled decision with its rationale and the alternatives that were rejected, so later agents do not re-argue it.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        agent: { type: "string", description: "Agent recording the decision." },
+        decision: { type: "string", description: "What was decided." },
+        rationale: { type: "string", description: "Why this option was chosen." },
+        alternatives: {
+          type: "array",
+          items: { type: "string" },
+          description: "Alternatives that were considered and rejected.",
+        },
+        files: {
+          type: "array",
+          items: { type: "string" },
+          description: "Files or paths the decision affects.",
+        },
+        tags: {
+          type: "array",
+          items: { type: "string" },
+          description: "Optional tags for filtering later.",
+        },
+        project: { type: "string", description: "Project key. Defaults to MCP_SHARED_CONTEXT_PROJECT or 'shared'." },
+        session_id: { type: "string", description: "Optional session/thread/task id. Defaults to the active session." },
+        task: { type: "string", description: "Optional task title." },
+      },
+      required: ["agent", "decision"],
+      additionalProperties: false,
+    },
+  },
+  {
+    name: "list_decisions",
+    description: "List recorded decisions across sessions, optionally filtered by session, agent, affected file, tags or time.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        project: { type: "string", description: "Project key. Defaults to MCP_SHARED_CONTEXT_PROJECT or 'shared'." },
+        session_id: { type: "string", description: "Optional filter by session. Omit to search every session." },
+        agent: { type: "string", description: "Optional filter by agent name." },
+        file: { type: "string", description: "Optional filter: only decisions whose files include this path (substring match)." },
+        tags: {
+          type: "array",
+          items: { type: "string" },
+          description: "Optional filter: only include decisions carrying all of these tags.",
+        },
+        since: { type: "string", description: "Optional ISO-8601 timestamp. Only decisions at/after this time are returned." },
+        limit: {
+          type: "integer",
+          minimum: 1,
+          maximum: 200,
+          description: "How many recent decisions to return. Default 20.",
+        },
+        format: {
+          type: "string",
+          enum: ["text", "json"],
+          description: "Return text (default) or JSON.",
+        },
+      },
+      additionalProperties: false,
+    },
+    outputSchema: LIST_DECISIONS_OUTPUT_SCHEMA,
+  },
+  {
+    name: "claim_session",
+    mutates: true,
+    description:
+      "Take an advisory, time-limited lease on a session so other agents know it is being worked on. Claiming again as the same agent renews the lease.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        agent: { type: "string", description: "Agent taking the claim." },
+        session_id: { type: "string", description: "Session to claim. Defaults to the active session." },
+        ttl_seconds: {
+          type: "integer",
+          minimum: 1,
+          maximum: MAX_CLAIM_TTL_SECONDS,
+          description: `Lease length in seconds. Default ${DEFAULT_CLAIM_TTL_SECONDS}.`,
+        },
+      },
+      required: ["agent"],
+      additionalProperties: false,
+    },
+  },
+  {
+    name: "release_session",
+    mutates: true,
+    description: "Release a session claim so other agents can pick the session up.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        agent: { type: "string", description: "Agent releasing the claim." },
+        session_id: { type: "string", description: "Session to release. Defaults to the active session." },
+        force: { type: "boolean", description: "Release even when another agent holds the claim. Default false." },
+      },
+      required: ["agent"],
+      additionalProperties: false,
+    },
+  },
+  {
+    name: "list_tags",
+    description: "List the tags used on notes, with counts for the project and for each session.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        project: { type: "string", description: "Project key filter. Defaults to MCP_SHARED_CONTEXT_PROJECT/'shared'." },
+        session_id: { type: "string", description: "Optional filter: only count tags in this session." },
+        format: {
+          type: "string",
+          enum: ["text", "json"],
+          description: "Return text (default) or JSON.",
+        },
+      },
+      additionalProperties: false,
+    },
+    outputSchema: LIST_TAGS_OUTPUT_SCHEMA,
+  },
+];
+
+// Tools marked `mutates` change storage; only these schedule a subscription/prompt-list check when they return.
+const WRITE_TOOL_NAMES = new Set(tools.filter((tool) => tool.mutates).map((tool) => tool.name));
+// `mutates` is internal bookkeeping, not part of the MCP tool schema.
+const LISTED_TOOLS = tools.map(({ mutates, ...tool }) => tool);
+
+function logErr(message, error) {
+  const line = error ? `${message}: ${error?.stack || error}` : message;
+  process.stderr.write(`${line}\n`);
+}
+
+function emitLog(level, logger, data) {
+  // Inside a request only its own client hears it; background work reaches only clients that called logging/setLevel.
+  const current = requestContext.getStore()?.session;
+  const targets = current ? [current] : clientSessions;
+  for (const session of targets) {
+    if (session.initialized && session.logLevel && LOG_LEVELS.indexOf(level) >= LOG_LEVELS.indexOf(session.logLevel)) {
+      sendNotification(session, "notifications/message", { level, logger, data });
+    }
+  }
+}
+
+function jsonRpcResult(id, result) {
+  return { jsonrpc: "2.0", id, result };
+}
+
+function jsonRpcError(id, code, message, data) {
+  const error = data === undefined ? { code, message } : { code, message, data };
+  return { jsonrpc: "2.0", id: id ?? null, error };
+}
+
+function sendMessage(message) {
+  if (state.transportMode === "line") {
+    process.stdout.write(`${JSON.stringify(message)}\n`);
+    return;
+  }
+  const payload = Buffer.from(JSON.stringify(message), "utf8");
+  const header = Buffer.from(
+    `Content-Length: ${payload.length}\r\nContent-Type: application/json; charset=utf-8\r\n\r\n`,
+    "utf8",
+  );
+  process.stdout.write(header);
+  process.stdout.write(payload);
+}
+
+function sendResult(id, result) {
+  sendMessage(jsonRpcResult(id, result));
+}
+
+function sendError(id, code, message, data) {
+  sendMessage(jsonRpcError(id, code, message, data));
+}
+
+function sendNotification(session, method, params) {
+  session.send(params === undefined ? { jsonrpc: "2.0", method } : { jsonrpc: "2.0", method, params });
+}
+
+function isObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+function asString(value, name, { required = false, trim = true } = {}) {
+  if (value === undefined || value === null) {
+    if (required) {
+      throw new Error(`Missing required string: ${name}`);
+    }
+    return undefined;
+  }
+  if (typeof value !== "string") {
+    throw new Error(`Expected string for ${name}`);
+  }
+  const out = trim ? value.trim() : value;
+  if (required && out.length === 0) {
+    throw new Error(`String cannot be empty: ${name}`);
+  }
+  return out;
+}
+
+function asStringArray(value, name) {
+  if (value === undefined || value === null) {
+    return undefined;
+  }
+  if (!Array.isArray(value)) {
+    throw new Error(`Expected array of strings for ${name}`);
+  }
+  const out = value.map((item, index) => {
+    if (typeof item !== "string") {
+      throw new Error(`Expected string at ${name}[${index}]`);
+    }
+    const trimmed = item.trim();
+    if (!trimmed) {
+      throw new Error(`Empty string not allowed at ${name}[${index}]`);
+    }
+    return trimmed;
+  });
+  return out;
+}
+
+function enforceStringMaxLength(value, name, maxChars) {
+  if (value === undefined) {
+    return undefined;
+  }
+  if (value.length > maxChars) {
+    throw new Error(`${name} exceeds max length (${maxChars} chars)`);
+  }
+  return value;
+}
+
+function enforceStringArrayLimits(values, name, { maxItems = MAX_ARRAY_ITEMS, maxItemChars = MAX_ARRAY_ITEM_CHARS } = {}) {
+  if (values === undefined) {
+    return undefined;
+  }
+  if (values.length > maxItems) {
+    throw new Error(`${name} exceeds max items (${maxItems})`);
+  }
+  values.forEach((item, index) => {
+    if (item.length > maxItemChars) {
+      throw new Error(`${name}[${index}] exceeds max length (${maxItemChars} chars)`);
+    }
+  });
+  return values;
+}
+
+function resolveNoteTextInput(args) {
+  const text = asString(args.text, "text", { trim: false });
+  const content = asString(args.content, "content", { trim: false });
+  const candidate = (typeof text === "string" && text.length > 0 ? text : undefined)
+    ?? (typeof content === "string" && content.length > 0 ? content : undefined);
+  if (!candidate) {
+    throw new Error("Missing required string: text (or content)");
+  }
+  return candidate;
+}
+
+function asPositiveInt(value, name, fallback, min = 1, max = 200) {
+  if (value === undefined || value === null) {
+    return fallback;
+  }
+  if (!Number.isInteger(value)) {
+    throw new Error(`Expected integer for ${name}`);
+  }
+  if (value < min || value > max) {
+    throw new Error(`${name} must be between ${min} and ${max}`);
+  }
+  return value;
+}
+
+function asIsoDateOrUndefined(value, name) {
+  const text = asString(value, name);
+  if (!text) {
+    return undefined;
+  }
+  const ms = Date.parse(text);
+  if (Number.isNaN(ms)) {
+    throw new Error(`Invalid date for ${name}; expected ISO-8601`);
+  }
+  return new Date(ms).toISOString();
+}
+
+function asEntryKind(value) {
+  const kind = asString(value, "kind");
+  if (kind && !ENTRY_KINDS.includes(kind)) {
+    throw new Error(`kind must be one of: ${ENTRY_KINDS.join(", ")}`);
+  }
+  return kind || undefined;
+}
+
+function asSessionStatusList(value) {
+  const statuses = enforceStringArrayLimits(asStringArray(value, "status"), "status");
+  statuses?.forEach((status) => {
+    if (!SESSION_STATUSES.includes(status)) {
+      throw new Error(`status must be one of: ${SESSION_STATUSES.join(", ")}`);
+    }
+  });
+  return statuses;
+}
+
+function normalizeProject(project) {
+  return project?.trim() || DEFAULT_PROJECT;
+}
+
+function normalizeFormat(value) {
+  const fmt = (value ?? "text");
+  if (fmt !== "text" && fmt !== "json") {
+    throw new Error("format must be 'text' or 'json'");
+  }
+  return fmt;
+}
+
+function normalizeSessionId(value) {
+  if (value === undefined || value === null) {
+    return undefined;
+  }
+  if (typeof value !== "string") {
+    throw new Error("Expected string for session_id");
+  }
+  const out = value.trim();
+  return out || undefined;
+}
+
+function resolveEntrySessionBucket(value) {
+  return normalizeSessionId(value) || NO_SESSION_BUCKET;
+}
+
+function sessionBucketToFileKey(sessionBucket) {
+  if (sessionBucket === NO_SESSION_BUCKET) {
+    return "no-session-id";
+  }
+  return Buffer.from(sessionBucket, "utf8").toString("base64url");
+}
+
+function sessionFilePathFromKey(fileKey) {
+  return path.join(SESSION_DATA_DIR, `${fileKey}.jsonl`);
+}
+
+function sanitizeSessionId(value) {
+  if (typeof value !== "string") {
+    return undefined;
+  }
+  const trimmed = value.trim();
+  if (!trimmed) {
+    return undefined;
+  }
+  const sanitized = trimmed
+    .replace(/[^\w./-]+/g, "-")
+    .replace(/-+/g, "-")
+    .replace(/^-+|-+$/g, "");
+  return sanitized || undefined;
+}
+
+function execFileAsync(command, args, options = {}) {
+  return new Promise((resolve, reject) => {
+    execFile(command, args, options, (error, stdout, stderr) => {
+      if (error) {
+        error.stdout = stdout;
+        error.stderr = stderr;
+        reject(error);
+        return;
+      }
+      resolve({ stdout, stderr });
+    });
+  });
+}
+
+async function getGitBranchName(cwd = process.cwd()) {
+  try {
+    const { stdout } = await execFileAsync("git", ["branch", "--show-current"], {
+      cwd,
+      windowsHide: true,
+      timeout: 1500,
+    });
+    const branch = String(stdout || "").trim();
+    return branch || undefined;
+  } catch {
+    return undefined;
+  }
+}
+
+function parseGitStatusV2(stdout) {
+  // `git status --porcelain=v2 --branch -z`: NUL-separated headers and entries; renames carry an extra origPath record.
+  const records = String(stdout || "").split("\0");
+  const git = { head: undefined, branch: undefined, upstream: undefined, ahead: undefined, behind: undefined };
+  const changedFiles = [];
+  for (let i = 0; i < records.length; i += 1) {
+    const record = records[i];
+    if (!record) continue;
+    if (record.startsWith("# branch.oid ")) {
+      const oid = record.slice("# branch.oid ".length);
+      git.head = GIT_COMMIT_PATTERN.test(oid) ? oid : undefined;
+    } else if (record.startsWith("# branch.head ")) {
+      const head = record.slice("# branch.head ".length);
+      git.branch = head === "(detached)" ? undefined : head;
+    } else if (record.startsWith("# branch.upstream ")) {
+      git.upstream = record.slice("# branch.upstream ".length);
+    } else if (record.startsWith("# branch.ab ")) {
+      const match = record.match(/^# branch\.ab \+(\d+) -(\d+)$/);
+      if (match) {
+        git.ahead = Number(match[1]);
+        git.behind = Number(match[2]);
+      }
+    } else if (record.startsWith("1 ")) {
+      changedFiles.push(record.split(" ").slice(8).join(" "));
+    } else if (record.startsWith("2 ")) {
+      changedFiles.push(record.split(" ").slice(9).join(" "));
+      i += 1;
+    } else if (record.startsWith("u ")) {
+      changedFiles.push(record.split(" ").slice(10).join(" "));
+    } else if (record.startsWith("? ")) {
+      changedFiles.push(record.slice(2));
+    }
+  }
+  return {
+    ...git,
+    changed_files: changedFiles.slice(0, MAX_GIT_CHANGED_FILES),
+    changed_file_count: changedFiles.length,
+  };
+}
+
+async function runGit(args, { cwd = process.cwd(), timeout = GIT_CAPTURE_TIMEOUT_MS } = {}) {
+  const { stdout } = await execFileAsync("git", args, {
+    cwd,
+    windowsHide: true,
+    timeout,
+    maxBuffer: 4 * 1024 * 1024,
+  });
+  return String(stdout || "");
+}
+
+async function captureGitContext(cwd = process.cwd()) {
+  try {
+    // --no-optional-locks: a background status must not take .git/index.lock from under the user's own git commands.
+    return parseGitStatusV2(await runGit(["--no-optional-locks", "status", "--porcelain=v2", "--branch", "-z"], { cwd }));
+  } catch {
+    return undefined;
+  }
+}
+
+function parseGitNumstat(stdout) {
+  return String(stdout || "")
+    .split("\n")
+    .filter(Boolean)
+    .map((line) => {
+      const [added, deleted, ...rest] = line.split("\t");
+      const binary = added === "-" || deleted === "-";
+      return {
+        path: rest.join("\t"),
+        added: binary ? null : Number(added),
+        deleted: binary ? null : Number(deleted),
+        binary,
+      };
+    });
+}
+
+async function collectChangesSinceCommit(baseCommit, cwd = process.cwd()) {
+  // The commit comes from stored entries, so it must look like an object id and is never parsed as an option.
+  if (typeof baseCommit !== "string" || !GIT_COMMIT_PATTERN.test(baseCommit)) {
+    return { ok: false, reason: "invalid_commit" };
+  }
+  const current = await captureGitContext(cwd);
+  if (!current) {
+    return { ok: false, reason: "not_a_repository" };
+  }
+  try {
+    await runGit(["cat-file", "-e", "--end-of-options", `${baseCommit}^{commit}`], { cwd });
+  } catch {
+    return { ok: false, reason: "unknown_commit", current };
+  }
+  const timeout = GIT_DIFF_TIMEOUT_MS;
+  // One slow part (a huge diff, a large untracked tree) must not throw away the parts that did finish.
+  const parts = await Promise.allSettled([
+    runGit(["log", `--max-count=${MAX_CHANGES_SINCE_COMMITS}`, "--format=%H%x09%an%x09%s", "--end-of-options", `${baseCommit}..HEAD`], { cwd, timeout }),
+    runGit(["diff", "--numstat", "--no-renames", "--end-of-options", baseCommit], { cwd, timeout }),
+    runGit(["ls-files", "--others", "--exclude-standard"], { cwd, timeout }),
+  ]);
+  const incomplete = ["commits", "files", "untracked"].filter((_, position) => parts[position].status === "rejected");
+  const [logOut, numstatOut, untrackedOut] = parts.map((part) => (part.status === "fulfilled" ? part.value : ""));
+  const commits = logOut
+    .split("\n")
+    .filter(Boolean)
+    .map((line) => {
+      const [sha, author, ...subject] = line.split("\t");
+      return { sha, author, subject: subject.join("\t") };
+    });
+  const files = parseGitNumstat(numstatOut);
+  return {
+    ok: true,
+    current,
+    commits,
+    commits_truncated: commits.length >= MAX_CHANGES_SINCE_COMMITS,
+    files,
+    untracked: untrackedOut.split("\n").filter(Boolean),
+    incomplete,
+    totals: {
+      files: files.length,
+      added: files.reduce((sum, file) => sum + (file.added || 0), 0),
+      deleted: files.reduce((sum, file) => sum + (file.deleted || 0), 0),
+    },
+  };
+}
+
+function formatChangesSinceHandoff(result) {
+  const lines = [
+    `Changes in session ${sanitizeDisplayText(result.session_id, { singleLine: true })} since handoff ${sanitizeDisplayText(result.handoff_id || "(no-id)", { singleLine: true })} (${sanitizeDisplayText(result.handoff_ts || "unknown-time", { singleLine: true })})`,
+    `base=${result.base_commit.slice(0, 12)} head=${result.head ? result.head.slice(0, 12) : "(no commits)"} branch=${sanitizeDisplayText(result.branch || "(detached)", { singleLine: true })}`,
+    "",
+    `commits (${result.commits.length}${result.commits_truncated ? "+" : ""}):`,
+  ];
+  if (!result.commits.length) lines.push("(none)");
+  result.commits.forEach((commit) => {
+    lines.push(
+      `- ${commit.sha.slice(0, 12)} ${sanitizeDisplayText(commit.subject, { singleLine: true })} (${sanitizeDisplayText(commit.author, { singleLine: true })})`,
+    );
+  });
+  lines.push("");
+  lines.push(`files (${result.totals.files}, +${result.totals.added} -${result.totals.deleted}):`);
+  if (!result.files.length) lines.push("(none)");
+  result.files.forEach((file) => {
+    const stat = file.binary ? "binary" : `+${file.added} -${file.deleted}`;
+    lines.push(`- ${sanitizeDisplayText(file.path, { singleLine: true })} ${stat}`);
+  });
+  if (result.untracked.length) {
+    lines.push("");
+    lines.push(`untracked (${result.untracked.length}):`);
+    result.untracked.forEach((file) => lines.push(`- ${sanitizeDisplayText(file, { singleLine: true })}`));
+  }
+  if (result.incomplete.length) {
+    lines.push("");
+    lines.push(`incomplete: git failed or timed out listing ${result.incomplete.join(", ")}; those lists are empty above.`);
+  }
+  return lines.join("\n");
+}
+
+function formatGitContext(git) {
+  const branch = git.branch ? sanitizeDisplayText(git.branch, { singleLine: true }) : "(detached)";
+  const head = git.head ? git.head.slice(0, 12) : "(no commits)";
+  const parts = [`${branch}@${head}`];
+  if (git.upstream && Number.isInteger(git.ahead) && Number.isInteger(git.behind)) {
+    parts.push(`ahead ${git.ahead}, behind ${git.behind} vs ${sanitizeDisplayText(git.upstream, { singleLine: true })}`);
+  }
+  if (git.changed_file_count) {
+    const files = (git.changed_files || []).map((file) => sanitizeDisplayText(file, { singleLine: true }));
+    const more = git.changed_file_count > files.length ? ` (+${git.changed_file_count - files.length} more)` : "";
+    parts.push(`changed: ${files.join(", ")}${more}`);
+  } else {
+    parts.push("clean");
+  }
+  return parts.join(" | ");
+}
+
+function makeTimestampSessionId(prefix) {
+  const now = new Date();
+  const stamp = [
+    now.getFullYear(),
+    String(now.getMonth() + 1).padStart(2, "0"),
+    String(now.getDate()).padStart(2, "0"),
+    "-",
+    String(now.getHours()).padStart(2, "0"),
+    String(now.getMinutes()).padStart(2, "0"),
+    String(now.getSeconds()).padStart(2, "0"),
+  ].join("");
+  return `${prefix}-${stamp}-${randomUUID().slice(0, 6)}`;
+}
+
+async function makeSuggestedSessionId() {
+  const branch = sanitizeSessionId(await getGitBranchName(process.cwd()));
+  if (branch) {
+    return branch;
+  }
+  return makeTimestampSessionId(DEFAULT_NEW_SESSION_PREFIX);
+}
+
+async function readActiveSessionId() {
+  const envSessionId = normalizeSessionId(process.env.MCP_SHARED_CONTEXT_ACTIVE_SESSION);
+  if (envSessionId) {
+    return envSessionId;
+  }
+
+  try {
+    const text = await fs.readFile(ACTIVE_SESSION_FILE, "utf8");
+    return normalizeSessionId(text);
+  } catch (error) {
+    if (error && error.code === "ENOENT") {
+      return undefined;
+    }
+    throw error;
+  }
+}
+
+async function writeActiveSessionId(sessionId) {
+  const normalized = normalizeSessionId(sessionId);
+  if (!normalized) {
+    throw new Error("Cannot persist empty session_id");
+  }
+  await fs.mkdir(path.dirname(ACTIVE_SESSION_FILE), { recursive: true });
+  await fs.writeFile(ACTIVE_SESSION_FILE, `${normalized}\n`, "utf8");
+}
+
+async function resolveSessionIdInput(value, { required = false } = {}) {
+  const explicit = normalizeSessionId(value);
+  if (explicit) {
+    return explicit;
+  }
+  const active = await readActiveSessionId();
+  if (active) {
+    return active;
+  }
+  if (required) {
+    throw new Error(
+      "Missing session_id. Choose one with list_sessions/choose_session (or run pick-session.mjs) and try again.",
+    );
+  }
+  return undefined;
+}
+
+function makeFileSignature(stat) {
+  if (!stat) {
+    return null;
+  }
+  return `${stat.size}:${Math.trunc(stat.mtimeMs)}`;
+}
+
+async function statFile(filePath) {
+  try {
+    return await fs.stat(filePath);
+  } catch (error) {
+    if (error && error.code === "ENOENT") {
+      return null;
+    }
+    throw error;
+  }
+}
+
+function invalidateSessionIndexCache() {
+  sessionIndexCache.fileSignature = null;
+  sessionIndexCache.index = null;
+}
+
+async function ensureStorageDirectories() {
+  await fs.mkdir(path.dirname(CONTEXT_FILE), { recursive: true });
+  await fs.mkdir(SESSION_DATA_DIR, { recursive: true });
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+async function maybeBreakStaleLock() {
+  try {
+    const stat = await fs.stat(LOCK_FILE);
+    if (Date.now() - stat.mtimeMs > STALE_LOCK_MS) {
+      await fs.unlink(LOCK_FILE).catch(() => {});
+      emitLog("warning", "lock", {
+        message: "Removed stale write lock",
+        lockFile: LOCK_FILE,
+        ageMs: Math.round(Date.now() - stat.mtimeMs),
+      });
+    }
+  } catch (error) {
+    if (error && error.code !== "ENOENT") {
+      throw error;
+    }
+  }
+}
+
+async function withWriteLock(fn) {
+  const start = Date.now();
+  let contended = false;
+  while (true) {
+    let handle;
+    try {
+      handle = await fs.open(LOCK_FILE, "wx");
+      if (contended) {
+        emitLog("info", "lock", {
+          message: "Acquired write lock after waiting",
+          lockFile: LOCK_FILE,
+          waitedMs: Date.now() - start,
+        });
+      }
+      await handle.writeFile(
+        JSON.stringify({
+          pid: process.pid,
+          host: os.hostname(),
+          created_at: new Date().toISOString(),
+        }),
+        "utf8",
+      );
+      try {
+        return await fn();
+      } finally {
+        await handle.close().catch(() => {});
+        await fs.unlink(LOCK_FILE).catch(() => {});
+      }
+    } catch (error) {
+      if (handle) {
+        await handle.close().catch(() => {});
+      }
+      if (error && error.code === "EEXIST") {
+        if (!contended) {
+          contended = true;
+          emitLog("debug", "lock", { message: "Write lock held by another writer; waiting", lockFile: LOCK_FILE });
+        }
+        if (Date.now() - start > MAX_LOCK_WAIT_MS) {
+          emitLog("error", "lock", {
+            message: "Timed out waiting for write lock",
+            lockFile: LOCK_FILE,
+            waitedMs: Date.now() - start,
+          });
+          throw new Error(`Timed out waiting for context lock (${LOCK_FILE})`);
+        }
+        await maybeBreakStaleLock();
+        await sleep(40 + Math.floor(Math.random() * 60));
+        continue;
+      }
+      throw error;
+    }
+  }
+}
+
+async function loadSessionIndexForWrite() {
+  let index = await loadSessionIndex();
+  if (!index) {
+    const rebuilt = await rebuildSessionIndexFromSessionFiles();
+    index = rebuilt.index;
+    await persistSessionIndex(index);
+  }
+  return index;
+}
+
+async function appendEntry(entry) {
+  await appendEntries([entry]);
+}
+
+async function appendEntries(batch, { skipExistingIds = false, requireNewSessions = false } = {}) {
+  // One lock, one write per session file and one index persist for the whole batch.
+  if (!batch.length) {
+    return [];
+  }
+  await ensureStorageDirectories();
+  const written = await withWriteLock(async () => {
+    const index = await loadSessionIndexForWrite();
+    if (requireNewSessions) {
+      // Checked under the lock so two writers cannot both create the same session.
+      const existing = batch.map((entry) => resolveEntrySessionBucket(entry.session_id)).find((id) => Object.hasOwn(index.sessions, id));
+      if (existing !== undefined) {
+        throw Object.assign(new Error(`Session ${existing} already exists`), { sessionExists: true });
+      }
+    }
+    const entries = skipExistingIds ? await dropEntriesWithExistingIds(index, batch) : batch;
+    if (!entries.length) {
+      return entries;
+    }
+    const linesByFile = new Map();
+    entries.forEach((entry) => {
+      const filePath = ensureSessionRecord(index, resolveEntrySessionBucket(entry.session_id)).file_path;
+      linesByFile.set(filePath, `${linesByFile.get(filePath) || ""}${JSON.stringify(entry)}\n`);
+    });
+    for (const [filePath, lines] of linesByFile) {
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.appendFile(filePath, lines, "utf8");
+    }
+
+    const firstFileIndex =
+      Number.isInteger(index.next_file_index) && index.next_file_index >= 0 ? index.next_file_index : 0;
+    const appended = entries.map((entry, offset) => {
+      const sessionRecord = ensureSessionRecord(index, resolveEntrySessionBucket(entry.session_id));
+      applyEntryToSessionIndex(index, entry, firstFileIndex + offset);
+      return { entry, ordinal: sessionRecord.entry_count - 1 };
+    });
+    if (index.next_file_index < firstFileIndex + entries.length) {
+      index.next_file_index = firstFileIndex + entries.length;
+    }
+    await persistSessionIndex(index);
+    await updateSearchIndexForAppend(index, appended, firstFileIndex);
+    return entries;
+  });
+  await maybeApplyRetention();
+  return written;
+}
+
+async function dropEntriesWithExistingIds(index, entries) {
+  // Runs under the write lock and only reads the sessions the batch targets, so concurrent imports cannot both pass.
+  const seenIds = new Set();
+  for (const sessionId of new Set(entries.map((entry) => resolveEntrySessionBucket(entry.session_id)))) {
+    if (!Object.hasOwn(index.sessions, sessionId)) {
+      continue;
+    }
+    const { entries: stored } = await readSessionFileEntries(resolveSessionFilePath(index, sessionId));
+    stored.forEach((entry) => {
+      if (typeof entry.id === "string" && entry.id) seenIds.add(entry.id);
+    });
+  }
+  return entries.filter((entry) => {
+    if (seenIds.has(entry.id)) {
+      return false;
+    }
+    seenIds.add(entry.id);
+    return true;
+  });
+}
+
+async function readRawSessionFile(filePath) {
+  const stat = await statFile(filePath);
+  if (!stat) {
+    return "";
+  }
+  if (stat.size > MAX_CONTEXT_FILE_BYTES) {
+    emitLog("error", "limits", {
+      message: "Session file exceeds max size",
+      file: filePath,
+      size: stat.size,
+      max: MAX_CONTEXT_FILE_BYTES,
+    });
+    throw new Error(
+      `Context file exceeds configured max size (${MAX_CONTEXT_FILE_BYTES} bytes): ${filePath}`,
+    );
+  }
+  return await fs.readFile(filePath, "utf8");
+}
+
+function parseEntries(rawText, { filePath } = {}) {
+  const entries = [];
+  const parseErrors = [];
+  const lines = rawText.split(/\r?\n/);
+  for (let i = 0; i < lines.length; i += 1) {
+    const line = lines[i];
+    if (!line || !line.trim()) {
+      continue;
+    }
+    try {
+      const parsed = JSON.parse(line);
+      if (!isObject(parsed)) {
+        throw new Error("line is not a JSON object");
+      }
+      entries.push(parsed);
+    } catch (error) {
+      parseErrors.push({ file: filePath, line: i + 1, error: String(error) });
+    }
+  }
+  return { entries, parseErrors };
+}
+
+function makeSessionIndexSkeleton() {
+  return {
+    version: SESSION_INDEX_VERSION,
+    next_file_index: 0,
+    sessions: {},
+    projects: {},
+  };
+}
+
+function copySessionSummaryFields(summary, summaryRaw) {
+  summary.entry_count =
+    Number.isInteger(summaryRaw.entry_count) && summaryRaw.entry_count >= 0 ? summaryRaw.entry_count : 0;
+  summary.note_count =
+    Number.isInteger(summaryRaw.note_count) && summaryRaw.note_count >= 0 ? summaryRaw.note_count : 0;
+  summary.handoff_count =
+    Number.isInteger(summaryRaw.handoff_count) && summaryRaw.handoff_count >= 0 ? summaryRaw.handoff_count : 0;
+  summary.decision_count =
+    Number.isInteger(summaryRaw.decision_count) && summaryRaw.decision_count >= 0 ? summaryRaw.decision_count : 0;
+  summary.latest_ts = typeof summaryRaw.latest_ts === "string" && summaryRaw.latest_ts ? summaryRaw.latest_ts : undefined;
+  summary.latest_ts_ms =
+    typeof summaryRaw.latest_ts_ms === "number" && Number.isFinite(summaryRaw.latest_ts_ms)
+      ? summaryRaw.latest_ts_ms
+      : null;
+  summary.latest_file_index =
+    Number.isInteger(summaryRaw.latest_file_index) && summaryRaw.latest_file_index >= -1
+      ? summaryRaw.latest_file_index
+      : -1;
+  summary.last_entry_kind = ENTRY_KINDS.includes(summaryRaw.last_entry_kind) ? summaryRaw.last_entry_kind : undefined;
+  summary.status = SESSION_STATUSES.includes(summaryRaw.status) ? summaryRaw.status : "open";
+  summary.task = typeof summaryRaw.task === "string" && summaryRaw.task.trim() ? summaryRaw.task.trim() : undefined;
+  summary.latest_handoff_summary =
+    typeof summaryRaw.latest_handoff_summary === "string" && summaryRaw.latest_handoff_summary.trim()
+      ? summaryRaw.latest_handoff_summary.trim()
+      : undefined;
+  if (Array.isArray(summaryRaw.agents)) {
+    summaryRaw.agents.forEach((agent) => pushUniqueString(summary.agents, agent));
+    summary.agents.sort();
+  }
+  summary.forked_from = normalizeForkedFrom(summaryRaw.forked_from);
+  if (isObject(summaryRaw.tag_counts)) {
+    Object.entries(summaryRaw.tag_counts).forEach(([tag, count]) => {
+      if (tag && Number.isInteger(count) && count > 0) {
+        summary.tag_counts[tag] = count;
+      }
+    });
+  }
+}
+
+function normalizeSessionRecord(sessionId, rawRecord) {
+  const fileKey =
+    typeof rawRecord?.file_key === "string" && rawRecord.file_key.trim()
+      ? rawRecord.file_key.trim()
+      : sessionBucketToFileKey(sessionId);
+  const summary = makeSessionSummary(sessionId, undefined);
+  copySessionSummaryFields(summary, rawRecord || {});
+  return {
+    ...summary,
+    file_key: fileKey,
+    file_path: sessionFilePathFromKey(fileKey),
+  };
+}
+
+function normalizeSessionIndex(raw) {
+  if (!isObject(raw)) {
+    return null;
+  }
+  if (raw.version !== SESSION_INDEX_VERSION) {
+    return null;
+  }
+  const nextFileIndex =
+    Number.isInteger(raw.next_file_index) && raw.next_file_index >= 0 ? raw.next_file_index : 0;
+  const sessions = {};
+  if (isObject(raw.sessions)) {
+    Object.entries(raw.sessions).forEach(([sessionIdKey, rawRecord]) => {
+      const sessionId = resolveEntrySessionBucket(sessionIdKey);
+      sessions[sessionId] = normalizeSessionRecord(sessionId, rawRecord);
+    });
+  }
+  const projects = {};
+  if (isObject(raw.projects)) {
+    Object.entries(raw.projects).forEach(([projectName, bucketRaw]) => {
+      if (!projectName || !isObject(bucketRaw)) {
+        return;
+      }
+      const bucket = {};
+      Object.entries(bucketRaw).forEach(([sessionIdKey, summaryRaw]) => {
+        if (!sessionIdKey || !isObject(summaryRaw)) {
+          return;
+        }
+        const sessionId =
+          (typeof summaryRaw.session_id === "string" && summaryRaw.session_id.trim()) || sessionIdKey.trim();
+        if (!sessionId) {
+          return;
+        }
+        const summary = makeSessionSummary(sessionId, projectName);
+        copySessionSummaryFields(summary, summaryRaw);
+        bucket[sessionId] = summary;
+        if (!sessions[sessionId]) {
+          sessions[sessionId] = normalizeSessionRecord(sessionId, {});
+        }
+      });
+      projects[projectName] = bucket;
+    });
+  }
+  return {
+    version: SESSION_INDEX_VERSION,
+    next_file_index: nextFileIndex,
+    sessions,
+    projects,
+  };
+}
+
+async function readSessionIndexFile() {
+  try {
+    const text = await fs.readFile(SESSION_INDEX_FILE, "utf8");
+    const parsed = JSON.parse(text);
+    return normalizeSessionIndex(parsed);
+  } catch (error) {
+    if (error && error.code === "ENOENT") {
+      return null;
+    }
+    return null;
+  }
+}
+
+async function writeSessionIndexFile(index) {
+  await ensureStorageDirectories();
+  const tmpPath = `${SESSION_INDEX_FILE}.${process.pid}.${randomUUID().slice(0, 8)}.tmp`;
+  await fs.writeFile(tmpPath, `${JSON.stringify(index)}\n`, "utf8");
+  await fs.rename(tmpPath, SESSION_INDEX_FILE);
+}
+
+async function loadSessionIndex() {
+  const stat = await statFile(SESSION_INDEX_FILE);
+  const fileSignature = makeFileSignature(stat);
+  if (!fileSignature) {
+    return null;
+  }
+  if (sessionIndexCache.fileSignature === fileSignature && sessionIndexCache.index) {
+    return sessionIndexCache.index;
+  }
+
+  const index = await readSessionIndexFile();
+  if (!index) {
+    invalidateSessionIndexCache();
+    return null;
+  }
+  sessionIndexCache.fileSignature = fileSignature;
+  sessionIndexCache.index = index;
+  return index;
+}
+
+async function persistSessionIndex(index) {
+  await writeSessionIndexFile(index);
+  const stat = await statFile(SESSION_INDEX_FILE);
+  sessionIndexCache.fileSignature = makeFileSignature(stat);
+  sessionIndexCache.index = index;
+}
+
+function getSessionProject(entry) {
+  if (typeof entry.project === "string" && entry.project.trim()) {
+    return entry.project.trim();
+  }
+  return DEFAULT_PROJECT;
+}
+
+function ensureSessionRecord(index, sessionId) {
+  if (!isObject(index.sessions)) {
+    index.sessions = {};
+  }
+  const normalizedSessionId = resolveEntrySessionBucket(sessionId);
+  let record = index.sessions[normalizedSessionId];
+  if (!isObject(record)) {
+    record = normalizeSessionRecord(normalizedSessionId, {
+      file_key: sessionBucketToFileKey(normalizedSessionId),
+    });
+    index.sessions[normalizedSessionId] = record;
+  } else {
+    const fileKey =
+      typeof record.file_key === "string" && record.file_key.trim()
+        ? record.file_key.trim()
+        : sessionBucketToFileKey(normalizedSessionId);
+    record.file_key = fileKey;
+    record.file_path = sessionFilePathFromKey(fileKey);
+  }
+  return record;
+}
+
+function applyEntryToSessionIndex(index, entry, fileIndex) {
+  if (!isObject(index.sessions)) {
+    index.sessions = {};
+  }
+  if (!isObject(index.projects)) {
+    index.projects = {};
+  }
+  if (Number.isInteger(fileIndex) && fileIndex >= 0) {
+    index.next_file_index = Math.max(index.next_file_index || 0, fileIndex + 1);
+  }
+
+  const sessionId = resolveEntrySessionBucket(entry.session_id);
+  const sessionRecord = ensureSessionRecord(index, sessionId);
+  applyEntryToSessionSummary(sessionRecord, entry, fileIndex);
+  sessionRecord.agents.sort();
+
+  const project = getSessionProject(entry);
+  if (!isObject(index.projects[project])) {
+    index.projects[project] = {};
+  }
+  if (!isObject(index.projects[project][sessionId])) {
+    index.projects[project][sessionId] = makeSessionSummary(sessionId, project);
+  }
+  applyEntryToSessionSummary(index.projects[project][sessionId], entry, fileIndex);
+  index.projects[project][sessionId].agents.sort();
+}
+
+function listProjectSessionsFromIndex(index, project) {
+  if (!index || !isObject(index.projects)) {
+    return [];
+  }
+  const bucket = index.projects[project];
+  if (!isObject(bucket)) {
+    return [];
+  }
+  const summaries = Object.values(bucket)
+    .filter((summary) => summary?.session_id !== NO_SESSION_BUCKET)
+    .map((summary) => ({
+      ...summary,
+      agents: Array.isArray(summary.agents) ? [...summary.agents].sort() : [],
+    }));
+  return sortSessionSummaries(summaries);
+}
+
+function listSessionRecords(index) {
+  if (!index || !isObject(index.sessions)) {
+    return [];
+  }
+  return Object.values(index.sessions)
+    .map((record) => ({
+      ...record,
+      agents: Array.isArray(record.agents) ? [...record.agents].sort() : [],
+    }))
+    .sort((a, b) => {
+      const aIndex = Number.isInteger(a.latest_file_index) ? a.latest_file_index : -1;
+      const bIndex = Number.isInteger(b.latest_file_index) ? b.latest_file_index : -1;
+      if (aIndex !== bIndex) return aIndex - bIndex;
+      return String(a.session_id).localeCompare(String(b.session_id));
+    });
+}
+
+async function listSessionDataFiles() {
+  try {
+    const dirEntries = await fs.readdir(SESSION_DATA_DIR, { withFileTypes: true });
+    const files = await Promise.all(
+      dirEntries
+        .filter((entry) => entry.isFile() && entry.name.endsWith(".jsonl"))
+        .map(async (entry) => {
+          const filePath = path.join(SESSION_DATA_DIR, entry.name);
+          const stat = await statFile(filePath);
+          return {
+            filePath,
+            mtimeMs: typeof stat?.mtimeMs === "number" ? stat.mtimeMs : 0,
+          };
+        }),
+    );
+    return files
+      .sort((a, b) => (a.mtimeMs - b.mtimeMs) || a.filePath.localeCompare(b.filePath))
+      .map((file) => file.filePath);
+  } catch (error) {
+    if (error && error.code === "ENOENT") {
+      return [];
+    }
+    throw error;
+  }
+}
+
+async function migrateLegacyContextFileToSessionFilesIfNeeded() {
+  const existingSessionFiles = await listSessionDataFiles();
+  if (existingSessionFiles.length) {
+    return { migrated: false, index: null, parseErrors: [] };
+  }
+
+  const legacyStat = await statFile(CONTEXT_FILE);
+  if (!legacyStat || !legacyStat.isFile() || legacyStat.size === 0) {
+    return { migrated: false, index: null, parseErrors: [] };
+  }
+
+  const raw = await readRawSessionFile(CONTEXT_FILE);
+  if (!raw.trim()) {
+    return { migrated: false, index: null, parseErrors: [] };
+  }
+
+  const { entries, parseErrors } = parseEntries(raw, { filePath: CONTEXT_FILE });
+  if (!entries.length) {
+    return { migrated: false, index: null, parseErrors };
+  }
+
+  const groupedLines = new Map();
+  const index = makeSessionIndexSkeleton();
+  entries.forEach((entry, order) => {
+    const sessionBucket = resolveEntrySessionBucket(entry.session_id);
+    const filePath = sessionFilePathFromKey(sessionBucketToFileKey(sessionBucket));
+    const existing = groupedLines.get(filePath) || [];
+    existing.push(`${JSON.stringify(entry)}\n`);
+    groupedLines.set(filePath, existing);
+    applyEntryToSessionIndex(index, entry, order);
+  });
+  index.next_file_index = Math.max(index.next_file_index || 0, entries.length);
+
+  for (const [filePath, lines] of groupedLines.entries()) {
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, lines.join(""), "utf8");
+  }
+
+  emitLog("notice", "migration", {
+    message: "Migrated legacy context file into per-session files",
+    file: CONTEXT_FILE,
+    sessions: groupedLines.size,
+    entries: entries.length,
+    skippedLines: parseErrors.length,
+  });
+  return { migrated: true, index, parseErrors };
+}
+
+async function readSessionFileEntries(filePath) {
+  const raw = await readRawSessionFile(filePath);
+  return parseEntries(raw, { filePath });
+}
+
+async function readRawContextFile() {
+  const { index } = await getOrBuildSessionIndex();
+  const records = listSessionRecords(index);
+  if (!records.length) {
+    return "";
+  }
+  const chunks = [];
+  for (const record of records) {
+    if (typeof record.file_path !== "string" || !record.file_path) {
+      continue;
+    }
+    const raw = await readRawSessionFile(record.file_path);
+    if (!raw) {
+      continue;
+    }
+    chunks.push(raw.endsWith("\n") ? raw : `${raw}\n`);
+  }
+  return chunks.join("");
+}
+
+function compareEntriesByTsThenOrder(a, b) {
+  const aTs = Number.isFinite(a.tsMs) ? a.tsMs : Number.NEGATIVE_INFINITY;
+  const bTs = Number.isFinite(b.tsMs) ? b.tsMs : Number.NEGATIVE_INFINITY;
+  if (aTs !== bTs) {
+    return aTs - bTs;
+  }
+  return a.order - b.order;
+}
+
+async function rebuildSessionIndexFromSessionFiles() {
+  const start = Date.now();
+  await ensureStorageDirectories();
+  const migration = await migrateLegacyContextFileToSessionFilesIfNeeded();
+  if (migration.migrated && migration.index) {
+    return { index: migration.index, parseErrors: migration.parseErrors };
+  }
+
+  const index = makeSessionIndexSkeleton();
+  const parseErrors = [...migration.parseErrors];
+  const sessionFiles = await listSessionDataFiles();
+  let order = 0;
+  emitLog("debug", "index", { message: "Rebuilding sessions index from session files", files: sessionFiles.length });
+
+  for (const filePath of sessionFiles) {
+    throwIfCancelled();
+    const { entries, parseErrors: fileErrors } = await readSessionFileEntries(filePath);
+    parseErrors.push(...fileErrors);
+    entries.forEach((entry) => {
+      applyEntryToSessionIndex(index, entry, order);
+      order += 1;
+    });
+  }
+
+  index.next_file_index = Math.max(index.next_file_index || 0, order);
+  emitLog("info", "index", {
+    message: "Rebuilt sessions index from session files",
+    files: sessionFiles.length,
+    entries: order,
+    skippedLines: parseErrors.length,
+    durationMs: Date.now() - start,
+  });
+  return { index, parseErrors };
+}
+
+async function getOrBuildSessionIndex() {
+  const existing = await loadSessionIndex();
+  if (existing) {
+    return { index: existing, parseErrors: [] };
+  }
+  const rebuilt = await rebuildSessionIndexFromSessionFiles();
+  await persistSessionIndex(rebuilt.index);
+  return rebuilt;
+}
+
+function makeSearchIndexSkeleton() {
+  return {
+    version: SEARCH_INDEX_VERSION,
+    next_file_index: 0,
+    doc_count: 0,
+    total_length: 0,
+    docs: Object.create(null),
+    terms: Object.create(null),
+  };
+}
+
+function tokenizeSearchText(text) {
+  if (typeof text !== "string" || !text) {
+    return [];
+  }
+  const tokens = text.toLowerCase().match(/[\p{L}\p{N}_]+/gu) || [];
+  return tokens.filter((token) => token.length > 1);
+}
+
+function collectEntrySearchText(entry) {
+  const parts = [];
+  const push = (value) => {
+    if (typeof value === "string" && value.trim()) {
+      parts.push(value);
+    }
+  };
+  push(entry.task);
+  push(entry.text);
+  push(entry.summary);
+  push(entry.reason);
+  push(entry.note);
+  push(entry.decision);
+  push(entry.rationale);
+  push(entry.answer);
+  push(entry.question_text);
+  push(entry.artifact?.name);
+  normalizeHandoffSteps(entry).forEach((step) => push(step.text));
+  normalizeHandoffQuestions(entry).forEach((question) => push(question.text));
+  if (entry.kind === "digest") {
+    (Array.isArray(entry.handoffs) ? entry.handoffs : []).forEach((handoff) => push(handoff?.summary));
+    (Array.isArray(entry.decisions) ? entry.decisions : []).forEach((decision) => push(decision?.decision));
+    (Array.isArray(entry.notes) ? entry.notes : []).forEach((note) => push(note?.text));
+  }
+  [entry.alternatives, entry.files, entry.tags].forEach((values) => {
+    if (Array.isArray(values)) {
+      values.forEach(push);
+    }
+  });
+  return parts.join("\n");
+}
+
+function makeSearchDocKey(entry, sessionId, ordinal) {
+  if (typeof entry.id === "string" && entry.id) {
+    return entry.id;
+  }
+  return `${sessionBucketToFileKey(sessionId)}:${ordinal}`;
+}
+
+function addEntryToSearchIndex(searchIndex, entry, ordinal) {
+  const sessionId = resolveEntrySessionBucket(entry.session_id);
+  const docKey = makeSearchDocKey(entry, sessionId, ordinal);
+  if (searchIndex.docs[docKey]) {
+    return;
+  }
+  const tokens = tokenizeSearchText(collectEntrySearchText(entry));
+  if (!tokens.length) {
+    return;
+  }
+  const counts = new Map();
+  tokens.forEach((token) => counts.set(token, (counts.get(token) || 0) + 1));
+  searchIndex.docs[docKey] = {
+    id: typeof entry.id === "string" ? entry.id : undefined,
+    session_id: sessionId,
+    project: getSessionProject(entry),
+    agent: typeof entry.agent === "string" ? entry.agent : undefined,
+    kind: typeof entry.kind === "string" ? entry.kind : undefined,
+    ts: typeof entry.ts === "string" ? entry.ts : undefined,
+    length: tokens.length,
+  };
+  for (const [term, count] of counts.entries()) {
+    if (!searchIndex.terms[term]) {
+      searchIndex.terms[term] = Object.create(null);
+    }
+    searchIndex.terms[term][docKey] = count;
+  }
+  searchIndex.doc_count += 1;
+  searchIndex.total_length += tokens.length;
+}
+
+function normalizeSearchIndex(raw) {
+  if (!isObject(raw) || raw.version !== SEARCH_INDEX_VERSION) {
+    return null;
+  }
+  if (!isObject(raw.docs) || !isObject(raw.terms)) {
+    return null;
+  }
+  const searchIndex = makeSearchIndexSkeleton();
+  searchIndex.next_file_index =
+    Number.isInteger(raw.next_file_index) && raw.next_file_index >= 0 ? raw.next_file_index : 0;
+  Object.entries(raw.docs).forEach(([docKey, doc]) => {
+    if (!isObject(doc) || !Number.isInteger(doc.length) || doc.length < 1) {
+      return;
+    }
+    searchIndex.docs[docKey] = doc;
+    searchIndex.doc_count += 1;
+    searchIndex.total_length += doc.length;
+  });
+  Object.entries(raw.terms).forEach(([term, postingsRaw]) => {
+    if (!isObject(postingsRaw)) {
+      return;
+    }
+    const postings = Object.create(null);
+    Object.entries(postingsRaw).forEach(([docKey, count]) => {
+      if (searchIndex.docs[docKey] && Number.isInteger(count) && count > 0) {
+        postings[docKey] = count;
+      }
+    });
+    searchIndex.terms[term] = postings;
+  });
+  return searchIndex;
+}
+
+async function loadSearchIndex() {
+  const stat = await statFile(SEARCH_INDEX_FILE);
+  const fileSignature = makeFileSignature(stat);
+  if (!fileSignature) {
+    return null;
+  }
+  if (searchIndexCache.fileSignature === fileSignature && searchIndexCache.index) {
+    return searchIndexCache.index;
+  }
+
+  let searchIndex = null;
+  try {
+    searchIndex = normalizeSearchIndex(JSON.parse(await fs.readFile(SEARCH_INDEX_FILE, "utf8")));
+  } catch {
+    searchIndex = null;
+  }
+  if (!searchIndex) {
+    searchIndexCache.fileSignature = null;
+    searchIndexCache.index = null;
+    return null;
+  }
+  searchIndexCache.fileSignature = fileSignature;
+  searchIndexCache.index = searchIndex;
+  return searchIndex;
+}
+
+async function persistSearchIndex(searchIndex) {
+  await ensureStorageDirectories();
+  const tmpPath = `${SEARCH_INDEX_FILE}.${process.pid}.${randomUUID().slice(0, 8)}.tmp`;
+  const { doc_count: _docCount, total_length: _totalLength, ...serializable } = searchIndex;
+  await fs.writeFile(tmpPath, `${JSON.stringify(serializable)}\n`, "utf8");
+  await fs.rename(tmpPath, SEARCH_INDEX_FILE);
+  const stat = await statFile(SEARCH_INDEX_FILE);
+  searchIndexCache.fileSignature = makeFileSignature(stat);
+  searchIndexCache.index = searchIndex;
+}
+
+async function rebuildSearchIndexFromSessionFiles(sessionIndex) {
+  const start = Date.now();
+  const searchIndex = makeSearchIndexSkeleton();
+  const records = listSessionRecords(sessionIndex);
+  for (const record of records) {
+    const { entries } = await readSessionFileEntries(record.file_path);
+    entries.forEach((entry, ordinal) => addEntryToSearchIndex(searchIndex, entry, ordinal));
+  }
+  searchIndex.next_file_index = sessionIndex.next_file_index || 0;
+  emitLog("info", "index", { message: "Rebuilt search index", sessions: records.length, durationMs: Date.now() - start });
+  return searchIndex;
+}
+
+async function getOrBuildSearchIndex(sessionIndex) {
+  const existing = await loadSearchIndex();
+  if (existing && existing.next_file_index === (sessionIndex.next_file_index || 0)) {
+    return existing;
+  }
+  const rebuilt = await rebuildSearchIndexFromSessionFiles(sessionIndex);
+  await persistSearchIndex(rebuilt);
+  return rebuilt;
+}
+
+async function updateSearchIndexForAppend(sessionIndex, appended, firstFileIndex) {
+  try {
+    const existing = await loadSearchIndex();
+    if (!existing || existing.next_file_index !== firstFileIndex) {
+      await persistSearchIndex(await rebuildSearchIndexFromSessionFiles(sessionIndex));
+      return;
+    }
+    appended.forEach(({ entry, ordinal }) => addEntryToSearchIndex(existing, entry, ordinal));
+    existing.next_file_index = sessionIndex.next_file_index;
+    await persistSearchIndex(existing);
+  } catch (error) {
+    // The entry is already stored; a missing search index is rebuilt on the next query.
+    logErr("Search index update failed", error);
+    await fs.unlink(SEARCH_INDEX_FILE).catch(() => {});
+    searchIndexCache.fileSignature = null;
+    searchIndexCache.index = null;
+  }
+}
+
+function resolveSessionFilePath(index, sessionId) {
+  const sessionBucket = resolveEntrySessionBucket(sessionId);
+  const record = isObject(index?.sessions?.[sessionBucket]) ? index.sessions[sessionBucket] : null;
+  if (record && typeof record.file_path === "string" && record.file_path) {
+    return record.file_path;
+  }
+  return sessionFilePathFromKey(sessionBucketToFileKey(sessionBucket));
+}
+
+function removeSessionFromIndex(index, sessionId) {
+  delete index.sessions[sessionId];
+  Object.entries(index.projects).forEach(([project, bucket]) => {
+    delete bucket[sessionId];
+    if (!Object.keys(bucket).length) {
+      delete index.projects[project];
+    }
+  });
+}
+
+function replaceSessionInIndex(index, sessionId, entries) {
+  removeSessionFromIndex(index, sessionId);
+  const fileIndex = Number.isInteger(index.next_file_index) && index.next_file_index >= 0 ? index.next_file_index : 0;
+  ensureSessionRecord(index, sessionId);
+  entries.forEach((entry) => applyEntryToSessionIndex(index, entry, fileIndex));
+  index.next_file_index = Math.max(index.next_file_index || 0, fileIndex + 1);
+}
+
+async function writeSessionFileAtomic(filePath, lines) {
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+  const tmpPath = `${filePath}.${process.pid}.${randomUUID().slice(0, 8)}.tmp`;
+  await fs.writeFile(tmpPath, lines.map((line) => `${line}\n`).join(""), "utf8");
+  await fs.rename(tmpPath, filePath);
+}
+
+async function repointActiveSessionFile(fromSessionIds, toSessionId) {
+  let current;
+  try {
+    current = normalizeSessionId(await fs.readFile(ACTIVE_SESSION_FILE, "utf8"));
+  } catch (error) {
+    if (error && error.code === "ENOENT") {
+      return false;
+    }
+    throw error;
+  }
+  if (!current || !fromSessionIds.includes(current)) {
+    return false;
+  }
+  await writeActiveSessionId(toSessionId);
+  return true;
+}
+
+async function moveSessionEntries({ sourceSessionIds, targetSessionId, requireNewTarget = false }) {
+  if (targetSessionId === NO_SESSION_BUCKET) {
+    throw new Error(`Cannot move entries into ${NO_SESSION_BUCKET}`);
+  }
+  if (sourceSessionIds.includes(targetSessionId)) {
+    throw new Error("Source and target session_id must differ");
+  }
+  await ensureStorageDirectories();
+  return await withWriteLock(async () => {
+    const index = await loadSessionIndexForWrite();
+    sourceSessionIds.forEach((sessionId) => {
+      if (!Object.hasOwn(index.sessions, sessionId)) {
+        throw new Error(`Session not found: ${sessionId}`);
+      }
+    });
+    const targetExisted = Object.hasOwn(index.sessions, targetSessionId);
+    if (targetExisted && requireNewTarget) {
+      throw new Error(`Session already exists: ${targetSessionId}. Use merge_sessions to combine sessions.`);
+    }
+
+    const wrapped = [];
+    const malformedLines = [];
+    let order = 0;
+    for (const sessionId of targetExisted ? [targetSessionId, ...sourceSessionIds] : sourceSessionIds) {
+      const filePath = resolveSessionFilePath(index, sessionId);
+      const raw = await readRawSessionFile(filePath);
+      const { entries, parseErrors } = parseEntries(raw, { filePath });
+      const rawLines = raw.split(/\r?\n/);
+      malformedLines.push(...parseErrors.map((error) => rawLines[error.line - 1]));
+      entries.forEach((entry) => {
+        wrapped.push({
+          entry: reassignEntrySession(entry, targetSessionId),
+          order,
+          tsMs: Date.parse(typeof entry.ts === "string" ? entry.ts : ""),
+        });
+        order += 1;
+      });
+    }
+    wrapped.sort(compareEntriesByTsThenOrder);
+    const entries = wrapped.map((item) => item.entry);
+
+    // Write the combined target before removing sources so a crash leaves duplicates rather than losing entries.
+    const targetFilePath = sessionFilePathFromKey(sessionBucketToFileKey(targetSessionId));
+    await writeSessionFileAtomic(targetFilePath, [...malformedLines, ...entries.map((entry) => JSON.stringify(entry))]);
+    for (const sessionId of sourceSessionIds) {
+      const sourceFilePath = resolveSessionFilePath(index, sessionId);
+      if (sourceFilePath !== targetFilePath) {
+        await fs.unlink(sourceFilePath).catch((error) => {
+          if (error?.code !== "ENOENT") throw error;
+        });
+      }
+      removeSessionFromIndex(index, sessionId);
+    }
+    replaceSessionInIndex(index, targetSessionId, entries);
+    await persistSessionIndex(index);
+    await moveCompactedArchives(sourceSessionIds, targetSessionId);
+    await moveRetiredSessions(sourceSessionIds, targetSessionId);
+
+    const claims = await readSessionClaims();
+    const claimMove = moveSessionClaims(claims, sourceSessionIds, targetSessionId);
+    if (claimMove.carried || claimMove.dropped) {
+      await writeSessionClaims(claims);
+    }
+
+    const activeRepointed = await repointActiveSessionFile(sourceSessionIds, targetSessionId);
+    return {
+      entryCount: entries.length,
+      malformedLineCount: malformedLines.length,
+      targetExisted,
+      targetFilePath,
+      activeRepointed,
+      carriedClaim: claimMove.carried,
+      droppedClaimCount: claimMove.dropped,
+    };
+  });
+}
+
+function reassignEntrySession(entry, targetSessionId) {
+  // A digest names its compaction archive, which moves along with the session.
+  if (entry.kind === "digest" && isObject(entry.compacted)) {
+    const archiveFile = path.basename(compactedFilePathForSession(targetSessionId));
+    return { ...entry, session_id: targetSessionId, compacted: { ...entry.compacted, archive_file: archiveFile } };
+  }
+  return { ...entry, session_id: targetSessionId };
+}
+
+async function moveCompactedArchives(sourceSessionIds, targetSessionId) {
+  // Compaction archives are append-only line dumps, so merging is appending; the target is written before sources go.
+  const targetPath = compactedFilePathForSession(targetSessionId);
+  for (const sessionId of sourceSessionIds) {
+    const sourcePath = compactedFilePathForSession(sessionId);
+    let raw;
+    try {
+      raw = await fs.readFile(sourcePath, "utf8");
+    } catch (error) {
+      if (error?.code === "ENOENT") continue;
+      throw error;
+    }
+    await fs.mkdir(COMPACTED_DIR, { recursive: true });
+    await fs.appendFile(targetPath, raw && !raw.endsWith("\n") ? `${raw}\n` : raw, "utf8");
+    await fs.unlink(sourcePath);
+  }
+}
+
+async function moveRetiredSessions(sourceSessionIds, targetSessionId) {
+  // Retired lines come back live on restore_session, so they take the target session_id like the live entries did.
+  const lines = [];
+  const movedPaths = [];
+  for (const sessionId of [targetSessionId, ...sourceSessionIds]) {
+    const retiredPath = retiredFilePathForSession(sessionId);
+    const raw = await readRetiredSessionRaw(retiredPath);
+    if (raw === null) continue;
+    if (sessionId !== targetSessionId) movedPaths.push(retiredPath);
+    raw.split(/\r?\n/).filter((line) => line.trim()).forEach((line) => {
+      let parsed;
+      try {
+        parsed = JSON.parse(line);
+      } catch {
+        parsed = undefined;
+      }
+      lines.push(isObject(parsed) ? JSON.stringify(reassignEntrySession(parsed, targetSessionId)) : line);
+    });
+  }
+  if (!movedPaths.length) {
+    return;
+  }
+  await writeRetiredSessionRaw(retiredFilePathForSession(targetSessionId), `${lines.join("\n")}\n`);
+  for (const retiredPath of movedPaths) {
+    await fs.unlink(retiredPath);
+  }
+}
+
+function buildSessionDigest(olderEntries, allEntries, { sessionId, agent, archiveFile }) {
+  // Deterministic for a given set of entries: no clock reads, sorted unions, id derived from the content.
+  const kinds = {};
+  const agents = [];
+  const handoffs = [];
+  const decisions = [];
+  const notes = [];
+  let openQuestions = [];
+  const files = [];
+  const tagCounts = {};
+  let status;
+  let forkedFrom;
+  let task;
+  const answeredIds = new Set(
+    allEntries.filter((entry) => entry.kind === "answer" && typeof entry.question_id === "string").map((entry) => entry.question_id),
+  );
+  const addKind = (kind, count = 1) => {
+    kinds[kind] = (kinds[kind] || 0) + count;
+  };
+  const addTags = (tag, count = 1) => {
+    if (typeof tag === "string" && tag.trim()) {
+      tagCounts[tag.trim()] = (tagCounts[tag.trim()] || 0) + count;
+    }
+  };
+  olderEntries.forEach((entry) => {
+    if (typeof entry.task === "string" && entry.task.trim()) task = entry.task.trim();
+    if (!forkedFrom) forkedFrom = normalizeForkedFrom(entry.forked_from);
+    if (entry.kind === "digest") {
+      // Re-compacting folds the previous digest in rather than nesting it.
+      Object.entries(isObject(entry.compacted?.kinds) ? entry.compacted.kinds : {}).forEach(([kind, count]) => {
+        if (Number.isInteger(count)) addKind(kind, count);
+      });
+      (entry.compacted?.agents || []).forEach((name) => pushUniqueString(agents, name));
+      handoffs.push(...(Array.isArray(entry.handoffs) ? entry.handoffs : []));
+      decisions.push(...(Array.isArray(entry.decisions) ? entry.decisions : []));
+      notes.push(...(Array.isArray(entry.notes) ? entry.notes : []));
+      // A digest's questions are those open at its newest handoff; a later handoff replaces them.
+      openQuestions = normalizeHandoffQuestions(entry).filter((question) => !answeredIds.has(question.id));
+      (Array.isArray(entry.files) ? entry.files : []).forEach((file) => pushUniqueString(files, file));
+      Object.entries(isObject(entry.tag_counts) ? entry.tag_counts : {}).forEach(([tag, count]) => {
+        if (Number.isInteger(count)) addTags(tag, count);
+      });
+      if (SESSION_STATUSES.includes(entry.status)) status = entry.status;
+      return;
+    }
+    addKind(entry.kind || "unknown");
+    pushUniqueString(agents, entry.agent);
+    if (Array.isArray(entry.tags)) {
+      const entryTags = [];
+      entry.tags.forEach((tag) => pushUniqueString(entryTags, tag));
+      entryTags.forEach((tag) => addTags(tag));
+    }
+    if (Array.isArray(entry.files)) entry.files.forEach((file) => pushUniqueString(files, file));
+    if (entry.kind === "handoff") {
+      handoffs.push({ id: entry.id, ts: entry.ts, agent: entry.agent, summary: entry.summary });
+      // Each handoff restates the open questions, so only the newest one's still count.
+      openQuestions = normalizeHandoffQuestions(entry).filter((question) => !answeredIds.has(question.id));
+    } else if (entry.kind === "note" && typeof entry.text === "string") {
+      notes.push({
+        id: entry.id,
+        ts: entry.ts,
+        agent: entry.agent,
+        text: entry.text.length > DIGEST_NOTE_TEXT_CHARS ? `${entry.text.slice(0, DIGEST_NOTE_TEXT_CHARS - 3)}...` : entry.text,
+      });
+    } else if (entry.kind === "decision") {
+      decisions.push({
+        id: entry.id,
+        ts: entry.ts,
+        agent: entry.agent,
+        decision: entry.decision,
+        rationale: entry.rationale,
+        alternatives: entry.alternatives,
+      });
+    } else if (entry.kind === "status" && SESSION_STATUSES.includes(entry.status)) {
+      status = entry.status;
+    }
+  });
+  const first = olderEntries[0];
+  const last = olderEntries[olderEntries.length - 1];
+  const contentHash = createHash("sha256")
+    .update(olderEntries.map((entry) => JSON.stringify(entry)).join("\n"))
+    .digest("hex");
+  const sortedKinds = {};
+  Object.keys(kinds).sort().forEach((kind) => {
+    sortedKinds[kind] = kinds[kind];
+  });
+  const sortedTagCounts = {};
+  Object.keys(tagCounts).sort().forEach((tag) => {
+    sortedTagCounts[tag] = tagCounts[tag];
+  });
+  return {
+    id: `digest-${contentHash.slice(0, 24)}`,
+    ts: last.ts,
+    kind: "digest",
+    project: first.project,
+    agent,
+    session_id: sessionId === NO_SESSION_BUCKET ? undefined : sessionId,
+    task,
+    compacted: {
+      entry_count: Object.values(kinds).reduce((sum, count) => sum + count, 0),
+      from_ts: first.kind === "digest" ? first.compacted?.from_ts || first.ts : first.ts,
+      to_ts: last.ts,
+      kinds: sortedKinds,
+      agents: agents.sort(),
+      archive_file: path.basename(archiveFile),
+    },
+    status,
+    forked_from: forkedFrom,
+    handoffs,
+    decisions,
+    // The full text stays in the archive; the digest keeps the newest notes, shortened.
+    notes: notes.length ? notes.slice(-DIGEST_MAX_NOTES) : undefined,
+    open_questions: openQuestions.length ? openQuestions : undefined,
+    files: files.sort(),
+    tag_counts: sortedTagCounts,
+  };
+}
+
+async function compactSessionEntries({ sessionId, agent, keepRecent }) {
+  await ensureStorageDirectories();
+  return await withWriteLock(async () => {
+    const index = await loadSessionIndexForWrite();
+    if (!Object.hasOwn(index.sessions, sessionId)) {
+      throw new Error(`Session not found: ${sessionId}`);
+    }
+    const filePath = resolveSessionFilePath(index, sessionId);
+    const raw = await readRawSessionFile(filePath);
+    const { entries, parseErrors } = parseEntries(raw, { filePath });
+    const rawLines = raw.split(/\r?\n/);
+    const malformedLines = parseErrors.map((error) => rawLines[error.line - 1]);
+
+    // The latest handoff and everything after it stay verbatim so checklists and open questions keep working.
+    let cutoff = Math.max(0, entries.length - keepRecent);
+    const latestHandoffPos = entries.map((entry) => entry.kind).lastIndexOf("handoff");
+    if (latestHandoffPos >= 0) {
+      cutoff = Math.min(cutoff, latestHandoffPos);
+    }
+    const archiveFile = compactedFilePathForSession(sessionId);
+    if (cutoff < 2) {
+      return { compactedCount: 0, keptCount: entries.length, filePath, archiveFile };
+    }
+    const older = entries.slice(0, cutoff);
+    const kept = entries.slice(cutoff);
+
+    // Archive before rewriting so a crash leaves the originals in both places rather than neither.
+    await fs.mkdir(COMPACTED_DIR, { recursive: true });
+    await fs.appendFile(
+      archiveFile,
+      [...malformedLines, ...older.map((entry) => JSON.stringify(entry))].map((line) => `${line}\n`).join(""),
+      "utf8",
+    );
+    const digest = buildSessionDigest(older, entries, { sessionId, agent, archiveFile });
+    const nextEntries = [digest, ...kept];
+    await writeSessionFileAtomic(filePath, nextEntries.map((entry) => JSON.stringify(entry)));
+    replaceSessionInIndex(index, sessionId, nextEntries);
+    await persistSessionIndex(index);
+    return {
+      compactedCount: older.length,
+      keptCount: kept.length,
+      malformedLineCount: malformedLines.length,
+      digest,
+      filePath,
+      archiveFile,
+    };
+  });
+}
+
+function resolveRetentionDays(project) {
+  if (project && RETENTION_PROJECT_DAYS.has(project)) {
+    return RETENTION_PROJECT_DAYS.get(project);
+  }
+  return RETENTION_DAYS;
+}
+
+function isRetentionEnabled() {
+  return RETENTION_DAYS > 0 || [...RETENTION_PROJECT_DAYS.values()].some((days) => days > 0);
+}
+
+function compactedFilePathForSession(sessionId) {
+  return path.join(COMPACTED_DIR, `${sessionBucketToFileKey(sessionId)}.jsonl`);
+}
+
+function retiredFilePathForSession(sessionId) {
+  return path.join(RETIRED_DIR, `${sessionBucketToFileKey(sessionId)}.jsonl.gz`);
+}
+
+async function readRetiredSessionRaw(retiredPath) {
+  try {
+    return (await gunzipAsync(await fs.readFile(retiredPath))).toString("utf8");
+  } catch (error) {
+    if (error && error.code === "ENOENT") {
+      return null;
+    }
+    throw error;
+  }
+}
+
+async function writeRetiredSessionRaw(retiredPath, raw) {
+  await fs.mkdir(RETIRED_DIR, { recursive: true });
+  const tmpPath = `${retiredPath}.${process.pid}.${randomUUID().slice(0, 8)}.tmp`;
+  await fs.writeFile(tmpPath, await gzipAsync(Buffer.from(raw, "utf8")));
+  await fs.rename(tmpPath, retiredPath);
+}
+
+async function retireSessionFile(sessionId, filePath) {
+  const retiredPath = retiredFilePathForSession(sessionId);
+  const previous = (await readRetiredSessionRaw(retiredPath)) || "";
+  const raw = await readRawSessionFile(filePath);
+  const separator = previous && !previous.endsWith("\n") ? "\n" : "";
+  await writeRetiredSessionRaw(retiredPath, `${previous}${separator}${raw}`);
+  await fs.unlink(filePath).catch((error) => {
+    if (error?.code !== "ENOENT") throw error;
+  });
+  return retiredPath;
+}
+
+async function retireStaleSessions(nowMs = Date.now()) {
+  const activeSessionId = await readActiveSessionId();
+  const claims = await readSessionClaims();
+  await ensureStorageDirectories();
+  return await withWriteLock(async () => {
+    const index = await loadSessionIndexForWrite();
+    const retired = [];
+    for (const [sessionId, record] of Object.entries(index.sessions)) {
+      const days = resolveRetentionDays(record.project);
+      if (!days || sessionId === activeSessionId || getActiveClaim(claims, sessionId, nowMs)) continue;
+      if (typeof record.latest_ts_ms !== "number" || nowMs - record.latest_ts_ms < days * DAY_MS) continue;
+      await retireSessionFile(sessionId, resolveSessionFilePath(index, sessionId));
+      removeSessionFromIndex(index, sessionId);
+      retired.push(sessionId);
+    }
+    if (retired.length) {
+      // Bumping next_file_index makes the search index rebuild without the retired sessions.
+      index.next_file_index = (index.next_file_index || 0) + 1;
+      await persistSessionIndex(index);
+    }
+    return retired;
+  });
+}
+
+async function maybeApplyRetention({ force = false } = {}) {
+  if (!isRetentionEnabled()) {
+    return [];
+  }
+  const now = Date.now();
+  if (!force && now - retentionState.lastRunMs < RETENTION_CHECK_INTERVAL_MS) {
+    return [];
+  }
+  retentionState.lastRunMs = now;
+  try {
+    const retired = await retireStaleSessions(now);
+    if (retired.length) {
+      logErr(`Retention retired ${retired.length} stale session(s): ${retired.join(", ")}`);
+    }
+    return retired;
+  } catch (error) {
+    logErr("Retention run failed", error);
+    return [];
+  }
+}
+
+async function restoreRetiredSession({ sessionId, agent }) {
+  const retiredPath = retiredFilePathForSession(sessionId);
+  await ensureStorageDirectories();
+  return await withWriteLock(async () => {
+    const retiredRaw = await readRetiredSessionRaw(retiredPath);
+    if (retiredRaw === null) {
+      return null;
+    }
+    const index = await loadSessionIndexForWrite();
+    const filePath = sessionFilePathFromKey(sessionBucketToFileKey(sessionId));
+    // Entries written after retirement stay after the retired ones.
+    const combined = `${retiredRaw}\n${await readRawSessionFile(filePath)}`;
+    const { entries } = parseEntries(combined, { filePath });
+    const lastStatus = entries.filter((entry) => entry.kind === "status" && SESSION_STATUSES.includes(entry.status)).pop();
+    const status = lastStatus && lastStatus.status !== "archived" ? lastStatus.status : "open";
+    // The reopening entry also restarts the inactivity clock so the next retention run keeps the session.
+    const reopen = {
+      id: randomUUID(),
+      ts: new Date().toISOString(),
+      kind: "status",
+      project: entries.find((entry) => entry.project)?.project || DEFAULT_PROJECT,
+      agent,
+      session_id: sessionId === NO_SESSION_BUCKET ? undefined : sessionId,
+      status,
+      reason: "restored",
+    };
+    const lines = combined.split(/\r?\n/).filter((line) => line.trim());
+    await writeSessionFileAtomic(filePath, [...lines, JSON.stringify(reopen)]);
+    replaceSessionInIndex(index, sessionId, [...entries, reopen]);
+    await persistSessionIndex(index);
+    await fs.unlink(retiredPath);
+    return { entryCount: entries.length + 1, filePath, retiredPath, status };
+  });
+}
+
+function artifactPathFromHash(hash) {
+  return path.join(ARTIFACTS_DIR, hash);
+}
+
+function artifactMetaPathFromHash(hash) {
+  return path.join(ARTIFACTS_DIR, `${hash}.json`);
+}
+
+function isArtifactHash(value) {
+  return typeof value === "string" && /^[a-f0-9]{64}$/.test(value);
+}
+
+function decodeBase64Strict(content, name) {
+  // Standard or base64url alphabet, padding optional. Buffer.from silently drops invalid characters, so the
+  // unpadded data must also re-encode to itself (which rejects stray bits in the last character).
+  const compact = content.replace(/\s+/g, "").replace(/-/g, "+").replace(/_/g, "/");
+  const match = compact.match(/^([A-Za-z0-9+/]*)(={0,2})$/);
+  const data = match ? match[1] : "";
+  const padded = match && data.length % 4 !== 1 && (!match[2] || (data.length + match[2].length) % 4 === 0);
+  const buffer = Buffer.from(data, "base64");
+  if (!padded || buffer.toString("base64").replace(/=+$/, "") !== data) {
+    throw new Error(`${name} is not valid base64`);
+  }
+  return buffer;
+}
+
+async function writeFileAtomicIfMissing(filePath, data) {
+  try {
+    await fs.access(filePath);
+    return false;
+  } catch {
+    // fall through and write it
+  }
+  const tmpPath = `${filePath}.${process.pid}.${randomUUID().slice(0, 8)}.tmp`;
+  await fs.writeFile(tmpPath, data);
+  await fs.rename(tmpPath, filePath);
+  return true;
+}
+
+async function storeArtifact(buffer, { mimeType }) {
+  // Content-addressed, so an existing blob with the same hash is already the right bytes; its first MIME type is kept.
+  const hash = createHash("sha256").update(buffer).digest("hex");
+  const filePath = artifactPathFromHash(hash);
+  await fs.mkdir(ARTIFACTS_DIR, { recursive: true });
+  const written = await writeFileAtomicIfMissing(filePath, buffer);
+  await writeFileAtomicIfMissing(artifactMetaPathFromHash(hash), `${JSON.stringify({ mime_type: mimeType })}\n`);
+  return { hash, filePath, existed: !written };
+}
+
+async function readArtifactMimeType(hash) {
+  try {
+    const meta = JSON.parse(await fs.readFile(artifactMetaPathFromHash(hash), "utf8"));
+    return isObject(meta) && typeof meta.mime_type === "string" && meta.mime_type ? meta.mime_type : undefined;
+  } catch {
+    // Blobs stored before the metadata sidecar existed fall back to a type guessed from the bytes.
+    return undefined;
+  }
+}
+
+function collectSessionArtifacts(sessionEntries) {
+  return sessionEntries
+    .filter((entry) => isObject(entry.artifact) && isArtifactHash(entry.artifact.hash))
+    .map((entry) => ({
+      ...entry.artifact,
+      uri: `shared-context://artifact/${entry.artifact.hash}`,
+      entry_id: entry.id,
+      agent: entry.agent,
+      ts: entry.ts,
+    }));
+}
+
+function formatArtifactLine(artifact) {
+  const name = artifact.name ? `${sanitizeDisplayText(artifact.name, { singleLine: true })} ` : "";
+  return `${name}sha256:${artifact.hash} (${artifact.bytes} bytes, ${sanitizeDisplayText(artifact.mime_type || "unknown", { singleLine: true })}) shared-context://artifact/${artifact.hash}`;
+}
+
+async function readSessionClaims() {
+  let raw;
+  try {
+    raw = JSON.parse(await fs.readFile(CLAIMS_FILE, "utf8"));
+  } catch (error) {
+    if (error && error.code !== "ENOENT") {
+      logErr("Ignoring unreadable claims file", error);
+    }
+    return Object.create(null);
+  }
+  const claims = Object.create(null);
+  if (isObject(raw) && isObject(raw.claims)) {
+    Object.entries(raw.claims).forEach(([sessionId, claim]) => {
+      if (isObject(claim) && typeof claim.agent === "string" && typeof claim.expires_at === "string") {
+        claims[sessionId] = claim;
+      }
+    });
+  }
+  return claims;
+}
+
+async function writeSessionClaims(claims) {
+  const now = Date.now();
+  const active = Object.create(null);
+  Object.keys(claims).forEach((sessionId) => {
+    if (getActiveClaim(claims, sessionId, now)) {
+      active[sessionId] = claims[sessionId];
+    }
+  });
+  await ensureStorageDirectories();
+  const tmpPath = `${CLAIMS_FILE}.${process.pid}.${randomUUID().slice(0, 8)}.tmp`;
+  await fs.writeFile(tmpPath, `${JSON.stringify({ version: 1, claims: active })}\n`, "utf8");
+  await fs.rename(tmpPath, CLAIMS_FILE);
+}
+
+function getActiveClaim(claims, sessionId, nowMs = Date.now()) {
+  if (!claims || !Object.hasOwn(claims, sessionId)) {
+    return null;
+  }
+  const claim = claims[sessionId];
+  const expiresMs = Date.parse(claim.expires_at);
+  if (!Number.isFinite(expiresMs) || expiresMs <= nowMs) {
+    return null;
+  }
+  return claim;
+}
+
+async function claimSession({ sessionId, agent, ttlSeconds }) {
+  await ensureStorageDirectories();
+  return await withWriteLock(async () => {
+    // Looked up under the lock, like the claim itself, so a session renamed or merged away meanwhile is not claimed.
+    const index = await loadSessionIndexForWrite();
+    if (!Object.hasOwn(index.sessions, sessionId)) {
+      return { ok: false, reason: "not_found" };
+    }
+    if (index.sessions[sessionId].status === "archived") {
+      return { ok: false, reason: "archived" };
+    }
+    const claims = await readSessionClaims();
+    const now = new Date();
+    const existing = getActiveClaim(claims, sessionId, now.getTime());
+    if (existing && existing.agent !== agent) {
+      return { ok: false, reason: "claimed", claim: existing };
+    }
+    const claim = {
+      agent,
+      claimed_at: existing ? existing.claimed_at : now.toISOString(),
+      renewed_at: now.toISOString(),
+      expires_at: new Date(now.getTime() + ttlSeconds * 1000).toISOString(),
+    };
+    claims[sessionId] = claim;
+    await writeSessionClaims(claims);
+    return { ok: true, renewed: Boolean(existing), claim };
+  });
+}
+
+async function releaseSession({ sessionId, agent, force }) {
+  await ensureStorageDirectories();
+  return await withWriteLock(async () => {
+    const claims = await readSessionClaims();
+    const existing = getActiveClaim(claims, sessionId);
+    if (!existing) {
+      return { ok: true, released: false };
+    }
+    if (existing.agent !== agent && !force) {
+      return { ok: false, claim: existing };
+    }
+    delete claims[sessionId];
+    await writeSessionClaims(claims);
+    return { ok: true, released: true, claim: existing };
+  });
+}
+
+function moveSessionClaims(claims, sourceSessionIds, targetSessionId) {
+  // The target keeps its own claim; otherwise the sources' claim carries over when they agree on one agent.
+  const now = Date.now();
+  const sourceClaims = sourceSessionIds.map((sessionId) => getActiveClaim(claims, sessionId, now)).filter(Boolean);
+  sourceSessionIds.forEach((sessionId) => {
+    delete claims[sessionId];
+  });
+  const agents = new Set(sourceClaims.map((claim) => claim.agent));
+  if (!getActiveClaim(claims, targetSessionId, now) && agents.size === 1) {
+    claims[targetSessionId] = sourceClaims.reduce((latest, claim) =>
+      Date.parse(claim.expires_at) > Date.parse(latest.expires_at) ? claim : latest);
+    return { carried: claims[targetSessionId], dropped: 0 };
+  }
+  return { carried: null, dropped: sourceClaims.length };
+}
+
+async function describeClaimConflict(sessionId, agent) {
+  const claim = getActiveClaim(await readSessionClaims(), resolveEntrySessionBucket(sessionId));
+  if (!claim || claim.agent === agent) {
+    return "";
+  }
+  return `\nWarning: session ${resolveEntrySessionBucket(sessionId)} is claimed by ${claim.agent} until ${claim.expires_at}. Coordinate before continuing.`;
+}
+
+async function readEntries({ sessionIds } = {}) {
+  const { index, parseErrors: indexParseErrors } = await getOrBuildSessionIndex();
+  const requestedSessionIds = Array.isArray(sessionIds)
+    ? sessionIds.map((sessionId) => resolveEntrySessionBucket(sessionId))
+    : null;
+  const targetSessionIds =
+    requestedSessionIds && requestedSessionIds.length ? requestedSessionIds : Object.keys(index.sessions || {});
+
+  if (!targetSessionIds.length) {
+    return { entries: [], parseErrors: indexParseErrors };
+  }
+
+  const parseErrors = [...indexParseErrors];
+  const wrapped = [];
+  let order = 0;
+  for (const sessionId of targetSessionIds) {
+    throwIfCancelled();
+    const filePath = resolveSessionFilePath(index, sessionId);
+    const { entries: sessionEntries, parseErrors: sessionErrors } = await readSessionFileEntries(filePath);
+    parseErrors.push(...sessionErrors);
+    sessionEntries.forEach((entry) => {
+      wrapped.push({
+        entry,
+        order,
+        tsMs: Date.parse(typeof entry.ts === "string" ? entry.ts : ""),
+      });
+      order += 1;
+    });
+  }
+
+  if (targetSessionIds.length > 1) {
+    wrapped.sort(compareEntriesByTsThenOrder);
+  }
+
+  if (parseErrors.length) {
+    // Counts per file only: parse error text can quote the malformed line itself. A rebuild in the same call
+    // reports the same lines again, so they are counted once.
+    const linesByFile = new Map();
+    parseErrors.forEach(({ file, line }) => linesByFile.set(file, (linesByFile.get(file) || new Set()).add(line)));
+    const skipped = [...linesByFile.values()].reduce((sum, lines) => sum + lines.size, 0);
+    emitLog("warning", "parse", {
+      message: `Skipped ${skipped} malformed JSONL line(s)`,
+      files: [...linesByFile].slice(0, 20).map(([file, lines]) => ({ file: path.basename(file), lines: lines.size })),
+    });
+  }
+  return {
+    entries: wrapped.map((item) => item.entry),
+    parseErrors,
+  };
+}
+
+function matchesTagFilters(hasTag, tags, anyTags) {
+  if (tags?.length && !tags.every(hasTag)) return false;
+  if (anyTags?.length && !anyTags.some(hasTag)) return false;
+  return true;
+}
+
+function filterEntries(entries, filters = {}) {
+  const {
+    project,
+    agent,
+    session_id,
+    kind,
+    since,
+    tags,
+    any_tags,
+  } = filters;
+  const sinceMs = since ? Date.parse(since) : null;
+  return entries.filter((entry) => {
+    if (project && entry.project !== project) return false;
+    if (agent && entry.agent !== agent) return false;
+    if (session_id && entry.session_id !== session_id) return false;
+    if (kind && entry.kind !== kind) return false;
+    if (sinceMs !== null) {
+      const entryMs = Date.parse(entry.ts || "");
+      if (Number.isNaN(entryMs) || entryMs < sinceMs) return false;
+    }
+    if (tags?.length || any_tags?.length) {
+      const entryTags = Array.isArray(entry.tags) ? entry.tags : [];
+      if (!matchesTagFilters((tag) => entryTags.includes(tag), tags, any_tags)) return false;
+    }
+    return true;
+  });
+}
+
+function filterSessionSummariesByTags(summaries, { tags, anyTags }) {
+  if (!tags?.length && !anyTags?.length) {
+    return summaries;
+  }
+  return summaries.filter((summary) =>
+    matchesTagFilters(
+      (tag) => isObject(summary.tag_counts) && Object.hasOwn(summary.tag_counts, tag),
+      tags,
+      anyTags,
+    ));
+}
+
+function selectRecent(entries, limit) {
+  if (entries.length <= limit) {
+    return entries;
+  }
+  return entries.slice(entries.length - limit);
+}
+
+function encodeCursor(kind, payload) {
+  return Buffer.from(JSON.stringify({ k: kind, ...payload }), "utf8").toString("base64url");
+}
+
+function decodeCursor(value, kind, name = "cursor") {
+  const raw = asString(value, name);
+  if (raw === undefined) {
+    return undefined;
+  }
+  try {
+    const parsed = JSON.parse(Buffer.from(raw, "base64url").toString("utf8"));
+    if (isObject(parsed) && parsed.k === kind) {
+      return parsed;
+    }
+  } catch {
+    // fall through to the error below
+  }
+  throw Object.assign(new Error(`Invalid ${name}`), { code: -32602 });
+}
+
+function pageEntriesBackwards(entries, limit, cursor) {
+  // The cursor anchors on the oldest entry already returned, so appends at the tail never shift later pages.
+  let end = entries.length;
+  if (cursor) {
+    const anchorIndex = typeof cursor.id === "string" ? entries.findIndex((entry) => entry.id === cursor.id) : -1;
+    if (anchorIndex !== -1) {
+      end = anchorIndex;
+    } else {
+      // Anchor entry is gone (compacted or merged away): fall back to its timestamp.
+      const anchorMs = Date.parse(cursor.ts);
+      if (!Number.isFinite(anchorMs)) {
+        throw Object.assign(new Error("Invalid cursor"), { code: -32602 });
+      }
+      const firstAfter = entries.findIndex((entry) => !(Date.parse(entry.ts) < anchorMs));
+      end = firstAfter === -1 ? entries.length : firstAfter;
+    }
+  }
+  const start = Math.max(0, end - limit);
+  const page = entries.slice(start, end);
+  const nextCursor = start > 0 ? encodeCursor("entries", { id: page[0].id, ts: page[0].ts }) : null;
+  return { page, nextCursor };
+}
+
+function pageSessionSummaries(summaries, limit, cursor) {
+  let start = 0;
+  if (cursor) {
+    const anchorIndex = summaries.findIndex((summary) => summary.session_id === cursor.session_id);
+    if (anchorIndex !== -1 && summaries[anchorIndex].latest_ts === cursor.latest_ts) {
+      start = anchorIndex + 1;
+    } else {
+      // The anchor session moved to the top (new activity) or disappeared: resume by its old position in time.
+      const anchorMs = Date.parse(cursor.latest_ts);
+      if (!Number.isFinite(anchorMs)) {
+        throw Object.assign(new Error("Invalid cursor"), { code: -32602 });
+      }
+      const firstOlder = summaries.findIndex((summary) => {
+        const tsMs = getSummaryLatestTsMs(summary);
+        return tsMs < anchorMs || (tsMs === anchorMs && String(summary.session_id) > String(cursor.session_id));
+      });
+      start = firstOlder === -1 ? summaries.length : firstOlder;
+    }
+  }
+  const page = summaries.slice(start, start + limit);
+  const last = page[page.length - 1];
+  const nextCursor =
+    start + limit < summaries.length ? encodeCursor("sessions", { session_id: last.session_id, latest_ts: last.latest_ts }) : null;
+  return { page, nextCursor };
+}
+
+function pageList(items, cursor, kind) {
+  const offset = cursor ? cursor.offset : 0;
+  if (!Number.isInteger(offset) || offset < 0 || offset > items.length) {
+    throw Object.assign(new Error("Invalid cursor"), { code: -32602 });
+  }
+  const page = items.slice(offset, offset + LIST_PAGE_SIZE);
+  const nextOffset = offset + page.length;
+  return { page, nextCursor: nextOffset < items.length ? encodeCursor(kind, { offset: nextOffset }) : undefined };
+}
+
+function asExportFormat(value) {
+  const format = asString(value, "format") || "markdown";
+  if (!EXPORT_FORMATS.includes(format)) {
+    throw new Error(`format must be one of: ${EXPORT_FORMATS.join(", ")}`);
+  }
+  return format;
+}
+
+function asImportFormat(value) {
+  const format = asString(value, "format");
+  if (format && !IMPORT_FORMATS.includes(format)) {
+    throw new Error(`format must be one of: ${IMPORT_FORMATS.join(", ")}`);
+  }
+  return format;
+}
+
+function asBoolean(value, name, fallback = false) {
+  if (value === undefined || value === null) {
+    return fallback;
+  }
+  if (typeof value !== "boolean") {
+    throw new Error(`Expected boolean for ${name}`);
+  }
+  return value;
+}
+
+function truncateText(value, maxLength = 120) {
+  if (typeof value !== "string") {
+    return undefined;
+  }
+  const text = sanitizeDisplayText(value, { singleLine: true }).trim();
+  if (!text) {
+    return undefined;
+  }
+  if (text.length <= maxLength) {
+    return text;
+  }
+  return `${text.slice(0, Math.max(0, maxLength - 3))}...`;
+}
+
+function makeSessionSummary(sessionId, project) {
+  return {
+    session_id: sessionId,
+    project: project || undefined,
+    entry_count: 0,
+    note_count: 0,
+    handoff_count: 0,
+    decision_count: 0,
+    latest_ts: undefined,
+    latest_ts_ms: null,
+    latest_file_index: -1,
+    last_entry_kind: undefined,
+    status: "open",
+    task: undefined,
+    agents: [],
+    latest_handoff_summary: undefined,
+    tag_counts: Object.create(null),
+    forked_from: undefined,
+  };
+}
+
+function normalizeForkedFrom(value) {
+  if (!isObject(value) || typeof value.session_id !== "string" || !value.session_id.trim()) {
+    return undefined;
+  }
+  return {
+    session_id: value.session_id.trim(),
+    entry_id: typeof value.entry_id === "string" && value.entry_id ? value.entry_id : undefined,
+    ts: typeof value.ts === "string" && value.ts ? value.ts : undefined,
+  };
+}
+
+function buildSessionLineage(index, sessionId, maxDepth = 20) {
+  const lineage = [];
+  const seen = new Set([sessionId]);
+  let record = isObject(index?.sessions) && Object.hasOwn(index.sessions, sessionId) ? index.sessions[sessionId] : null;
+  while (record?.forked_from && lineage.length < maxDepth) {
+    const parent = record.forked_from;
+    lineage.push(parent);
+    if (seen.has(parent.session_id)) {
+      break;
+    }
+    seen.add(parent.session_id);
+    record = Object.hasOwn(index.sessions, parent.session_id) ? index.sessions[parent.session_id] : null;
+  }
+  return lineage;
+}
+
+function formatLineage(lineage) {
+  return lineage
+    .map((parent) => {
+      const safeSessionId = sanitizeDisplayText(parent.session_id, { singleLine: true });
+      const entryPart = parent.entry_id ? ` entry=${sanitizeDisplayText(parent.entry_id, { singleLine: true })}` : "";
+      return `session=${safeSessionId}${entryPart}`;
+    })
+    .join(" <- ");
+}
+
+function pushUniqueString(target, value) {
+  if (typeof value !== "string") {
+    return;
+  }
+  const trimmed = value.trim();
+  if (!trimmed) {
+    return;
+  }
+  if (!target.includes(trimmed)) {
+    target.push(trimmed);
+  }
+}
+
+function applyEntryToSessionSummary(summary, entry, fileIndex) {
+  summary.entry_count += 1;
+  if (entry.kind === "note") summary.note_count += 1;
+  if (entry.kind === "handoff") summary.handoff_count += 1;
+  if (entry.kind === "decision") summary.decision_count += 1;
+  if (entry.kind === "digest" && isObject(entry.compacted?.kinds)) {
+    // Digests keep the per-kind counts of the entries they replaced; entry_count still counts stored lines.
+    const kinds = entry.compacted.kinds;
+    summary.note_count += Number.isInteger(kinds.note) ? kinds.note : 0;
+    summary.handoff_count += Number.isInteger(kinds.handoff) ? kinds.handoff : 0;
+    summary.decision_count += Number.isInteger(kinds.decision) ? kinds.decision : 0;
+    if (Array.isArray(entry.compacted.agents)) {
+      entry.compacted.agents.forEach((agent) => pushUniqueString(summary.agents, agent));
+    }
+  }
+  summary.last_entry_kind = entry.kind || summary.last_entry_kind;
+  if (Number.isInteger(fileIndex)) {
+    summary.latest_file_index = fileIndex;
+  }
+  if (!summary.project && entry.project) {
+    summary.project = entry.project;
+  }
+  if (typeof entry.task === "string" && entry.task.trim()) {
+    summary.task = entry.task.trim();
+  }
+  pushUniqueString(summary.agents, entry.agent);
+  if ((entry.kind === "status" || entry.kind === "digest") && SESSION_STATUSES.includes(entry.status)) {
+    summary.status = entry.status;
+  }
+  if (!summary.forked_from) {
+    summary.forked_from = normalizeForkedFrom(entry.forked_from);
+  }
+  if (Array.isArray(entry.tags)) {
+    const entryTags = [];
+    entry.tags.forEach((tag) => pushUniqueString(entryTags, tag));
+    entryTags.forEach((tag) => {
+      summary.tag_counts[tag] = (summary.tag_counts[tag] || 0) + 1;
+    });
+  }
+  if (entry.kind === "digest" && isObject(entry.tag_counts)) {
+    Object.entries(entry.tag_counts).forEach(([tag, count]) => {
+      if (tag && Number.isInteger(count) && count > 0) {
+        summary.tag_counts[tag] = (summary.tag_counts[tag] || 0) + count;
+      }
+    });
+  }
+  if (entry.kind === "handoff") {
+    const handoffSummary = truncateText(entry.summary, 180);
+    if (handoffSummary) {
+      summary.latest_handoff_summary = handoffSummary;
+    }
+  }
+
+  const entryTs = typeof entry.ts === "string" ? entry.ts : undefined;
+  const entryTsMs = entryTs ? Date.parse(entryTs) : Number.NaN;
+  if (Number.isFinite(entryTsMs)) {
+    if (summary.latest_ts_ms === null || entryTsMs >= summary.latest_ts_ms) {
+      summary.latest_ts_ms = entryTsMs;
+      summary.latest_ts = new Date(entryTsMs).toISOString();
+      if (Number.isInteger(fileIndex)) {
+        summary.latest_file_index = fileIndex;
+      }
+    }
+  } else if (!summary.latest_ts && entryTs) {
+    summary.latest_ts = entryTs;
+  }
+}
+
+function getSummaryLatestTsMs(summary) {
+  if (typeof summary.latest_ts_ms === "number" && Number.isFinite(summary.latest_ts_ms)) {
+    return summary.latest_ts_ms;
+  }
+  if (typeof summary.latest_ts === "string" && summary.latest_ts) {
+    const parsed = Date.parse(summary.latest_ts);
+    if (Number.isFinite(parsed)) {
+      return parsed;
+    }
+  }
+  return Number.NEGATIVE_INFINITY;
+}
 
-function resolveEntrySessionBucket(value) {
-  return normalizeSessionId(value) || NO_SESSION_BUCKET;
+function sortSessionSummaries(summaries) {
+  return summaries.sort((a, b) => {
+    const aTs = getSummaryLatestTsMs(a);
+    const bTs = getSummaryLatestTsMs(b);
+    if (bTs !== aTs) return bTs - aTs;
+    const aIndex = Number.isInteger(a.latest_file_index) ? a.latest_file_index : -1;
+    const bIndex = Number.isInteger(b.latest_file_index) ? b.latest_file_index : -1;
+    if (bIndex !== aIndex) return bIndex - aIndex;
+    return String(a.session_id).localeCompare(String(b.session_id));
+  });
 }
 
-function sessionBucketToFileKey(sessionBucket) {
-  if (sessionBucket === NO_SESSION_BUCKET) {
-    return "no-session-id";
+function buildSessionSummaries(entries, { includeUnsessioned = false } = {}) {
+  const sessions = new Map();
+
+  entries.forEach((entry, fileIndex) => {
+    const rawSessionId = typeof entry.session_id === "string" ? entry.session_id.trim() : "";
+    const sessionId = rawSessionId || (includeUnsessioned ? NO_SESSION_BUCKET : "");
+    if (!sessionId) {
+      return;
+    }
+
+    let summary = sessions.get(sessionId);
+    if (!summary) {
+      summary = makeSessionSummary(sessionId, entry.project);
+      sessions.set(sessionId, summary);
+    }
+    applyEntryToSessionSummary(summary, entry, fileIndex);
+  });
+
+  return sortSessionSummaries(
+    [...sessions.values()].map((summary) => ({
+      ...summary,
+      agents: [...summary.agents].sort(),
+    })),
+  );
+}
+
+function sortTagCounts(tagCounts) {
+  if (!isObject(tagCounts)) {
+    return [];
   }
-  return Buffer.from(sessionBucket, "utf8").toString("base64url");
+  return Object.entries(tagCounts)
+    .map(([tag, count]) => ({ tag, count }))
+    .sort((a, b) => (b.count - a.count) || a.tag.localeCompare(b.tag));
 }
 
-function sessionFilePathFromKey(fileKey) {
-  return path.join(SESSION_DATA_DIR, `${fileKey}.jsonl`);
+function buildTagCatalogue(index, { project, session_id }) {
+  const bucket = isObject(index?.projects?.[project]) ? index.projects[project] : {};
+  const summaries = sortSessionSummaries(
+    Object.values(bucket).filter((summary) => !session_id || summary.session_id === session_id),
+  );
+  const totals = new Map();
+  const sessions = [];
+  summaries.forEach((summary) => {
+    const tags = sortTagCounts(summary.tag_counts);
+    if (!tags.length) {
+      return;
+    }
+    sessions.push({ session_id: summary.session_id, tags });
+    tags.forEach(({ tag, count }) => {
+      const total = totals.get(tag) || { tag, count: 0, sessions: 0 };
+      total.count += count;
+      total.sessions += 1;
+      totals.set(tag, total);
+    });
+  });
+  return {
+    tags: [...totals.values()].sort((a, b) => (b.count - a.count) || a.tag.localeCompare(b.tag)),
+    sessions,
+  };
 }
 
-function sanitizeSessionId(value) {
-  if (typeof value !== "string") {
-    return undefined;
+function summarizeTagsText(catalogue, filePath, { project, parseErrors }) {
+  if (!catalogue.tags.length) {
+    const parseNote = parseErrors.length ? ` (${parseErrors.length} malformed line(s) skipped)` : "";
+    return `No tags found in ${filePath} for project=${project}.${parseNote}`;
   }
-  const trimmed = value.trim();
-  if (!trimmed) {
-    return undefined;
+  const lines = [];
+  lines.push(`Tags: ${catalogue.tags.length} for project=${project} from ${filePath}`);
+  if (parseErrors.length) {
+    lines.push(`Note: skipped ${parseErrors.length} malformed JSONL line(s).`);
   }
-  const sanitized = trimmed
-    .replace(/[^\w./-]+/g, "-")
-    .replace(/-+/g, "-")
-    .replace(/^-+|-+$/g, "");
-  return sanitized || undefined;
+  lines.push("");
+  catalogue.tags.forEach(({ tag, count, sessions }) => {
+    lines.push(`- ${sanitizeDisplayText(tag, { singleLine: true })}: ${count} (${sessions} session${sessions === 1 ? "" : "s"})`);
+  });
+  lines.push("");
+  lines.push("per_session:");
+  catalogue.sessions.forEach(({ session_id, tags }) => {
+    const safeSessionId = sanitizeDisplayText(session_id, { singleLine: true }) || "(missing)";
+    const tagText = tags.map(({ tag, count }) => `${sanitizeDisplayText(tag, { singleLine: true })}(${count})`).join(", ");
+    lines.push(`session=${safeSessionId}: ${tagText}`);
+  });
+  return lines.join("\n");
 }
 
-function execFileAsync(command, args, options = {}) {
-  return new Promise((resolve, reject) => {
-    execFile(command, args, options, (error, stdout, stderr) => {
-      if (error) {
-        error.stdout = stdout;
-        error.stderr = stderr;
-        reject(error);
-        return;
-      }
-      resolve({ stdout, stderr });
-    });
+function formatSessionSummary(summary, index) {
+  const safeSessionId = sanitizeDisplayText(summary.session_id, { singleLine: true }) || "(missing)";
+  const lineParts = [
+    `[${index + 1}] session=${safeSessionId}`,
+    `entries=${summary.entry_count}`,
+    `handoffs=${summary.handoff_count}`,
+    `status=${summary.status || "open"}`,
+  ];
+  if (summary.decision_count) lineParts.push(`decisions=${summary.decision_count}`);
+  if (summary.latest_ts) lineParts.push(`last=${summary.latest_ts}`);
+  if (summary.claim) {
+    lineParts.push(
+      `claimed_by=${sanitizeDisplayText(summary.claim.agent, { singleLine: true })} until ${sanitizeDisplayText(summary.claim.expires_at, { singleLine: true })}`,
+    );
+  }
+  if (summary.task) lineParts.push(`task=${sanitizeDisplayText(summary.task, { singleLine: true })}`);
+
+  const body = [];
+  if (summary.agents?.length) body.push(`agents: ${summary.agents.map((a) => sanitizeDisplayText(a, { singleLine: true })).join(", ")}`);
+  if (summary.latest_handoff_summary) {
+    body.push(`latest_handoff: ${sanitizeDisplayText(summary.latest_handoff_summary, { singleLine: true })}`);
+  }
+  const tagCounts = sortTagCounts(summary.tag_counts);
+  if (tagCounts.length) {
+    body.push(`tags: ${tagCounts.map(({ tag, count }) => `${sanitizeDisplayText(tag, { singleLine: true })}(${count})`).join(", ")}`);
+  }
+
+  return body.length ? `${lineParts.join(" | ")}\n${body.join("\n")}` : lineParts.join(" | ");
+}
+
+function summarizeSessionsText(summaries, filePath, { project, parseErrors }) {
+  if (!summaries.length) {
+    const parseNote = parseErrors.length ? ` (${parseErrors.length} malformed line(s) skipped)` : "";
+    return `No resumable sessions found in ${filePath} for project=${project}.${parseNote}`;
+  }
+  const header = `Shared sessions: ${summaries.length} for project=${project} from ${filePath}`;
+  const errorLine = parseErrors.length ? `\nNote: skipped ${parseErrors.length} malformed JSONL line(s).` : "";
+  const body = summaries.map((summary, idx) => formatSessionSummary(summary, idx)).join("\n\n");
+  return `${header}${errorLine}\n\n${body}`;
+}
+
+function parseSessionListOptions(args) {
+  return {
+    project: normalizeProject(asString(args.project, "project")),
+    agent: asString(args.agent, "agent"),
+    since: asIsoDateOrUndefined(args.since, "since"),
+    tags: enforceStringArrayLimits(asStringArray(args.tags, "tags"), "tags"),
+    anyTags: enforceStringArrayLimits(asStringArray(args.any_tags, "any_tags"), "any_tags"),
+    statuses: asSessionStatusList(args.status),
+    limit: asPositiveInt(args.limit, "limit", 20, 1, 200),
+    includeUnsessioned: asBoolean(args.include_unsessioned, "include_unsessioned", false),
+    format: normalizeFormat(args.format),
+  };
+}
+
+function applySessionListFilters(summaries, index, options, claims) {
+  // Status comes from the session record so it holds even when agent/since filters skip the status entry.
+  const statuses = options.statuses || DEFAULT_VISIBLE_SESSION_STATUSES;
+  const withStatus = summaries.map((summary) => {
+    const record = index?.sessions?.[summary.session_id];
+    const claim = getActiveClaim(claims, summary.session_id);
+    const annotated = claim ? { ...summary, claim: { agent: claim.agent, expires_at: claim.expires_at } } : summary;
+    if (isObject(record) && SESSION_STATUSES.includes(record.status)) {
+      return { ...annotated, status: record.status };
+    }
+    return annotated;
   });
+  return filterSessionSummariesByTags(
+    withStatus.filter((summary) => statuses.includes(summary.status || "open")),
+    options,
+  );
 }
 
-async function getGitBranchName(cwd = process.cwd()) {
-  try {
-    const { stdout } = await execFileAsync("git", ["branch", "--show-current"], {
-      cwd,
-      windowsHide: true,
-      timeout: 1500,
-    });
-    const branch = String(stdout || "").trim();
-    return branch || undefined;
-  } catch {
+async function buildSessionListResult(options) {
+  const canUseIndex =
+    !options.agent &&
+    !options.since &&
+    !options.includeUnsessioned;
+
+  const claims = await readSessionClaims();
+  if (canUseIndex) {
+    const { index, parseErrors } = await getOrBuildSessionIndex();
+    const allSessions = applySessionListFilters(
+      listProjectSessionsFromIndex(index, options.project),
+      index,
+      options,
+      claims,
+    );
+    return {
+      parseErrors,
+      allSessions,
+      visibleSessions: allSessions.slice(0, options.limit),
+    };
+  }
+
+  const { entries, parseErrors } = await readEntries();
+  const { index } = await getOrBuildSessionIndex();
+  const filtered = filterEntries(entries, {
+    project: options.project,
+    agent: options.agent,
+    since: options.since,
+  });
+  const allSessions = applySessionListFilters(
+    buildSessionSummaries(filtered, {
+      includeUnsessioned: options.includeUnsessioned,
+    }),
+    index,
+    options,
+    claims,
+  );
+  return {
+    parseErrors,
+    allSessions,
+    visibleSessions: allSessions.slice(0, options.limit),
+  };
+}
+
+function shortIsoForPrompt(value) {
+  if (!value || typeof value !== "string") {
+    return "unknown";
+  }
+  return value.replace("T", " ").replace("Z", "").replace(/\.\d+$/, "");
+}
+
+function parsePromptResumeIndex(name) {
+  if (!name.startsWith(PROMPT_RESUME_PREFIX)) {
+    return undefined;
+  }
+  const token = name.slice(PROMPT_RESUME_PREFIX.length);
+  if (!/^\d+$/.test(token)) {
+    return undefined;
+  }
+  const idx = Number(token) - 1;
+  if (!Number.isInteger(idx) || idx < 0) {
     return undefined;
   }
+  return idx;
 }
 
-function makeTimestampSessionId(prefix) {
-  const now = new Date();
-  const stamp = [
-    now.getFullYear(),
-    String(now.getMonth() + 1).padStart(2, "0"),
-    String(now.getDate()).padStart(2, "0"),
-    "-",
-    String(now.getHours()).padStart(2, "0"),
-    String(now.getMinutes()).padStart(2, "0"),
-    String(now.getSeconds()).padStart(2, "0"),
-  ].join("");
-  return `${prefix}-${stamp}-${randomUUID().slice(0, 6)}`;
+async function buildPromptSessionList(project) {
+  const options = {
+    project,
+    agent: undefined,
+    since: undefined,
+    limit: MAX_PROMPT_SESSIONS,
+    includeUnsessioned: false,
+    format: "text",
+  };
+  const { parseErrors, visibleSessions } = await buildSessionListResult(options);
+  return { parseErrors, sessions: visibleSessions };
 }
 
-async function makeSuggestedSessionId() {
-  const branch = sanitizeSessionId(await getGitBranchName(process.cwd()));
-  if (branch) {
-    return branch;
+function hasSessionId(entry) {
+  return typeof entry.session_id === "string" && entry.session_id.trim().length > 0;
+}
+
+function getSessionEntries(entries, { project, session_id }) {
+  if (session_id === NO_SESSION_BUCKET) {
+    return entries.filter((entry) => (project ? entry.project === project : true) && !hasSessionId(entry));
   }
-  return makeTimestampSessionId(DEFAULT_NEW_SESSION_PREFIX);
+  return filterEntries(entries, { project, session_id });
 }
 
-async function readActiveSessionId() {
-  const envSessionId = normalizeSessionId(process.env.MCP_SHARED_CONTEXT_ACTIVE_SESSION);
-  if (envSessionId) {
-    return envSessionId;
+function buildResumeSessionData(entries, parseErrors, { project, session_id, limit, index }) {
+  const sessionEntries = getSessionEntries(entries, { project, session_id });
+  if (!sessionEntries.length) {
+    return null;
   }
+  const summary = buildSessionSummaries(sessionEntries, {
+    includeUnsessioned: session_id === NO_SESSION_BUCKET,
+  })[0];
+  const latestHandoffs = sessionEntries.filter((entry) => entry.kind === "handoff");
+  const latestHandoff = latestHandoffs.length ? latestHandoffs[latestHandoffs.length - 1] : null;
+  const recentEntries = selectRecent(sessionEntries, limit);
+  return {
+    project,
+    session_id,
+    parseErrors,
+    summary,
+    latest_handoff: latestHandoff,
+    checklist: latestHandoff ? buildStepChecklist(sessionEntries, latestHandoff) : [],
+    open_questions: latestHandoff
+      ? buildQuestionList(sessionEntries, latestHandoff).filter((question) => !question.answered)
+      : [],
+    lineage: buildSessionLineage(index, session_id),
+    artifacts: collectSessionArtifacts(sessionEntries),
+    entries: recentEntries,
+  };
+}
 
-  try {
-    const text = await fs.readFile(ACTIVE_SESSION_FILE, "utf8");
-    return normalizeSessionId(text);
-  } catch (error) {
-    if (error && error.code === "ENOENT") {
-      return undefined;
-    }
-    throw error;
-  }
+function makeStepId(handoffId, position) {
+  const prefix = typeof handoffId === "string" && handoffId ? handoffId.slice(0, 8) : "step";
+  return `${prefix}-${position + 1}`;
 }
 
-async function writeActiveSessionId(sessionId) {
-  const normalized = normalizeSessionId(sessionId);
-  if (!normalized) {
-    throw new Error("Cannot persist empty session_id");
+function normalizeHandoffSteps(entry) {
+  // `next_steps` stays a plain string array; ids live in the parallel `next_step_ids`, derived from the handoff id when absent.
+  if (!Array.isArray(entry?.next_steps)) {
+    return [];
   }
-  await fs.mkdir(path.dirname(ACTIVE_SESSION_FILE), { recursive: true });
-  await fs.writeFile(ACTIVE_SESSION_FILE, `${normalized}\n`, "utf8");
+  const ids = Array.isArray(entry.next_step_ids) ? entry.next_step_ids : [];
+  return entry.next_steps
+    .map((step, position) => {
+      if (typeof step === "string") {
+        const id = typeof ids[position] === "string" && ids[position] ? ids[position] : makeStepId(entry.id, position);
+        return { id, text: step };
+      }
+      if (isObject(step) && typeof step.text === "string") {
+        return { id: typeof step.id === "string" && step.id ? step.id : makeStepId(entry.id, position), text: step.text };
+      }
+      return null;
+    })
+    .filter(Boolean);
 }
 
-async function resolveSessionIdInput(value, { required = false } = {}) {
-  const explicit = normalizeSessionId(value);
-  if (explicit) {
-    return explicit;
-  }
-  const active = await readActiveSessionId();
-  if (active) {
-    return active;
-  }
-  if (required) {
-    throw new Error(
-      "Missing session_id. Choose one with list_sessions/choose_session (or run pick-session.mjs) and try again.",
-    );
+function buildStepChecklist(sessionEntries, handoff) {
+  const steps = normalizeHandoffSteps(handoff);
+  if (!steps.length) {
+    return [];
   }
-  return undefined;
+  const completions = new Map();
+  sessionEntries.slice(sessionEntries.indexOf(handoff) + 1).forEach((entry) => {
+    if (entry.kind === "step_completion" && typeof entry.step_id === "string" && !completions.has(entry.step_id)) {
+      completions.set(entry.step_id, entry);
+    }
+  });
+  return steps.map((step) => {
+    const completion = completions.get(step.id);
+    return {
+      ...step,
+      done: Boolean(completion),
+      completed_by: completion?.agent,
+      completed_at: completion?.ts,
+      completion_note: completion?.note,
+    };
+  });
 }
 
-function makeFileSignature(stat) {
-  if (!stat) {
-    return null;
-  }
-  return `${stat.size}:${Math.trunc(stat.mtimeMs)}`;
+function makeQuestionId(handoffId, position) {
+  const prefix = typeof handoffId === "string" && handoffId ? handoffId.slice(0, 8) : "question";
+  return `${prefix}-q${position + 1}`;
 }
 
-async function statFile(filePath) {
-  try {
-    return await fs.stat(filePath);
-  } catch (error) {
-    if (error && error.code === "ENOENT") {
-      return null;
-    }
-    throw error;
+function normalizeHandoffQuestions(entry) {
+  // Same scheme as normalizeHandoffSteps: legacy string questions get ids derived from the handoff id.
+  if (!Array.isArray(entry?.open_questions)) {
+    return [];
   }
+  return entry.open_questions
+    .map((question, position) => {
+      if (typeof question === "string") {
+        return { id: makeQuestionId(entry.id, position), text: question };
+      }
+      if (isObject(question) && typeof question.text === "string") {
+        return {
+          id: typeof question.id === "string" && question.id ? question.id : makeQuestionId(entry.id, position),
+          text: question.text,
+        };
+      }
+      return null;
+    })
+    .filter(Boolean);
 }
 
-function invalidateSessionIndexCache() {
-  sessionIndexCache.fileSignature = null;
-  sessionIndexCache.index = null;
+function buildQuestionList(sessionEntries, handoff) {
+  const questions = normalizeHandoffQuestions(handoff);
+  if (!questions.length) {
+    return [];
+  }
+  const answers = new Map();
+  sessionEntries.slice(sessionEntries.indexOf(handoff) + 1).forEach((entry) => {
+    if (entry.kind === "answer" && typeof entry.question_id === "string" && !answers.has(entry.question_id)) {
+      answers.set(entry.question_id, entry);
+    }
+  });
+  return questions.map((question) => {
+    const answer = answers.get(question.id);
+    return {
+      ...question,
+      answered: Boolean(answer),
+      answered_by: answer?.agent,
+      answered_at: answer?.ts,
+      answer: answer?.answer,
+    };
+  });
 }
 
-async function ensureStorageDirectories() {
-  await fs.mkdir(path.dirname(CONTEXT_FILE), { recursive: true });
-  await fs.mkdir(SESSION_DATA_DIR, { recursive: true });
+function listOpenQuestions(entries, { project, session_id }) {
+  const bySession = new Map();
+  entries.forEach((entry) => {
+    if (project && entry.project !== project) return;
+    if (!hasSessionId(entry)) return;
+    if (session_id && entry.session_id !== session_id) return;
+    if (!bySession.has(entry.session_id)) bySession.set(entry.session_id, []);
+    bySession.get(entry.session_id).push(entry);
+  });
+  const results = [];
+  bySession.forEach((sessionEntries, sessionId) => {
+    const handoff = sessionEntries.filter((entry) => entry.kind === "handoff").pop();
+    if (!handoff) return;
+    buildQuestionList(sessionEntries, handoff)
+      .filter((question) => !question.answered)
+      .forEach((question) => {
+        results.push({
+          session_id: sessionId,
+          id: question.id,
+          text: question.text,
+          handoff_id: handoff.id,
+          asked_by: handoff.agent,
+          asked_at: handoff.ts,
+        });
+      });
+  });
+  return results.sort((a, b) => String(b.asked_at || "").localeCompare(String(a.asked_at || "")));
 }
 
-function sleep(ms) {
-  return new Promise((resolve) => setTimeout(resolve, ms));
+function formatOpenQuestions(questions) {
+  return questions.map(
+    (question) => `  [?] ${sanitizeDisplayText(question.id, { singleLine: true })} ${sanitizeDisplayText(question.text, { singleLine: true })}`,
+  );
 }
 
-async function maybeBreakStaleLock() {
-  try {
-    const stat = await fs.stat(LOCK_FILE);
-    if (Date.now() - stat.mtimeMs > STALE_LOCK_MS) {
-      await fs.unlink(LOCK_FILE).catch(() => {});
-    }
-  } catch (error) {
-    if (error && error.code !== "ENOENT") {
-      throw error;
-    }
+function resolveForkPoint(entries, entryId) {
+  if (entryId) {
+    return entries.find((entry) => entry.id === entryId) || null;
   }
+  const handoffs = entries.filter((entry) => entry.kind === "handoff");
+  return handoffs.length ? handoffs[handoffs.length - 1] : null;
 }
 
-async function withWriteLock(fn) {
-  const start = Date.now();
-  while (true) {
-    let handle;
-    try {
-      handle = await fs.open(LOCK_FILE, "wx");
-      await handle.writeFile(
-        JSON.stringify({
-          pid: process.pid,
-          host: os.hostname(),
-          created_at: new Date().toISOString(),
-        }),
-        "utf8",
-      );
-      try {
-        return await fn();
-      } finally {
-        await handle.close().catch(() => {});
-        await fs.unlink(LOCK_FILE).catch(() => {});
-      }
-    } catch (error) {
-      if (handle) {
-        await handle.close().catch(() => {});
-      }
-      if (error && error.code === "EEXIST") {
-        if (Date.now() - start > MAX_LOCK_WAIT_MS) {
-          throw new Error(`Timed out waiting for context lock (${LOCK_FILE})`);
-        }
-        await maybeBreakStaleLock();
-        await sleep(40 + Math.floor(Math.random() * 60));
-        continue;
-      }
-      throw error;
-    }
-  }
+function makeForkSessionId(sourceSessionId) {
+  const base = sanitizeSessionId(sourceSessionId) || DEFAULT_NEW_SESSION_PREFIX;
+  return `${base}-fork-${randomUUID().slice(0, 6)}`;
 }
 
-async function appendEntry(entry) {
-  await ensureStorageDirectories();
-  const line = `${JSON.stringify(entry)}\n`;
-  await withWriteLock(async () => {
-    let index = await loadSessionIndex();
-    if (!index) {
-      const rebuilt = await rebuildSessionIndexFromSessionFiles();
-      index = rebuilt.index;
-      await persistSessionIndex(index);
-    }
-
-    const sessionBucket = resolveEntrySessionBucket(entry.session_id);
-    const sessionRecord = ensureSessionRecord(index, sessionBucket);
-    await fs.mkdir(path.dirname(sessionRecord.file_path), { recursive: true });
-    await fs.appendFile(sessionRecord.file_path, line, "utf8");
-
-    const fileIndex =
-      Number.isInteger(index.next_file_index) && index.next_file_index >= 0 ? index.next_file_index : 0;
-    applyEntryToSessionIndex(index, entry, fileIndex);
-    if (index.next_file_index < fileIndex + 1) {
-      index.next_file_index = fileIndex + 1;
+function parseSearchQuery(query) {
+  const phrases = [];
+  const remainder = query.replace(/"([^"]*)"/g, (_match, phrase) => {
+    const trimmed = phrase.replace(/\s+/g, " ").trim();
+    if (trimmed) {
+      phrases.push(trimmed);
     }
-    await persistSessionIndex(index);
+    return " ";
+  });
+  const terms = [];
+  const phraseTerms = [];
+  tokenizeSearchText(remainder).forEach((term) => pushUniqueString(terms, term));
+  phrases.forEach((phrase) => {
+    tokenizeSearchText(phrase).forEach((term) => {
+      pushUniqueString(terms, term);
+      pushUniqueString(phraseTerms, term);
+    });
   });
+  return { terms, phrases, phraseTerms };
 }
 
-async function readRawSessionFile(filePath) {
-  const stat = await statFile(filePath);
-  if (!stat) {
-    return "";
-  }
-  if (stat.size > MAX_CONTEXT_FILE_BYTES) {
-    throw new Error(
-      `Context file exceeds configured max size (${MAX_CONTEXT_FILE_BYTES} bytes): ${filePath}`,
-    );
-  }
-  return await fs.readFile(filePath, "utf8");
+function searchDocMatchesFilters(doc, { project, agent, session_id, kind }) {
+  if (project && doc.project !== project) return false;
+  if (agent && doc.agent !== agent) return false;
+  if (session_id && doc.session_id !== session_id) return false;
+  if (kind && doc.kind !== kind) return false;
+  return true;
 }
 
-function parseEntries(rawText, { filePath } = {}) {
-  const entries = [];
-  const parseErrors = [];
-  const lines = rawText.split(/\r?\n/);
-  for (let i = 0; i < lines.length; i += 1) {
-    const line = lines[i];
-    if (!line || !line.trim()) {
+function rankSearchIndexDocs(searchIndex, { terms, phraseTerms }, filters) {
+  // BM25 with the usual k1/b defaults; phrase words must all be present before the verbatim check.
+  const k1 = 1.2;
+  const b = 0.75;
+  const docCount = Math.max(1, searchIndex.doc_count);
+  const avgLength = searchIndex.total_length / docCount || 1;
+  const scores = new Map();
+  const matchedTerms = new Map();
+  for (const term of terms) {
+    const postings = searchIndex.terms[term];
+    if (!postings) {
       continue;
     }
-    try {
-      const parsed = JSON.parse(line);
-      if (!isObject(parsed)) {
-        throw new Error("line is not a JSON object");
+    const docKeys = Object.keys(postings);
+    const idf = Math.log(1 + (docCount - docKeys.length + 0.5) / (docKeys.length + 0.5));
+    for (const docKey of docKeys) {
+      const doc = searchIndex.docs[docKey];
+      if (!doc || !searchDocMatchesFilters(doc, filters)) {
+        continue;
       }
-      entries.push(parsed);
-    } catch (error) {
-      parseErrors.push({ file: filePath, line: i + 1, error: String(error) });
+      const tf = postings[docKey];
+      const norm = tf + k1 * (1 - b + (b * doc.length) / avgLength);
+      scores.set(docKey, (scores.get(docKey) || 0) + (idf * tf * (k1 + 1)) / norm);
+      if (!matchedTerms.has(docKey)) {
+        matchedTerms.set(docKey, new Set());
+      }
+      matchedTerms.get(docKey).add(term);
     }
   }
-  return { entries, parseErrors };
+  return [...scores.entries()]
+    .filter(([docKey]) => phraseTerms.every((term) => matchedTerms.get(docKey).has(term)))
+    .map(([docKey, score]) => ({ docKey, doc: searchIndex.docs[docKey], score }))
+    .sort((a, b) => {
+      if (b.score !== a.score) return b.score - a.score;
+      const aTs = Date.parse(a.doc.ts || "") || 0;
+      const bTs = Date.parse(b.doc.ts || "") || 0;
+      if (bTs !== aTs) return bTs - aTs;
+      return a.docKey.localeCompare(b.docKey);
+    });
 }
 
-function makeSessionIndexSkeleton() {
-  return {
-    version: SESSION_INDEX_VERSION,
-    next_file_index: 0,
-    sessions: {},
-    projects: {},
-  };
+function normalizeSearchText(value) {
+  return sanitizeDisplayText(value, { singleLine: true }).replace(/\s+/g, " ");
 }
 
-function copySessionSummaryFields(summary, summaryRaw) {
-  summary.entry_count =
-    Number.isInteger(summaryRaw.entry_count) && summaryRaw.entry_count >= 0 ? summaryRaw.entry_count : 0;
-  summary.note_count =
-    Number.isInteger(summaryRaw.note_count) && summaryRaw.note_count >= 0 ? summaryRaw.note_count : 0;
-  summary.handoff_count =
-    Number.isInteger(summaryRaw.handoff_count) && summaryRaw.handoff_count >= 0 ? summaryRaw.handoff_count : 0;
-  summary.latest_ts = typeof summaryRaw.latest_ts === "string" && summaryRaw.latest_ts ? summaryRaw.latest_ts : undefined;
-  summary.latest_ts_ms =
-    typeof summaryRaw.latest_ts_ms === "number" && Number.isFinite(summaryRaw.latest_ts_ms)
-      ? summaryRaw.latest_ts_ms
-      : null;
-  summary.latest_file_index =
-    Number.isInteger(summaryRaw.latest_file_index) && summaryRaw.latest_file_index >= -1
-      ? summaryRaw.latest_file_index
-      : -1;
-  summary.last_entry_kind =
-    summaryRaw.last_entry_kind === "note" || summaryRaw.last_entry_kind === "handoff"
-      ? summaryRaw.last_entry_kind
-      : undefined;
-  summary.task = typeof summaryRaw.task === "string" && summaryRaw.task.trim() ? summaryRaw.task.trim() : undefined;
-  summary.latest_handoff_summary =
-    typeof summaryRaw.latest_handoff_summary === "string" && summaryRaw.latest_handoff_summary.trim()
-      ? summaryRaw.latest_handoff_summary.trim()
-      : undefined;
-  if (Array.isArray(summaryRaw.agents)) {
-    summaryRaw.agents.forEach((agent) => pushUniqueString(summary.agents, agent));
-    summary.agents.sort();
-  }
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
 }
 
-function normalizeSessionRecord(sessionId, rawRecord) {
-  const fileKey =
-    typeof rawRecord?.file_key === "string" && rawRecord.file_key.trim()
-      ? rawRecord.file_key.trim()
-      : sessionBucketToFileKey(sessionId);
-  const summary = makeSessionSummary(sessionId, undefined);
-  copySessionSummaryFields(summary, rawRecord || {});
-  return {
-    ...summary,
-    file_key: fileKey,
-    file_path: sessionFilePathFromKey(fileKey),
-  };
+function buildSearchSnippet(text, needles, maxChars = SEARCH_SNIPPET_CHARS) {
+  const flat = normalizeSearchText(text);
+  const lower = flat.toLowerCase();
+  let position = -1;
+  needles.forEach((needle) => {
+    const found = lower.indexOf(needle.toLowerCase());
+    if (found !== -1 && (position === -1 || found < position)) {
+      position = found;
+    }
+  });
+  const lead = Math.floor(maxChars / 3);
+  const start = position > lead ? position - lead : 0;
+  const end = Math.min(flat.length, start + maxChars);
+  const pattern = new RegExp(
+    [...needles].sort((a, b) => b.length - a.length).map(escapeRegExp).join("|"),
+    "gi",
+  );
+  const highlighted = flat.slice(start, end).replace(pattern, (match) => `**${match}**`);
+  return `${start > 0 ? "..." : ""}${highlighted}${end < flat.length ? "..." : ""}`;
 }
 
-function normalizeSessionIndex(raw) {
-  if (!isObject(raw)) {
-    return null;
-  }
-  if (raw.version !== SESSION_INDEX_VERSION) {
-    return null;
-  }
-  const nextFileIndex =
-    Number.isInteger(raw.next_file_index) && raw.next_file_index >= 0 ? raw.next_file_index : 0;
-  const sessions = {};
-  if (isObject(raw.sessions)) {
-    Object.entries(raw.sessions).forEach(([sessionIdKey, rawRecord]) => {
-      const sessionId = resolveEntrySessionBucket(sessionIdKey);
-      sessions[sessionId] = normalizeSessionRecord(sessionId, rawRecord);
-    });
+async function searchSharedContext({ query, project, agent, session_id, kind, limit }) {
+  const parsedQuery = parseSearchQuery(query);
+  if (!parsedQuery.terms.length) {
+    throw new Error("query must contain at least one word to search for");
   }
-  const projects = {};
-  if (isObject(raw.projects)) {
-    Object.entries(raw.projects).forEach(([projectName, bucketRaw]) => {
-      if (!projectName || !isObject(bucketRaw)) {
-        return;
+  const { index, parseErrors: indexParseErrors } = await getOrBuildSessionIndex();
+  const searchIndex = await getOrBuildSearchIndex(index);
+  const ranked = rankSearchIndexDocs(searchIndex, parsedQuery, { project, agent, session_id, kind });
+  const needles = [...parsedQuery.phrases, ...parsedQuery.terms];
+
+  // Only the session files that contain candidate hits are read, to recover snippets and check phrases.
+  const parseErrors = [...indexParseErrors];
+  const entriesBySession = new Map();
+  const results = [];
+  for (const hit of ranked) {
+    if (results.length >= limit) {
+      break;
+    }
+    let byDocKey = entriesBySession.get(hit.doc.session_id);
+    if (!byDocKey) {
+      const filePath = resolveSessionFilePath(index, hit.doc.session_id);
+      const { entries, parseErrors: fileErrors } = await readSessionFileEntries(filePath);
+      parseErrors.push(...fileErrors);
+      byDocKey = new Map(entries.map((entry, ordinal) => [makeSearchDocKey(entry, hit.doc.session_id, ordinal), entry]));
+      entriesBySession.set(hit.doc.session_id, byDocKey);
+    }
+    const entry = byDocKey.get(hit.docKey);
+    if (!entry) {
+      continue;
+    }
+    const text = collectEntrySearchText(entry);
+    if (parsedQuery.phrases.length) {
+      const haystack = normalizeSearchText(text).toLowerCase();
+      const hasAllPhrases = parsedQuery.phrases.every((phrase) => haystack.includes(phrase.toLowerCase()));
+      if (!hasAllPhrases) {
+        continue;
       }
-      const bucket = {};
-      Object.entries(bucketRaw).forEach(([sessionIdKey, summaryRaw]) => {
-        if (!sessionIdKey || !isObject(summaryRaw)) {
-          return;
-        }
-        const sessionId =
-          (typeof summaryRaw.session_id === "string" && summaryRaw.session_id.trim()) || sessionIdKey.trim();
-        if (!sessionId) {
-          return;
-        }
-        const summary = makeSessionSummary(sessionId, projectName);
-        copySessionSummaryFields(summary, summaryRaw);
-        bucket[sessionId] = summary;
-        if (!sessions[sessionId]) {
-          sessions[sessionId] = normalizeSessionRecord(sessionId, {});
-        }
-      });
-      projects[projectName] = bucket;
+    }
+    results.push({
+      score: Math.round(hit.score * 1000) / 1000,
+      session_id: hit.doc.session_id,
+      entry_id: entry.id,
+      kind: entry.kind,
+      agent: entry.agent,
+      project: entry.project,
+      ts: entry.ts,
+      task: entry.task,
+      snippet: buildSearchSnippet(text, needles),
     });
   }
-  return {
-    version: SESSION_INDEX_VERSION,
-    next_file_index: nextFileIndex,
-    sessions,
-    projects,
-  };
+  return { parseErrors, results };
 }
 
-async function readSessionIndexFile() {
-  try {
-    const text = await fs.readFile(SESSION_INDEX_FILE, "utf8");
-    const parsed = JSON.parse(text);
-    return normalizeSessionIndex(parsed);
-  } catch (error) {
-    if (error && error.code === "ENOENT") {
-      return null;
+function formatStepChecklist(checklist) {
+  return checklist.map((step) => {
+    const marker = step.done ? "[x]" : "[ ]";
+    const doneBy = step.done
+      ? ` (done by ${sanitizeDisplayText(step.completed_by || "unknown-agent", { singleLine: true })} at ${sanitizeDisplayText(step.completed_at || "unknown-time", { singleLine: true })})`
+      : "";
+    return `  ${marker} ${sanitizeDisplayText(step.id, { singleLine: true })} ${sanitizeDisplayText(step.text, { singleLine: true })}${doneBy}`;
+  });
+}
+
+function formatEntry(entry, index, { checklist, openQuestions } = {}) {
+  const parts = [];
+  const ordinal = index + 1;
+  parts.push(
+    `[${ordinal}] ${sanitizeDisplayText(entry.ts || "unknown-time", { singleLine: true })} ${sanitizeDisplayText(entry.kind || "unknown", { singleLine: true })} by ${sanitizeDisplayText(entry.agent || "unknown-agent", { singleLine: true })}`,
+  );
+  parts.push(`project=${sanitizeDisplayText(entry.project || "unknown", { singleLine: true })}`);
+  if (entry.session_id) parts.push(`session=${sanitizeDisplayText(entry.session_id, { singleLine: true })}`);
+  if (entry.task) parts.push(`task=${sanitizeDisplayText(entry.task, { singleLine: true })}`);
+  let line = parts.join(" | ");
+
+  const body = [];
+  if (entry.kind === "note") {
+    body.push(sanitizeDisplayText(entry.text || ""));
+    if (isObject(entry.artifact) && isArtifactHash(entry.artifact.hash)) {
+      body.push(`artifact: ${formatArtifactLine(entry.artifact)}`);
     }
-    return null;
+    if (isObject(entry.git)) body.push(`git: ${formatGitContext(entry.git)}`);
+  } else if (entry.kind === "handoff") {
+    body.push(`summary: ${sanitizeDisplayText(entry.summary || "")}`);
+    if (checklist) {
+      if (checklist.length) {
+        body.push("next_steps:");
+        body.push(...formatStepChecklist(checklist));
+      }
+    } else {
+      const steps = normalizeHandoffSteps(entry);
+      if (steps.length) {
+        body.push(
+          `next_steps: ${steps.map((step, i) => `${i + 1}. [${sanitizeDisplayText(step.id, { singleLine: true })}] ${sanitizeDisplayText(step.text, { singleLine: true })}`).join(" | ")}`,
+        );
+      }
+    }
+    if (openQuestions) {
+      if (openQuestions.length) {
+        body.push("open_questions:");
+        body.push(...formatOpenQuestions(openQuestions));
+      }
+    } else {
+      const questions = normalizeHandoffQuestions(entry);
+      if (questions.length) {
+        body.push(
+          `open_questions: ${questions.map((question) => `[${sanitizeDisplayText(question.id, { singleLine: true })}] ${sanitizeDisplayText(question.text, { singleLine: true })}`).join(" | ")}`,
+        );
+      }
+    }
+    if (Array.isArray(entry.files) && entry.files.length) {
+      body.push(`files: ${entry.files.map((s) => sanitizeDisplayText(s, { singleLine: true })).join(", ")}`);
+    }
+    const forkedFrom = normalizeForkedFrom(entry.forked_from);
+    if (forkedFrom) {
+      body.push(`forked_from: ${formatLineage([forkedFrom])}`);
+    }
+    if (isObject(entry.git)) body.push(`git: ${formatGitContext(entry.git)}`);
+  } else if (entry.kind === "step_completion") {
+    const stepText = entry.step_text ? ` ${sanitizeDisplayText(entry.step_text, { singleLine: true })}` : "";
+    body.push(`completed_step: [${sanitizeDisplayText(entry.step_id || "unknown", { singleLine: true })}]${stepText}`);
+    if (entry.note) body.push(sanitizeDisplayText(entry.note));
+  } else if (entry.kind === "digest") {
+    const compacted = isObject(entry.compacted) ? entry.compacted : {};
+    body.push(
+      `digest: ${compacted.entry_count ?? "?"} compacted entries from ${sanitizeDisplayText(compacted.from_ts || "unknown-time", { singleLine: true })} to ${sanitizeDisplayText(compacted.to_ts || "unknown-time", { singleLine: true })} (archive=${sanitizeDisplayText(compacted.archive_file || "unknown", { singleLine: true })})`,
+    );
+    if (Array.isArray(entry.handoffs) && entry.handoffs.length) {
+      body.push("handoffs:");
+      entry.handoffs.forEach((handoff) => {
+        body.push(
+          `  - ${sanitizeDisplayText(handoff?.ts || "unknown-time", { singleLine: true })} ${sanitizeDisplayText(handoff?.agent || "unknown-agent", { singleLine: true })}: ${sanitizeDisplayText(handoff?.summary || "", { singleLine: true })}`,
+        );
+      });
+    }
+    if (Array.isArray(entry.decisions) && entry.decisions.length) {
+      body.push("decisions:");
+      entry.decisions.forEach((decision) => {
+        body.push(`  - ${sanitizeDisplayText(decision?.decision || "", { singleLine: true })}`);
+      });
+    }
+    if (Array.isArray(entry.notes) && entry.notes.length) {
+      body.push("notes:");
+      entry.notes.forEach((note) => {
+        body.push(
+          `  - ${sanitizeDisplayText(note?.ts || "unknown-time", { singleLine: true })} ${sanitizeDisplayText(note?.agent || "unknown-agent", { singleLine: true })}: ${sanitizeDisplayText(note?.text || "", { singleLine: true })}`,
+        );
+      });
+    }
+    const questions = normalizeHandoffQuestions(entry);
+    if (questions.length) {
+      body.push(
+        `open_questions: ${questions.map((question) => `[${sanitizeDisplayText(question.id, { singleLine: true })}] ${sanitizeDisplayText(question.text, { singleLine: true })}`).join(" | ")}`,
+      );
+    }
+    if (Array.isArray(entry.files) && entry.files.length) {
+      body.push(`files: ${entry.files.map((s) => sanitizeDisplayText(s, { singleLine: true })).join(", ")}`);
+    }
+    const digestTags = sortTagCounts(entry.tag_counts);
+    if (digestTags.length) {
+      body.push(`tags: ${digestTags.map(({ tag, count }) => `${sanitizeDisplayText(tag, { singleLine: true })}(${count})`).join(", ")}`);
+    }
+  } else if (entry.kind === "answer") {
+    const questionText = entry.question_text ? ` ${sanitizeDisplayText(entry.question_text, { singleLine: true })}` : "";
+    body.push(`answered_question: [${sanitizeDisplayText(entry.question_id || "unknown", { singleLine: true })}]${questionText}`);
+    body.push(`answer: ${sanitizeDisplayText(entry.answer || "")}`);
+  } else if (entry.kind === "decision") {
+    body.push(`decision: ${sanitizeDisplayText(entry.decision || "")}`);
+    if (entry.rationale) body.push(`rationale: ${sanitizeDisplayText(entry.rationale)}`);
+    if (Array.isArray(entry.alternatives) && entry.alternatives.length) {
+      body.push(`rejected: ${entry.alternatives.map((s) => sanitizeDisplayText(s, { singleLine: true })).join(" | ")}`);
+    }
+    if (Array.isArray(entry.files) && entry.files.length) {
+      body.push(`files: ${entry.files.map((s) => sanitizeDisplayText(s, { singleLine: true })).join(", ")}`);
+    }
+  } else if (entry.kind === "status") {
+    const reason = entry.reason ? ` (${sanitizeDisplayText(entry.reason, { singleLine: true })})` : "";
+    body.push(`status: ${sanitizeDisplayText(entry.status || "unknown", { singleLine: true })}${reason}`);
+  } else {
+    body.push(JSON.stringify(entry));
+  }
+  if (Array.isArray(entry.tags) && entry.tags.length) {
+    body.push(`tags: ${entry.tags.map((s) => sanitizeDisplayText(s, { singleLine: true })).join(", ")}`);
   }
+  return `${line}\n${body.join("\n")}`;
 }
 
-async function writeSessionIndexFile(index) {
-  await ensureStorageDirectories();
-  const tmpPath = `${SESSION_INDEX_FILE}.${process.pid}.${randomUUID().slice(0, 8)}.tmp`;
-  await fs.writeFile(tmpPath, `${JSON.stringify(index)}\n`, "utf8");
-  await fs.rename(tmpPath, SESSION_INDEX_FILE);
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
 }
 
-async function loadSessionIndex() {
-  const stat = await statFile(SESSION_INDEX_FILE);
-  const fileSignature = makeFileSignature(stat);
-  if (!fileSignature) {
-    return null;
-  }
-  if (sessionIndexCache.fileSignature === fileSignature && sessionIndexCache.index) {
-    return sessionIndexCache.index;
-  }
+function safeExportText(value, options) {
+  // Markdown renderers pass raw HTML through, so both formats get HTML-escaped text.
+  return escapeHtml(sanitizeDisplayText(value, options));
+}
 
-  const index = await readSessionIndexFile();
-  if (!index) {
-    invalidateSessionIndexCache();
-    return null;
-  }
-  sessionIndexCache.fileSignature = fileSignature;
-  sessionIndexCache.index = index;
-  return index;
+function escapeMarkdown(value) {
+  // `>` needs no escape: escapeHtml turns it into `&gt;`, and entities never start a block quote.
+  return String(value)
+    .replace(/[\\`*_[\]()!#|~]/g, "\\$&")
+    .replace(/^(\s*)([-+])/gm, "$1\\$2")
+    .replace(/^(\s*\d+)([.)])/gm, "$1\\$2");
 }
 
-async function persistSessionIndex(index) {
-  await writeSessionIndexFile(index);
-  const stat = await statFile(SESSION_INDEX_FILE);
-  sessionIndexCache.fileSignature = makeFileSignature(stat);
-  sessionIndexCache.index = index;
+function safeMarkdownText(value, options) {
+  // Escaped so stored text cannot forge headings, links or lists, which `import_session` would read back as structure.
+  return escapeHtml(escapeMarkdown(sanitizeDisplayText(value, options)));
 }
 
-function getSessionProject(entry) {
-  if (typeof entry.project === "string" && entry.project.trim()) {
-    return entry.project.trim();
-  }
-  return DEFAULT_PROJECT;
+function buildSessionExport(resumeData, sessionEntries) {
+  const handoffs = sessionEntries
+    .filter((entry) => entry.kind === "handoff")
+    .map((entry) => ({
+      entry,
+      checklist: buildStepChecklist(sessionEntries, entry),
+      questions: buildQuestionList(sessionEntries, entry),
+    }));
+  const timeline = sessionEntries.map((entry, idx) => {
+    const [header, ...body] = formatEntry(entry, idx).split("\n");
+    return { header, body };
+  });
+  return {
+    session_id: resumeData.session_id,
+    project: resumeData.project,
+    summary: resumeData.summary,
+    lineage: resumeData.lineage,
+    timeline,
+    handoffs,
+  };
 }
 
-function ensureSessionRecord(index, sessionId) {
-  if (!isObject(index.sessions)) {
-    index.sessions = {};
-  }
-  const normalizedSessionId = resolveEntrySessionBucket(sessionId);
-  let record = index.sessions[normalizedSessionId];
-  if (!isObject(record)) {
-    record = normalizeSessionRecord(normalizedSessionId, {
-      file_key: sessionBucketToFileKey(normalizedSessionId),
-    });
-    index.sessions[normalizedSessionId] = record;
-  } else {
-    const fileKey =
-      typeof record.file_key === "string" && record.file_key.trim()
-        ? record.file_key.trim()
-        : sessionBucketToFileKey(normalizedSessionId);
-    record.file_key = fileKey;
-    record.file_path = sessionFilePathFromKey(fileKey);
-  }
-  return record;
+function describeExportSummary(model) {
+  const summary = model.summary || {};
+  const rows = [
+    ["project", model.project],
+    ["status", summary.status || "open"],
+    ["task", summary.task],
+    ["entries", summary.entry_count],
+    ["handoffs", summary.handoff_count],
+    ["decisions", summary.decision_count],
+    ["agents", (summary.agents || []).join(", ")],
+    ["last activity", summary.latest_ts],
+    ["forked from", model.lineage?.length ? formatLineage(model.lineage) : undefined],
+  ];
+  return rows.filter(([, value]) => value !== undefined && value !== null && value !== "");
 }
 
-function applyEntryToSessionIndex(index, entry, fileIndex) {
-  if (!isObject(index.sessions)) {
-    index.sessions = {};
-  }
-  if (!isObject(index.projects)) {
-    index.projects = {};
-  }
-  if (Number.isInteger(fileIndex) && fileIndex >= 0) {
-    index.next_file_index = Math.max(index.next_file_index || 0, fileIndex + 1);
-  }
+function renderSessionMarkdown(model) {
+  const lines = [`# Session ${safeMarkdownText(model.session_id, { singleLine: true })}`, ""];
+  describeExportSummary(model).forEach(([label, value]) => {
+    lines.push(`- **${label}:** ${safeMarkdownText(value, { singleLine: true })}`);
+  });
+  lines.push("", "## Handoffs", "");
+  if (!model.handoffs.length) lines.push("_No handoffs._", "");
+  model.handoffs.forEach(({ entry, checklist, questions }) => {
+    // Section headings match what import_session reads, so an export imports back as the same handoffs.
+    lines.push(
+      `### ${safeMarkdownText(entry.task || "Handoff", { singleLine: true })}`,
+      "",
+      `_${safeMarkdownText(entry.ts || "unknown-time", { singleLine: true })} by ${safeMarkdownText(entry.agent || "unknown-agent", { singleLine: true })}_`,
+      "",
+      "#### Summary",
+      "",
+      safeMarkdownText(entry.summary || ""),
+      "",
+    );
+    if (checklist.length) {
+      lines.push("#### Next steps", "");
+      checklist.forEach((step) => {
+        const doneBy = step.done ? ` _(done by ${safeMarkdownText(step.completed_by || "unknown-agent", { singleLine: true })})_` : "";
+        lines.push(`- [${step.done ? "x" : " "}] ${safeMarkdownText(step.text, { singleLine: true })}${doneBy}`);
+      });
+      lines.push("");
+    }
+    if (questions.length) {
+      lines.push("#### Open questions", "");
+      questions.forEach((question) => {
+        const answer = question.answered ? ` — ${safeMarkdownText(question.answer || "", { singleLine: true })}` : "";
+        lines.push(`- [${question.answered ? "x" : " "}] ${safeMarkdownText(question.text, { singleLine: true })}${answer}`);
+      });
+      lines.push("");
+    }
+    if (Array.isArray(entry.files) && entry.files.length) {
+      lines.push("#### Files", "", ...entry.files.map((file) => `- \`${safeExportText(file, { singleLine: true }).replace(/`/g, "'")}\``), "");
+    }
+  });
+  lines.push("## Timeline", "");
+  model.timeline.forEach(({ header, body }) => {
+    lines.push(`- ${safeMarkdownText(header, { singleLine: true })}`);
+    body.forEach((line) => lines.push(`  ${safeMarkdownText(line)}`));
+  });
+  return `${lines.join("\n").trimEnd()}\n`;
+}
 
-  const sessionId = resolveEntrySessionBucket(entry.session_id);
-  const sessionRecord = ensureSessionRecord(index, sessionId);
-  applyEntryToSessionSummary(sessionRecord, entry, fileIndex);
-  sessionRecord.agents.sort();
+function renderSessionHtml(model) {
+  const title = `Session ${safeExportText(model.session_id, { singleLine: true })}`;
+  const parts = [
+    "<!doctype html>",
+    "<html lang=\"en\">",
+    "<head>",
+    "<meta charset=\"utf-8\">",
+    `<title>${title}</title>`,
+    "<style>body{font-family:system-ui,sans-serif;max-width:60rem;margin:2rem auto;padding:0 1rem;line-height:1.5}" +
+      "pre{white-space:pre-wrap;background:#f6f8fa;padding:.5rem;border-radius:4px}" +
+      "ul.checklist{list-style:none;padding-left:1rem}.done{color:#57606a}</style>",
+    "</head>",
+    "<body>",
+    `<h1>${title}</h1>`,
+    "<dl>",
+    ...describeExportSummary(model).map(
+      ([label, value]) => `<dt>${escapeHtml(label)}</dt><dd>${safeExportText(value, { singleLine: true })}</dd>`,
+    ),
+    "</dl>",
+    "<h2>Handoffs</h2>",
+  ];
+  if (!model.handoffs.length) parts.push("<p><em>No handoffs.</em></p>");
+  model.handoffs.forEach(({ entry, checklist, questions }) => {
+    parts.push(
+      "<section>",
+      `<h3>${safeExportText(entry.ts || "unknown-time", { singleLine: true })} by ${safeExportText(entry.agent || "unknown-agent", { singleLine: true })}</h3>`,
+      `<pre>${safeExportText(entry.summary || "")}</pre>`,
+    );
+    if (checklist.length) {
+      parts.push("<h4>Next steps</h4>", "<ul class=\"checklist\">");
+      checklist.forEach((step) => {
+        const doneBy = step.done ? ` <em>(done by ${safeExportText(step.completed_by || "unknown-agent", { singleLine: true })})</em>` : "";
+        parts.push(
+          `<li${step.done ? " class=\"done\"" : ""}>${step.done ? "&#9745;" : "&#9744;"} ${safeExportText(step.text, { singleLine: true })}${doneBy}</li>`,
+        );
+      });
+      parts.push("</ul>");
+    }
+    if (questions.length) {
+      parts.push("<h4>Open questions</h4>", "<ul class=\"checklist\">");
+      questions.forEach((question) => {
+        const answer = question.answered ? ` &mdash; ${safeExportText(question.answer || "", { singleLine: true })}` : "";
+        parts.push(
+          `<li${question.answered ? " class=\"done\"" : ""}>${question.answered ? "&#9745;" : "&#9744;"} ${safeExportText(question.text, { singleLine: true })}${answer}</li>`,
+        );
+      });
+      parts.push("</ul>");
+    }
+    if (Array.isArray(entry.files) && entry.files.length) {
+      parts.push(`<p>Files: ${entry.files.map((file) => `<code>${safeExportText(file, { singleLine: true })}</code>`).join(", ")}</p>`);
+    }
+    parts.push("</section>");
+  });
+  parts.push("<h2>Timeline</h2>", "<ol>");
+  model.timeline.forEach(({ header, body }) => {
+    parts.push(`<li><strong>${safeExportText(header, { singleLine: true })}</strong>`);
+    if (body.length) parts.push(`<pre>${safeExportText(body.join("\n"))}</pre>`);
+    parts.push("</li>");
+  });
+  parts.push("</ol>", "</body>", "</html>");
+  return `${parts.join("\n")}\n`;
+}
 
-  const project = getSessionProject(entry);
-  if (!isObject(index.projects[project])) {
-    index.projects[project] = {};
-  }
-  if (!isObject(index.projects[project][sessionId])) {
-    index.projects[project][sessionId] = makeSessionSummary(sessionId, project);
+async function exportSession({ session_id, project, format }) {
+  const { entries, parseErrors } = await readEntries({ sessionIds: [session_id] });
+  const { index } = await getOrBuildSessionIndex();
+  const sessionEntries = getSessionEntries(entries, { project, session_id });
+  const resumeData = buildResumeSessionData(entries, parseErrors, {
+    project,
+    session_id,
+    limit: Math.max(1, sessionEntries.length),
+    index,
+  });
+  if (!resumeData) {
+    return null;
   }
-  applyEntryToSessionSummary(index.projects[project][sessionId], entry, fileIndex);
-  index.projects[project][sessionId].agents.sort();
+  const model = buildSessionExport(resumeData, sessionEntries);
+  return format === "html" ? renderSessionHtml(model) : renderSessionMarkdown(model);
 }
 
-function listProjectSessionsFromIndex(index, project) {
-  if (!index || !isObject(index.projects)) {
-    return [];
-  }
-  const bucket = index.projects[project];
-  if (!isObject(bucket)) {
-    return [];
-  }
-  const summaries = Object.values(bucket)
-    .filter((summary) => summary?.session_id !== NO_SESSION_BUCKET)
-    .map((summary) => ({
-      ...summary,
-      agents: Array.isArray(summary.agents) ? [...summary.agents].sort() : [],
-    }));
-  return sortSessionSummaries(summaries);
+const MARKDOWN_HANDOFF_SECTIONS = {
+  summary: "summary",
+  "next steps": "next_steps",
+  "next step": "next_steps",
+  todo: "next_steps",
+  "open questions": "open_questions",
+  questions: "open_questions",
+  files: "files",
+  "files touched": "files",
+  "relevant files": "files",
+};
+
+const EXPORT_HTML_ENTITIES = { amp: "&", lt: "<", gt: ">", quot: "\"", "#39": "'" };
+
+function decodeExportEntities(value) {
+  return String(value).replace(/&(amp|lt|gt|quot|#39);/g, (_, name) => EXPORT_HTML_ENTITIES[name]);
 }
 
-function listSessionRecords(index) {
-  if (!index || !isObject(index.sessions)) {
-    return [];
-  }
-  return Object.values(index.sessions)
-    .map((record) => ({
-      ...record,
-      agents: Array.isArray(record.agents) ? [...record.agents].sort() : [],
-    }))
-    .sort((a, b) => {
-      const aIndex = Number.isInteger(a.latest_file_index) ? a.latest_file_index : -1;
-      const bIndex = Number.isInteger(b.latest_file_index) ? b.latest_file_index : -1;
-      if (aIndex !== bIndex) return aIndex - bIndex;
-      return String(a.session_id).localeCompare(String(b.session_id));
-    });
+function unescapeMarkdownText(value) {
+  // Undoes export_session's escaping: entities first, then backslash escapes of ASCII punctuation.
+  return decodeExportEntities(value).replace(/\\([!-/:-@[-`{-~])/g, "$1");
 }
 
-async function listSessionDataFiles() {
-  try {
-    const dirEntries = await fs.readdir(SESSION_DATA_DIR, { withFileTypes: true });
-    const files = await Promise.all(
-      dirEntries
-        .filter((entry) => entry.isFile() && entry.name.endsWith(".jsonl"))
-        .map(async (entry) => {
-          const filePath = path.join(SESSION_DATA_DIR, entry.name);
-          const stat = await statFile(filePath);
-          return {
-            filePath,
-            mtimeMs: typeof stat?.mtimeMs === "number" ? stat.mtimeMs : 0,
-          };
-        }),
-    );
-    return files
-      .sort((a, b) => (a.mtimeMs - b.mtimeMs) || a.filePath.localeCompare(b.filePath))
-      .map((file) => file.filePath);
-  } catch (error) {
-    if (error && error.code === "ENOENT") {
-      return [];
+function parseMarkdownHandoffs(text) {
+  // A repeated Summary heading starts the next handoff; the unrecognised heading just before a handoff becomes its task.
+  const handoffs = [];
+  let current = null;
+  let section = null;
+  let pendingTitle;
+  const summaryLines = [];
+  const flushSummary = () => {
+    if (current && summaryLines.length) {
+      current.summary = unescapeMarkdownText(summaryLines.join("\n").trim()) || current.summary;
+    }
+    summaryLines.length = 0;
+  };
+  const startHandoff = () => {
+    flushSummary();
+    current = {
+      task: pendingTitle,
+      summary: undefined,
+      next_steps: [],
+      completed_steps: [],
+      open_questions: [],
+      checked_questions: 0,
+      files: [],
+    };
+    handoffs.push(current);
+    pendingTitle = undefined;
+  };
+  String(text || "").split(/\r?\n/).forEach((line) => {
+    const heading = line.match(/^\s{0,3}#{1,6}\s+(.*?)\s*#*\s*$/);
+    if (heading) {
+      const key = heading[1].toLowerCase().replace(/[^a-z ]+/g, "").replace(/\s+/g, " ").trim();
+      const field = MARKDOWN_HANDOFF_SECTIONS[key];
+      flushSummary();
+      if (!field) {
+        section = null;
+        pendingTitle = unescapeMarkdownText(heading[1].trim()) || pendingTitle;
+        return;
+      }
+      if (!current || (field === "summary" && current.summary !== undefined)) {
+        startHandoff();
+      }
+      pendingTitle = undefined;
+      section = field;
+      if (field === "summary") current.summary = "";
+      return;
+    }
+    if (!section) return;
+    if (section === "summary") {
+      summaryLines.push(line);
+      return;
     }
-    throw error;
-  }
+    const item = line.match(/^\s*(?:[-*+]|\d+[.)])\s+(?:\[([ xX])\]\s+)?(.*)$/);
+    if (!item || !item[2].trim()) return;
+    const checked = Boolean(item[1]) && item[1] !== " ";
+    if (section === "files") {
+      const file = item[2].trim();
+      const codeSpan = file.match(/^`(.*)`$/);
+      // Backslashes are literal inside a code span, so only entities are decoded there.
+      current.files.push(codeSpan ? decodeExportEntities(codeSpan[1]) : unescapeMarkdownText(file));
+      return;
+    }
+    if (checked && section === "open_questions") {
+      // There is no answer text to record, so checked questions are reported as skipped.
+      current.checked_questions += 1;
+      return;
+    }
+    // `export_session` appends "_(done by agent)_" to checked steps; that part is not step text.
+    const value = unescapeMarkdownText(checked ? item[2].replace(/\s+_\(done by [^)]*\)_\s*$/, "").trim() : item[2].trim());
+    if (checked) current.completed_steps.push(current.next_steps.length);
+    current[section].push(value);
+  });
+  flushSummary();
+  return handoffs.filter(
+    (handoff) => handoff.summary || handoff.next_steps.length || handoff.open_questions.length || handoff.files.length,
+  );
 }
 
-async function migrateLegacyContextFileToSessionFilesIfNeeded() {
-  const existingSessionFiles = await listSessionDataFiles();
-  if (existingSessionFiles.length) {
-    return { migrated: false, index: null, parseErrors: [] };
+function detectImportFormat(raw, sourceName) {
+  if (typeof sourceName === "string" && /\.(?:jsonl|ndjson)$/i.test(sourceName)) {
+    return "ndjson";
   }
-
-  const legacyStat = await statFile(CONTEXT_FILE);
-  if (!legacyStat || !legacyStat.isFile() || legacyStat.size === 0) {
-    return { migrated: false, index: null, parseErrors: [] };
+  const firstLine = String(raw || "").split(/\r?\n/).find((line) => line.trim());
+  if (firstLine && firstLine.trim().startsWith("{")) {
+    try {
+      return isObject(JSON.parse(firstLine)) ? "ndjson" : "markdown";
+    } catch {
+      return "markdown";
+    }
   }
+  return "markdown";
+}
 
-  const raw = await readRawSessionFile(CONTEXT_FILE);
-  if (!raw.trim()) {
-    return { migrated: false, index: null, parseErrors: [] };
+function asImportedCount(value, name) {
+  if (value === undefined || value === null) {
+    return undefined;
   }
-
-  const { entries, parseErrors } = parseEntries(raw, { filePath: CONTEXT_FILE });
-  if (!entries.length) {
-    return { migrated: false, index: null, parseErrors };
+  if (!Number.isInteger(value) || value < 0) {
+    throw new Error(`Expected non-negative integer for ${name}`);
   }
+  return value;
+}
 
-  const groupedLines = new Map();
-  const index = makeSessionIndexSkeleton();
-  entries.forEach((entry, order) => {
-    const sessionBucket = resolveEntrySessionBucket(entry.session_id);
-    const filePath = sessionFilePathFromKey(sessionBucketToFileKey(sessionBucket));
-    const existing = groupedLines.get(filePath) || [];
-    existing.push(`${JSON.stringify(entry)}\n`);
-    groupedLines.set(filePath, existing);
-    applyEntryToSessionIndex(index, entry, order);
+function asImportedItemList(value, name, handoffId, makeId, { ids, idsName } = {}) {
+  // Handoff steps/questions: `{id, text}` objects or plain strings (ids from `ids`), under the write tools' limits.
+  if (value === undefined || value === null) {
+    return undefined;
+  }
+  if (!Array.isArray(value)) {
+    throw new Error(`Expected array for ${name}`);
+  }
+  if (value.length > MAX_ARRAY_ITEMS) {
+    throw new Error(`${name} exceeds max items (${MAX_ARRAY_ITEMS})`);
+  }
+  return value.map((item, position) => {
+    const itemName = `${name}[${position}]`;
+    const text = enforceStringMaxLength(
+      asString(isObject(item) ? item.text : item, itemName, { required: true }),
+      itemName,
+      MAX_ARRAY_ITEM_CHARS,
+    );
+    const id = isObject(item)
+      ? asString(item.id, `${itemName}.id`)
+      : enforceStringMaxLength(asString(ids?.[position], `${idsName}[${position}]`), `${idsName}[${position}]`, MAX_ARRAY_ITEM_CHARS);
+    return { id: id || makeId(handoffId, position), text };
   });
-  index.next_file_index = Math.max(index.next_file_index || 0, entries.length);
+}
 
-  for (const [filePath, lines] of groupedLines.entries()) {
-    await fs.mkdir(path.dirname(filePath), { recursive: true });
-    await fs.writeFile(filePath, lines.join(""), "utf8");
+function asImportedObjectList(value, name, normalizeItem) {
+  if (value === undefined || value === null) {
+    return undefined;
   }
-
-  return { migrated: true, index, parseErrors };
+  if (!Array.isArray(value) || !value.every(isObject)) {
+    throw new Error(`Expected array of objects for ${name}`);
+  }
+  if (value.length > MAX_ARRAY_ITEMS) {
+    throw new Error(`${name} exceeds max items (${MAX_ARRAY_ITEMS})`);
+  }
+  return value.map((item, position) => normalizeItem(item, `${name}[${position}]`));
 }
 
-async function readSessionFileEntries(filePath) {
-  const raw = await readRawSessionFile(filePath);
-  return parseEntries(raw, { filePath });
+function asImportedCountMap(value, name) {
+  // `tag_counts` / `compacted.kinds`: short string keys mapped to non-negative integer counts.
+  if (value === undefined || value === null) {
+    return undefined;
+  }
+  if (!isObject(value)) {
+    throw new Error(`Expected object for ${name}`);
+  }
+  const keys = Object.keys(value);
+  if (keys.length > MAX_ARRAY_ITEMS) {
+    throw new Error(`${name} exceeds max items (${MAX_ARRAY_ITEMS})`);
+  }
+  const counts = {};
+  keys.forEach((key) => {
+    if (!key.trim() || key.length > MAX_ARRAY_ITEM_CHARS) {
+      throw new Error(`Invalid key in ${name}`);
+    }
+    counts[key] = asImportedCount(value[key], `${name}.${key}`) ?? 0;
+  });
+  return counts;
 }
 
-async function readRawContextFile() {
-  const { index } = await getOrBuildSessionIndex();
-  const records = listSessionRecords(index);
-  if (!records.length) {
-    return "";
+function asImportedCompacted(value) {
+  if (!isObject(value)) {
+    throw new Error("Expected object for compacted");
   }
-  const chunks = [];
-  for (const record of records) {
-    if (typeof record.file_path !== "string" || !record.file_path) {
-      continue;
-    }
-    const raw = await readRawSessionFile(record.file_path);
-    if (!raw) {
-      continue;
-    }
-    chunks.push(raw.endsWith("\n") ? raw : `${raw}\n`);
+  const archiveFile = enforceStringMaxLength(asString(value.archive_file, "compacted.archive_file"), "compacted.archive_file", MAX_ARRAY_ITEM_CHARS);
+  if (archiveFile && path.basename(archiveFile) !== archiveFile) {
+    throw new Error("compacted.archive_file must be a file name");
   }
-  return chunks.join("");
+  return {
+    entry_count: asImportedCount(value.entry_count, "compacted.entry_count"),
+    from_ts: asIsoDateOrUndefined(value.from_ts, "compacted.from_ts"),
+    to_ts: asIsoDateOrUndefined(value.to_ts, "compacted.to_ts"),
+    kinds: asImportedCountMap(value.kinds, "compacted.kinds"),
+    agents: enforceStringArrayLimits(asStringArray(value.agents, "compacted.agents"), "compacted.agents"),
+    archive_file: archiveFile,
+  };
 }
 
-function compareEntriesByTsThenOrder(a, b) {
-  const aTs = Number.isFinite(a.tsMs) ? a.tsMs : Number.NEGATIVE_INFINITY;
-  const bTs = Number.isFinite(b.tsMs) ? b.tsMs : Number.NEGATIVE_INFINITY;
-  if (aTs !== bTs) {
-    return aTs - bTs;
+function asImportedGitContext(value) {
+  if (value === undefined || value === null) {
+    return undefined;
   }
-  return a.order - b.order;
+  if (!isObject(value)) {
+    throw new Error("Expected object for git");
+  }
+  const head = asString(value.head, "git.head");
+  if (head && !GIT_COMMIT_PATTERN.test(head)) {
+    throw new Error("git.head must be a hex commit id");
+  }
+  const limited = (field) => enforceStringMaxLength(asString(value[field], `git.${field}`), `git.${field}`, MAX_ARRAY_ITEM_CHARS);
+  return {
+    head: head || undefined,
+    branch: limited("branch"),
+    upstream: limited("upstream"),
+    ahead: asImportedCount(value.ahead, "git.ahead"),
+    behind: asImportedCount(value.behind, "git.behind"),
+    changed_files: enforceStringArrayLimits(asStringArray(value.changed_files, "git.changed_files"), "git.changed_files", {
+      maxItems: MAX_GIT_CHANGED_FILES,
+    }),
+    changed_file_count: asImportedCount(value.changed_file_count, "git.changed_file_count"),
+  };
 }
 
-async function rebuildSessionIndexFromSessionFiles() {
-  await ensureStorageDirectories();
-  const migration = await migrateLegacyContextFileToSessionFilesIfNeeded();
-  if (migration.migrated && migration.index) {
-    return { index: migration.index, parseErrors: migration.parseErrors };
+function asImportedSessionStatus(value, { required = false } = {}) {
+  const status = asString(value, "status", { required });
+  if (status && !SESSION_STATUSES.includes(status)) {
+    throw new Error(`status must be one of: ${SESSION_STATUSES.join(", ")}`);
   }
+  return status || undefined;
+}
 
-  const index = makeSessionIndexSkeleton();
-  const parseErrors = [...migration.parseErrors];
-  const sessionFiles = await listSessionDataFiles();
-  let order = 0;
-
-  for (const filePath of sessionFiles) {
-    const { entries, parseErrors: fileErrors } = await readSessionFileEntries(filePath);
-    parseErrors.push(...fileErrors);
-    entries.forEach((entry) => {
-      applyEntryToSessionIndex(index, entry, order);
-      order += 1;
+function normalizeImportedEntry(original, { sessionId, project }) {
+  // Rebuilds the entry field by field with the same limits the write tools apply; unknown fields are dropped.
+  if (!isObject(original)) {
+    throw new Error("Expected a JSON object");
+  }
+  const kind = asEntryKind(original.kind);
+  if (!kind) {
+    throw new Error("Missing required string: kind");
+  }
+  // Entries without an id get one derived from their content so re-importing the same file stays idempotent.
+  const id = asString(original.id, "id")
+    || `import-${createHash("sha256").update(JSON.stringify(original)).digest("hex").slice(0, 24)}`;
+  const entry = {
+    id,
+    ts: asIsoDateOrUndefined(original.ts, "ts") || new Date().toISOString(),
+    kind,
+    project: normalizeProject(project || asString(original.project, "project")),
+    agent: asString(original.agent, "agent", { required: true }),
+    session_id: sessionId || normalizeSessionId(original.session_id),
+    task: enforceStringMaxLength(asString(original.task, "task"), "task", MAX_ARRAY_ITEM_CHARS),
+  };
+  const noteText = (field, { required = false } = {}) =>
+    enforceStringMaxLength(asString(original[field], field, { required, trim: false }), field, MAX_NOTE_TEXT_CHARS);
+  const itemText = (field, { required = false } = {}) =>
+    enforceStringMaxLength(asString(original[field], field, { required }), field, MAX_ARRAY_ITEM_CHARS);
+  const stringList = (field) => enforceStringArrayLimits(asStringArray(original[field], field), field);
+
+  if (kind === "note") {
+    let artifact;
+    if (original.artifact !== undefined && original.artifact !== null) {
+      if (!isObject(original.artifact)) {
+        throw new Error("Expected object for artifact");
+      }
+      const hash = asString(original.artifact.hash, "artifact.hash", { required: true });
+      if (!/^[0-9a-f]{64}$/.test(hash)) {
+        throw new Error("artifact.hash must be a sha256 hex digest");
+      }
+      artifact = {
+        hash,
+        name: enforceStringMaxLength(asString(original.artifact.name, "artifact.name"), "artifact.name", MAX_ARRAY_ITEM_CHARS),
+        mime_type: enforceStringMaxLength(
+          asString(original.artifact.mime_type, "artifact.mime_type"),
+          "artifact.mime_type",
+          MAX_ARRAY_ITEM_CHARS,
+        ),
+        bytes: asImportedCount(original.artifact.bytes, "artifact.bytes"),
+      };
+    }
+    return {
+      ...entry,
+      text: noteText("text", { required: true }),
+      artifact,
+      tags: stringList("tags"),
+      git: asImportedGitContext(original.git),
+    };
+  }
+  if (kind === "handoff") {
+    if (original.next_step_ids !== undefined && original.next_step_ids !== null && !Array.isArray(original.next_step_ids)) {
+      throw new Error("Expected array for next_step_ids");
+    }
+    const steps = asImportedItemList(original.next_steps, "next_steps", id, makeStepId, {
+      ids: original.next_step_ids,
+      idsName: "next_step_ids",
     });
+    return {
+      ...entry,
+      summary: enforceStringMaxLength(
+        asString(original.summary, "summary", { required: true, trim: false }),
+        "summary",
+        MAX_HANDOFF_SUMMARY_CHARS,
+      ),
+      next_steps: steps?.map((step) => step.text),
+      next_step_ids: steps?.map((step) => step.id),
+      open_questions: asImportedItemList(original.open_questions, "open_questions", id, makeQuestionId),
+      files: stringList("files"),
+      git: asImportedGitContext(original.git),
+      forked_from: normalizeForkedFrom(original.forked_from),
+      imported_from: itemText("imported_from"),
+    };
   }
-
-  index.next_file_index = Math.max(index.next_file_index || 0, order);
-  return { index, parseErrors };
+  if (kind === "status") {
+    return { ...entry, status: asImportedSessionStatus(original.status, { required: true }), reason: noteText("reason") };
+  }
+  if (kind === "decision") {
+    return {
+      ...entry,
+      decision: noteText("decision", { required: true }),
+      rationale: noteText("rationale"),
+      alternatives: stringList("alternatives"),
+      files: stringList("files"),
+      tags: stringList("tags"),
+    };
+  }
+  if (kind === "step_completion") {
+    return {
+      ...entry,
+      step_id: itemText("step_id", { required: true }),
+      handoff_id: itemText("handoff_id"),
+      step_text: itemText("step_text"),
+      note: noteText("note"),
+    };
+  }
+  if (kind === "answer") {
+    return {
+      ...entry,
+      question_id: itemText("question_id", { required: true }),
+      handoff_id: itemText("handoff_id"),
+      question_text: itemText("question_text"),
+      answer: noteText("answer", { required: true }),
+    };
+  }
+  // Digest sub-records are rebuilt field by field too, so nothing nested reaches the session or its index unchecked.
+  const limitedField = (item, itemName, field, maxChars = MAX_ARRAY_ITEM_CHARS) =>
+    enforceStringMaxLength(asString(item[field], `${itemName}.${field}`, { trim: false }), `${itemName}.${field}`, maxChars);
+  return {
+    ...entry,
+    compacted: asImportedCompacted(original.compacted),
+    status: asImportedSessionStatus(original.status),
+    forked_from: normalizeForkedFrom(original.forked_from),
+    handoffs: asImportedObjectList(original.handoffs, "handoffs", (item, itemName) => ({
+      id: limitedField(item, itemName, "id"),
+      ts: asIsoDateOrUndefined(item.ts, `${itemName}.ts`),
+      agent: limitedField(item, itemName, "agent"),
+      summary: limitedField(item, itemName, "summary", MAX_HANDOFF_SUMMARY_CHARS),
+    })),
+    decisions: asImportedObjectList(original.decisions, "decisions", (item, itemName) => ({
+      id: limitedField(item, itemName, "id"),
+      ts: asIsoDateOrUndefined(item.ts, `${itemName}.ts`),
+      agent: limitedField(item, itemName, "agent"),
+      decision: limitedField(item, itemName, "decision", MAX_NOTE_TEXT_CHARS),
+      rationale: limitedField(item, itemName, "rationale", MAX_NOTE_TEXT_CHARS),
+      alternatives: enforceStringArrayLimits(
+        asStringArray(item.alternatives, `${itemName}.alternatives`),
+        `${itemName}.alternatives`,
+      ),
+    })),
+    notes: asImportedObjectList(original.notes, "notes", (item, itemName) => ({
+      id: limitedField(item, itemName, "id"),
+      ts: asIsoDateOrUndefined(item.ts, `${itemName}.ts`),
+      agent: limitedField(item, itemName, "agent"),
+      text: limitedField(item, itemName, "text", MAX_NOTE_TEXT_CHARS),
+    })),
+    open_questions: asImportedItemList(original.open_questions, "open_questions", id, makeQuestionId),
+    files: stringList("files"),
+    tag_counts: asImportedCountMap(original.tag_counts, "tag_counts"),
+  };
 }
 
-async function getOrBuildSessionIndex() {
-  const existing = await loadSessionIndex();
-  if (existing) {
-    return { index: existing, parseErrors: [] };
+async function importSessionContent({ raw, format, agent, sessionId, project, task, source }) {
+  // Same ceiling as a session file, whether the text came inline or from the CLI.
+  if (Buffer.byteLength(raw, "utf8") > MAX_CONTEXT_FILE_BYTES) {
+    throw new Error(`Import content exceeds configured max size (${MAX_CONTEXT_FILE_BYTES} bytes)`);
+  }
+  const resolvedFormat = format || detectImportFormat(raw, source);
+  if (resolvedFormat === "markdown") {
+    if (!sessionId) {
+      throw new Error("session_id is required for Markdown imports (or set an active session).");
+    }
+    const handoffs = parseMarkdownHandoffs(raw);
+    if (!handoffs.length) {
+      throw new Error("No Summary, Next steps, Open questions or Files headings found in the Markdown input.");
+    }
+    const imported = [];
+    handoffs.forEach((handoff) => {
+      const entryArgs = { agent, project, session_id: sessionId, task: task || handoff.task };
+      const entry = {
+        ...makeHandoffEntry(entryArgs, {
+          summary: enforceStringMaxLength(
+            handoff.summary || handoff.task || `Imported from ${source || "Markdown"}.`,
+            "summary",
+            MAX_HANDOFF_SUMMARY_CHARS,
+          ),
+          next_steps: enforceStringArrayLimits(handoff.next_steps.length ? handoff.next_steps : undefined, "next_steps"),
+          open_questions: enforceStringArrayLimits(
+            handoff.open_questions.length ? handoff.open_questions : undefined,
+            "open_questions",
+          ),
+          files: enforceStringArrayLimits(handoff.files.length ? handoff.files : undefined, "files"),
+        }),
+        imported_from: source || "markdown",
+      };
+      imported.push(entry);
+      // Checked steps become completions in the same batch, so the checklist shows them as done.
+      const steps = normalizeHandoffSteps(entry);
+      handoff.completed_steps.forEach((position) => {
+        const step = steps[position];
+        imported.push({
+          ...makeEntryBase("step_completion", entryArgs),
+          step_id: step.id,
+          handoff_id: entry.id,
+          step_text: step.text,
+          note: `Checked in ${source || "the imported Markdown"}.`,
+        });
+      });
+    });
+    await appendEntries(imported);
+    return {
+      format: resolvedFormat,
+      imported,
+      skippedDuplicates: 0,
+      skippedCheckedQuestions: handoffs.reduce((sum, handoff) => sum + handoff.checked_questions, 0),
+    };
   }
-  const rebuilt = await rebuildSessionIndexFromSessionFiles();
-  await persistSessionIndex(rebuilt.index);
-  return rebuilt;
-}
 
-function resolveSessionFilePath(index, sessionId) {
-  const sessionBucket = resolveEntrySessionBucket(sessionId);
-  const record = isObject(index?.sessions?.[sessionBucket]) ? index.sessions[sessionBucket] : null;
-  if (record && typeof record.file_path === "string" && record.file_path) {
-    return record.file_path;
+  const { entries, parseErrors } = parseEntries(raw);
+  // Every line is validated before anything is written, so a bad line (malformed or invalid) rejects the whole import.
+  if (parseErrors.length) {
+    throw new Error(
+      `Import rejected (nothing written): line ${parseErrors[0].line} is not a JSON object` +
+        (parseErrors.length > 1 ? ` (${parseErrors.length} malformed lines)` : ""),
+    );
   }
-  return sessionFilePathFromKey(sessionBucketToFileKey(sessionBucket));
+  const normalized = entries.map((original, position) => {
+    try {
+      return normalizeImportedEntry(original, { sessionId, project });
+    } catch (error) {
+      throw new Error(`Import rejected (nothing written): entry ${position + 1}: ${error.message}`);
+    }
+  });
+  const imported = await appendEntries(normalized, { skipExistingIds: true });
+  return {
+    format: resolvedFormat,
+    imported,
+    skippedDuplicates: normalized.length - imported.length,
+    skippedCheckedQuestions: 0,
+  };
 }
 
-async function readEntries({ sessionIds } = {}) {
-  const { index, parseErrors: indexParseErrors } = await getOrBuildSessionIndex();
-  const requestedSessionIds = Array.isArray(sessionIds)
-    ? sessionIds.map((sessionId) => resolveEntrySessionBucket(sessionId))
-    : null;
-  const targetSessionIds =
-    requestedSessionIds && requestedSessionIds.length ? requestedSessionIds : Object.keys(index.sessions || {});
-
-  if (!targetSessionIds.length) {
-    return { entries: [], parseErrors: indexParseErrors };
+function formatImportResult(result) {
+  const sessions = [...new Set(result.imported.map((entry) => resolveEntrySessionBucket(entry.session_id)))];
+  const lines = [
+    `Imported ${result.imported.length} ${result.format} entr${result.imported.length === 1 ? "y" : "ies"}` +
+      (sessions.length ? ` into ${sessions.join(", ")}` : ""),
+  ];
+  if (result.skippedDuplicates) {
+    lines.push(`Skipped ${result.skippedDuplicates} entr${result.skippedDuplicates === 1 ? "y" : "ies"} already present (same id).`);
   }
-
-  const parseErrors = [...indexParseErrors];
-  const wrapped = [];
-  let order = 0;
-  for (const sessionId of targetSessionIds) {
-    const filePath = resolveSessionFilePath(index, sessionId);
-    const { entries: sessionEntries, parseErrors: sessionErrors } = await readSessionFileEntries(filePath);
-    parseErrors.push(...sessionErrors);
-    sessionEntries.forEach((entry) => {
-      wrapped.push({
-        entry,
-        order,
-        tsMs: Date.parse(typeof entry.ts === "string" ? entry.ts : ""),
-      });
-      order += 1;
+  if (result.skippedCheckedQuestions) {
+    lines.push(`Skipped ${result.skippedCheckedQuestions} checked open question(s); answers are not imported from Markdown.`);
+  }
+  result.imported
+    .filter((entry) => entry.kind === "handoff")
+    .forEach((entry) => {
+      lines.push(`handoff ${entry.id}: ${truncateText(sanitizeDisplayText(entry.summary || "", { singleLine: true }), 80)}`);
     });
+  return lines.join("\n");
+}
+
+async function readImportFile(filePath) {
+  const resolved = path.resolve(expandHomePath(filePath));
+  const stat = await statFile(resolved);
+  if (!stat) {
+    throw new Error(`Import file not found: ${resolved}`);
+  }
+  if (stat.size > MAX_CONTEXT_FILE_BYTES) {
+    throw new Error(`Import file exceeds configured max size (${MAX_CONTEXT_FILE_BYTES} bytes): ${resolved}`);
   }
+  return { raw: await fs.readFile(resolved, "utf8"), source: path.basename(resolved) };
+}
 
-  if (targetSessionIds.length > 1) {
-    wrapped.sort(compareEntriesByTsThenOrder);
+function summarizeRead(entries, parseErrors, filePath) {
+  if (!entries.length) {
+    const parseNote = parseErrors.length ? ` (${parseErrors.length} malformed line(s) skipped)` : "";
+    return `No matching entries in ${filePath}.${parseNote}`;
   }
+  const header = `Shared context: ${entries.length} entr${entries.length === 1 ? "y" : "ies"} from ${filePath}`;
+  const errorLine = parseErrors.length ? `\nNote: skipped ${parseErrors.length} malformed JSONL line(s).` : "";
+  const body = entries.map((entry, idx) => formatEntry(entry, idx)).join("\n\n");
+  return `${header}${errorLine}\n\n${body}`;
+}
 
-  return {
-    entries: wrapped.map((item) => item.entry),
-    parseErrors,
-  };
+function summarizeSearchText(results, filePath, { query, project, parseErrors }) {
+  const safeQuery = sanitizeDisplayText(query, { singleLine: true });
+  if (!results.length) {
+    const parseNote = parseErrors.length ? ` (${parseErrors.length} malformed line(s) skipped)` : "";
+    return `No matches for "${safeQuery}" in ${filePath} for project=${project}.${parseNote}`;
+  }
+  const header = `Search results: ${results.length} hit(s) for "${safeQuery}" in project=${project} from ${filePath}`;
+  const errorLine = parseErrors.length ? `\nNote: skipped ${parseErrors.length} malformed JSONL line(s).` : "";
+  const body = results
+    .map((result, idx) => {
+      const parts = [
+        `[${idx + 1}] score=${result.score}`,
+        `session=${sanitizeDisplayText(result.session_id, { singleLine: true })}`,
+        `entry=${sanitizeDisplayText(result.entry_id || "(no-id)", { singleLine: true })}`,
+        `${sanitizeDisplayText(result.kind || "unknown", { singleLine: true })} by ${sanitizeDisplayText(result.agent || "unknown-agent", { singleLine: true })}`,
+      ];
+      if (result.ts) parts.push(sanitizeDisplayText(result.ts, { singleLine: true }));
+      return `${parts.join(" | ")}\n${result.snippet}`;
+    })
+    .join("\n\n");
+  return `${header}${errorLine}\n\n${body}`;
 }
 
-function filterEntries(entries, filters = {}) {
-  const {
-    project,
-    agent,
-    session_id,
-    kind,
-    since,
-  } = filters;
-  const sinceMs = since ? Date.parse(since) : null;
-  return entries.filter((entry) => {
-    if (project && entry.project !== project) return false;
-    if (agent && entry.agent !== agent) return false;
-    if (session_id && entry.session_id !== session_id) return false;
-    if (kind && entry.kind !== kind) return false;
-    if (sinceMs !== null) {
-      const entryMs = Date.parse(entry.ts || "");
-      if (Number.isNaN(entryMs) || entryMs < sinceMs) return false;
-    }
-    return true;
-  });
+function toolText(text, isError = false) {
+  const result = {
+    content: [{ type: "text", text: sanitizeDisplayText(text) }],
+  };
+  if (isError) {
+    result.isError = true;
+  }
+  return result;
 }
 
-function selectRecent(entries, limit) {
-  if (entries.length <= limit) {
-    return entries;
-  }
-  return entries.slice(entries.length - limit);
+function toolJson(obj) {
+  return {
+    content: [{ type: "text", text: JSON.stringify(obj, null, 2) }],
+  };
 }
 
-function asBoolean(value, name, fallback = false) {
-  if (value === undefined || value === null) {
-    return fallback;
-  }
-  if (typeof value !== "boolean") {
-    throw new Error(`Expected boolean for ${name}`);
-  }
-  return value;
+// Tools with an outputSchema always return their payload as structuredContent; `format` only picks the text fallback.
+function toolStructured(payload, format, text) {
+  const result = format === "json" ? toolJson(payload) : toolText(text);
+  result.structuredContent = payload;
+  return result;
 }
 
-function truncateText(value, maxLength = 120) {
-  if (typeof value !== "string") {
-    return undefined;
-  }
-  const text = sanitizeDisplayText(value, { singleLine: true }).trim();
-  if (!text) {
-    return undefined;
-  }
-  if (text.length <= maxLength) {
-    return text;
-  }
-  return `${text.slice(0, Math.max(0, maxLength - 3))}...`;
+function makeEntryBase(kind, args) {
+  return {
+    id: randomUUID(),
+    ts: new Date().toISOString(),
+    kind,
+    project: normalizeProject(args.project),
+    agent: asString(args.agent, "agent", { required: true }),
+    session_id: asString(args.session_id, "session_id"),
+    task: asString(args.task, "task"),
+  };
 }
 
-function makeSessionSummary(sessionId, project) {
+function makeHandoffEntry(args, { summary, next_steps, open_questions, files }) {
+  const base = makeEntryBase("handoff", args);
   return {
-    session_id: sessionId,
-    project: project || undefined,
-    entry_count: 0,
-    note_count: 0,
-    handoff_count: 0,
-    latest_ts: undefined,
-    latest_ts_ms: null,
-    latest_file_index: -1,
-    last_entry_kind: undefined,
-    task: undefined,
-    agents: [],
-    latest_handoff_summary: undefined,
+    ...base,
+    summary,
+    next_steps,
+    next_step_ids: next_steps?.map((_, position) => makeStepId(base.id, position)),
+    open_questions: open_questions?.map((text, position) => ({ id: makeQuestionId(base.id, position), text })),
+    files,
   };
 }
 
-function pushUniqueString(target, value) {
-  if (typeof value !== "string") {
-    return;
+function formatResumeSessionText(resumeData, sessionFile) {
+  const lines = [];
+  lines.push(`Resume session ${resumeData.session_id} from ${sessionFile}`);
+  if (resumeData.summary) {
+    lines.push("");
+    lines.push(formatSessionSummary(resumeData.summary, 0));
   }
-  const trimmed = value.trim();
-  if (!trimmed) {
-    return;
+  if (resumeData.lineage.length) {
+    lines.push(`forked_from: ${formatLineage(resumeData.lineage)}`);
   }
-  if (!target.includes(trimmed)) {
-    target.push(trimmed);
+  if (resumeData.artifacts.length) {
+    lines.push("");
+    lines.push("artifacts:");
+    resumeData.artifacts.forEach((artifact) => lines.push(`- ${formatArtifactLine(artifact)}`));
+  }
+  lines.push("");
+  lines.push("latest_handoff:");
+  lines.push(
+    resumeData.latest_handoff
+      ? formatEntry(resumeData.latest_handoff, 0, {
+        checklist: resumeData.checklist,
+        openQuestions: resumeData.open_questions,
+      })
+      : "(none)",
+  );
+  if (isObject(resumeData.latest_handoff?.git) && resumeData.latest_handoff.git.head) {
+    lines.push(`Call changes_since_handoff to see repository changes since ${resumeData.latest_handoff.git.head.slice(0, 12)}.`);
+  }
+  lines.push("");
+  lines.push("recent_entries:");
+  resumeData.entries.forEach((entry, idx) => {
+    lines.push(formatEntry(entry, idx));
+    if (idx < resumeData.entries.length - 1) lines.push("");
+  });
+  if (resumeData.parseErrors.length) {
+    lines.push("");
+    lines.push(`Note: skipped ${resumeData.parseErrors.length} malformed JSONL line(s).`);
   }
+  return lines.join("\n");
 }
 
-function applyEntryToSessionSummary(summary, entry, fileIndex) {
-  summary.entry_count += 1;
-  if (entry.kind === "note") summary.note_count += 1;
-  if (entry.kind === "handoff") summary.handoff_count += 1;
-  summary.last_entry_kind = entry.kind || summary.last_entry_kind;
-  if (Number.isInteger(fileIndex)) {
-    summary.latest_file_index = fileIndex;
-  }
-  if (!summary.project && entry.project) {
-    summary.project = entry.project;
+function formatSessionMoveResult(headline, result) {
+  const lines = [
+    headline,
+    `file=${result.targetFilePath}`,
+    `entries=${result.entryCount}`,
+  ];
+  if (result.malformedLineCount) {
+    lines.push(`Note: carried over ${result.malformedLineCount} malformed JSONL line(s) unchanged.`);
   }
-  if (typeof entry.task === "string" && entry.task.trim()) {
-    summary.task = entry.task.trim();
+  if (result.activeRepointed) {
+    lines.push(`Active session file now points to the new session (${ACTIVE_SESSION_FILE}).`);
   }
-  pushUniqueString(summary.agents, entry.agent);
-  if (entry.kind === "handoff") {
-    const handoffSummary = truncateText(entry.summary, 180);
-    if (handoffSummary) {
-      summary.latest_handoff_summary = handoffSummary;
-    }
+  if (result.carriedClaim) {
+    lines.push(`Claim by ${result.carriedClaim.agent} (until ${result.carriedClaim.expires_at}) now applies to the target session.`);
   }
-
-  const entryTs = typeof entry.ts === "string" ? entry.ts : undefined;
-  const entryTsMs = entryTs ? Date.parse(entryTs) : Number.NaN;
-  if (Number.isFinite(entryTsMs)) {
-    if (summary.latest_ts_ms === null || entryTsMs >= summary.latest_ts_ms) {
-      summary.latest_ts_ms = entryTsMs;
-      summary.latest_ts = new Date(entryTsMs).toISOString();
-      if (Number.isInteger(fileIndex)) {
-        summary.latest_file_index = fileIndex;
-      }
-    }
-  } else if (!summary.latest_ts && entryTs) {
-    summary.latest_ts = entryTs;
+  if (result.droppedClaimCount) {
+    lines.push(`Released ${result.droppedClaimCount} claim(s) on the source session(s).`);
   }
+  return lines.join("\n");
 }
 
-function getSummaryLatestTsMs(summary) {
-  if (typeof summary.latest_ts_ms === "number" && Number.isFinite(summary.latest_ts_ms)) {
-    return summary.latest_ts_ms;
-  }
-  if (typeof summary.latest_ts === "string" && summary.latest_ts) {
-    const parsed = Date.parse(summary.latest_ts);
-    if (Number.isFinite(parsed)) {
-      return parsed;
-    }
+async function callTool(name, rawArgs) {
+  const args = isObject(rawArgs) ? rawArgs : {};
+
+  if (name === "append_shared_note") {
+    const resolvedSessionId = await resolveSessionIdInput(args.session_id);
+    const text = enforceStringMaxLength(
+      resolveNoteTextInput(args),
+      "text",
+      MAX_NOTE_TEXT_CHARS,
+    );
+    const tags = enforceStringArrayLimits(asStringArray(args.tags, "tags"), "tags");
+    const entry = {
+      ...makeEntryBase("note", { ...args, session_id: resolvedSessionId }),
+      text,
+      tags,
+      git: await captureGitContext(),
+    };
+    await appendEntry(entry);
+    const entryFile = sessionFilePathFromKey(sessionBucketToFileKey(resolveEntrySessionBucket(entry.session_id)));
+    const claimWarning = await describeClaimConflict(entry.session_id, entry.agent);
+    return toolText(
+      `Appended note ${entry.id} to ${entryFile}\nproject=${entry.project}\nagent=${entry.agent}\nts=${entry.ts}${claimWarning}`,
+    );
   }
-  return Number.NEGATIVE_INFINITY;
-}
 
-function sortSessionSummaries(summaries) {
-  return summaries.sort((a, b) => {
-    const aTs = getSummaryLatestTsMs(a);
-    const bTs = getSummaryLatestTsMs(b);
-    if (bTs !== aTs) return bTs - aTs;
-    const aIndex = Number.isInteger(a.latest_file_index) ? a.latest_file_index : -1;
-    const bIndex = Number.isInteger(b.latest_file_index) ? b.latest_file_index : -1;
-    if (bIndex !== aIndex) return bIndex - aIndex;
-    return String(a.session_id).localeCompare(String(b.session_id));
-  });
-}
+  if (name === "write_shared_handoff") {
+    const resolvedSessionId = await resolveSessionIdInput(args.session_id);
+    const summary = enforceStringMaxLength(
+      asString(args.summary, "summary", { required: true, trim: false }),
+      "summary",
+      MAX_HANDOFF_SUMMARY_CHARS,
+    );
+    const next_steps = enforceStringArrayLimits(asStringArray(args.next_steps, "next_steps"), "next_steps");
+    const open_questions = enforceStringArrayLimits(asStringArray(args.open_questions, "open_questions"), "open_questions");
+    const files = enforceStringArrayLimits(asStringArray(args.files, "files"), "files");
+    const entry = {
+      ...makeHandoffEntry({ ...args, session_id: resolvedSessionId }, { summary, next_steps, open_questions, files }),
+      git: await captureGitContext(),
+    };
+    await appendEntry(entry);
+    const entryFile = sessionFilePathFromKey(sessionBucketToFileKey(resolveEntrySessionBucket(entry.session_id)));
+    const stepLines = normalizeHandoffSteps(entry).map((step) => `step ${step.id}: ${step.text}`);
+    const questionLines = (entry.open_questions || []).map((question) => `question ${question.id}: ${question.text}`);
+    const claimWarning = await describeClaimConflict(entry.session_id, entry.agent);
+    return toolText(
+      [
+        `Wrote handoff ${entry.id} to ${entryFile}`,
+        `project=${entry.project}`,
+        `agent=${entry.agent}`,
+        `ts=${entry.ts}`,
+        ...stepLines,
+        ...questionLines,
+      ].join("\n") + claimWarning,
+    );
+  }
 
-function buildSessionSummaries(entries, { includeUnsessioned = false } = {}) {
-  const sessions = new Map();
+  if (name === "read_shared_context") {
+    const project = normalizeProject(asString(args.project, "project"));
+    const agent = asString(args.agent, "agent");
+    const session_id = await resolveSessionIdInput(args.session_id);
+    const kind = asEntryKind(args.kind);
+    const since = asIsoDateOrUndefined(args.since, "since");
+    const tags = enforceStringArrayLimits(asStringArray(args.tags, "tags"), "tags");
+    const any_tags = enforceStringArrayLimits(asStringArray(args.any_tags, "any_tags"), "any_tags");
+    const limit = asPositiveInt(args.limit, "limit", 20, 1, 200);
+    const cursor = decodeCursor(args.cursor, "entries");
+    const format = normalizeFormat(args.format);
+    const sourceFile = session_id ? resolveSessionFilePath(null, session_id) : SESSION_DATA_DIR;
+    const { entries, parseErrors } = await readEntries({
+      sessionIds: session_id ? [session_id] : undefined,
+    });
+    const filtered = filterEntries(entries, { project, agent, session_id, kind, since, tags, any_tags });
+    const { page: recent, nextCursor } = pageEntriesBackwards(filtered, limit, cursor);
+    const payload = {
+      file: sourceFile,
+      indexFile: SESSION_INDEX_FILE,
+      filters: { project, agent, session_id, kind, since, tags, any_tags, limit },
+      count: recent.length,
+      parseErrors,
+      entries: recent,
+      next_cursor: nextCursor,
+    };
+    const olderNote = nextCursor ? `\n\nOlder entries available: call again with cursor=${nextCursor}` : "";
+    return toolStructured(payload, format, `${summarizeRead(recent, parseErrors, sourceFile)}${olderNote}`);
+  }
 
-  entries.forEach((entry, fileIndex) => {
-    const rawSessionId = typeof entry.session_id === "string" ? entry.session_id.trim() : "";
-    const sessionId = rawSessionId || (includeUnsessioned ? NO_SESSION_BUCKET : "");
-    if (!sessionId) {
-      return;
+  if (name === "get_latest_handoff") {
+    const project = normalizeProject(asString(args.project, "project"));
+    const agent = asString(args.agent, "agent");
+    const session_id = await resolveSessionIdInput(args.session_id);
+    const format = normalizeFormat(args.format);
+    const sourceFile = session_id ? resolveSessionFilePath(null, session_id) : SESSION_DATA_DIR;
+    const { entries, parseErrors } = await readEntries({
+      sessionIds: session_id ? [session_id] : undefined,
+    });
+    const handoffs = filterEntries(entries, { project, agent, session_id, kind: "handoff" });
+    const latest = handoffs.length ? handoffs[handoffs.length - 1] : null;
+    if (!latest) {
+      return toolStructured(
+        { file: sourceFile, indexFile: SESSION_INDEX_FILE, parseErrors, handoff: null, checklist: [], questions: [] },
+        format,
+        `No handoff found in ${sourceFile} for project=${project}.`,
+      );
     }
+    const latestSessionBucket = resolveEntrySessionBucket(latest.session_id);
+    const sessionEntries = entries.filter((entry) => resolveEntrySessionBucket(entry.session_id) === latestSessionBucket);
+    const checklist = buildStepChecklist(sessionEntries, latest);
+    const questions = buildQuestionList(sessionEntries, latest);
+    const openQuestions = questions.filter((question) => !question.answered);
+    const text = `Latest handoff from ${sourceFile}\n${formatEntry(latest, 0, { checklist, openQuestions })}${
+      parseErrors.length ? `\n\nNote: skipped ${parseErrors.length} malformed JSONL line(s).` : ""
+    }`;
+    return toolStructured(
+      { file: sourceFile, indexFile: SESSION_INDEX_FILE, parseErrors, handoff: latest, checklist, questions },
+      format,
+      text,
+    );
+  }
 
-    let summary = sessions.get(sessionId);
-    if (!summary) {
-      summary = makeSessionSummary(sessionId, entry.project);
-      sessions.set(sessionId, summary);
-    }
-    applyEntryToSessionSummary(summary, entry, fileIndex);
-  });
+  if (name === "list_sessions") {
+    const options = parseSessionListOptions(args);
+    const { project, agent, since, tags, anyTags, statuses, limit, includeUnsessioned, format } = options;
+    const cursor = decodeCursor(args.cursor, "sessions");
+    const { parseErrors, allSessions } = await buildSessionListResult(options);
+    const { page: sessions, nextCursor } = pageSessionSummaries(allSessions, limit, cursor);
 
-  return sortSessionSummaries(
-    [...sessions.values()].map((summary) => ({
-      ...summary,
-      agents: [...summary.agents].sort(),
-    })),
-  );
-}
+    const payload = {
+      file: SESSION_INDEX_FILE,
+      project,
+      filters: {
+        agent,
+        since,
+        tags,
+        any_tags: anyTags,
+        status: statuses || DEFAULT_VISIBLE_SESSION_STATUSES,
+        limit,
+        include_unsessioned: includeUnsessioned,
+      },
+      count: sessions.length,
+      parseErrors,
+      sessions,
+      next_cursor: nextCursor,
+    };
+    const moreNote = nextCursor ? `\n\nMore sessions available: call again with cursor=${nextCursor}` : "";
+    return toolStructured(
+      payload,
+      format,
+      `${summarizeSessionsText(sessions, SESSION_INDEX_FILE, { project, parseErrors })}${moreNote}`,
+    );
+  }
 
-function formatSessionSummary(summary, index) {
-  const safeSessionId = sanitizeDisplayText(summary.session_id, { singleLine: true }) || "(missing)";
-  const lineParts = [
-    `[${index + 1}] session=${safeSessionId}`,
-    `entries=${summary.entry_count}`,
-    `handoffs=${summary.handoff_count}`,
-  ];
-  if (summary.latest_ts) lineParts.push(`last=${summary.latest_ts}`);
-  if (summary.task) lineParts.push(`task=${sanitizeDisplayText(summary.task, { singleLine: true })}`);
+  if (name === "choose_session") {
+    const options = parseSessionListOptions(args);
+    const { project, limit, format } = options;
 
-  const body = [];
-  if (summary.agents?.length) body.push(`agents: ${summary.agents.map((a) => sanitizeDisplayText(a, { singleLine: true })).join(", ")}`);
-  if (summary.latest_handoff_summary) {
-    body.push(`latest_handoff: ${sanitizeDisplayText(summary.latest_handoff_summary, { singleLine: true })}`);
-  }
+    const index = asPositiveInt(args.index, "index", undefined, 1, 200);
+    const session_id = asString(args.session_id, "session_id");
+    const hasIndex = index !== undefined;
+    const hasSessionIdArg = session_id !== undefined;
+    if (!hasIndex && !hasSessionIdArg) {
+      throw new Error("choose_session requires either index or session_id");
+    }
+    if (hasIndex && hasSessionIdArg) {
+      throw new Error("choose_session accepts either index or session_id, not both");
+    }
 
-  return body.length ? `${lineParts.join(" | ")}\n${body.join("\n")}` : lineParts.join(" | ");
-}
+    // An explicit session_id may pick a done/archived session; index picks follow the default status filter.
+    const listOptions = hasSessionIdArg && !options.statuses ? { ...options, statuses: SESSION_STATUSES } : options;
+    const { parseErrors, allSessions, visibleSessions } = await buildSessionListResult(listOptions);
 
-function summarizeSessionsText(summaries, filePath, { project, parseErrors }) {
-  if (!summaries.length) {
-    const parseNote = parseErrors.length ? ` (${parseErrors.length} malformed line(s) skipped)` : "";
-    return `No resumable sessions found in ${filePath} for project=${project}.${parseNote}`;
-  }
-  const header = `Shared sessions: ${summaries.length} for project=${project} from ${filePath}`;
-  const errorLine = parseErrors.length ? `\nNote: skipped ${parseErrors.length} malformed JSONL line(s).` : "";
-  const body = summaries.map((summary, idx) => formatSessionSummary(summary, idx)).join("\n\n");
-  return `${header}${errorLine}\n\n${body}`;
-}
+    let selected;
+    if (hasIndex) {
+      selected = visibleSessions[index - 1] || null;
+      if (!selected) {
+        return toolText(
+          `No session at index ${index}. list_sessions returned ${visibleSessions.length} session(s) for project=${project}.`,
+          true,
+        );
+      }
+    } else {
+      selected = allSessions.find((session) => session.session_id === session_id) || null;
+      if (!selected) {
+        return toolText(`Session ${session_id} not found in ${SESSION_INDEX_FILE} for project=${project}.`, true);
+      }
+    }
 
-function parseSessionListOptions(args) {
-  return {
-    project: normalizeProject(asString(args.project, "project")),
-    agent: asString(args.agent, "agent"),
-    since: asIsoDateOrUndefined(args.since, "since"),
-    limit: asPositiveInt(args.limit, "limit", 20, 1, 200),
-    includeUnsessioned: asBoolean(args.include_unsessioned, "include_unsessioned", false),
-    format: normalizeFormat(args.format),
-  };
-}
+    const resumeArgs = {
+      session_id: selected.session_id,
+      project,
+      limit: 20,
+      format,
+    };
 
-async function buildSessionListResult(options) {
-  const canUseIndex =
-    !options.agent &&
-    !options.since &&
-    !options.includeUnsessioned;
+    await writeActiveSessionId(selected.session_id);
 
-  if (canUseIndex) {
-    const { index, parseErrors } = await getOrBuildSessionIndex();
-    const allSessions = listProjectSessionsFromIndex(index, options.project);
-    return {
+    const payload = {
+      file: SESSION_INDEX_FILE,
+      project,
       parseErrors,
-      allSessions,
-      visibleSessions: allSessions.slice(0, options.limit),
+      selected_session: selected,
+      choice: hasIndex ? { index } : { session_id: selected.session_id },
+      resume_tool: "resume_session",
+      resume_args: resumeArgs,
     };
+    const lines = [];
+    lines.push(`Selected session from ${SESSION_INDEX_FILE}`);
+    lines.push(formatSessionSummary(selected, 0));
+    lines.push("");
+    lines.push("Next: call resume_session with:");
+    lines.push(JSON.stringify(resumeArgs, null, 2));
+    if (parseErrors.length) {
+      lines.push("");
+      lines.push(`Note: skipped ${parseErrors.length} malformed JSONL line(s).`);
+    }
+    return toolStructured(payload, format, lines.join("\n"));
   }
 
-  const { entries, parseErrors } = await readEntries();
-  const filtered = filterEntries(entries, {
-    project: options.project,
-    agent: options.agent,
-    since: options.since,
-  });
-  const allSessions = buildSessionSummaries(filtered, {
-    includeUnsessioned: options.includeUnsessioned,
-  });
-  return {
-    parseErrors,
-    allSessions,
-    visibleSessions: allSessions.slice(0, options.limit),
-  };
-}
+  if (name === "resume_session") {
+    const session_id = await resolveSessionIdInput(args.session_id, { required: true });
+    const project = normalizeProject(asString(args.project, "project"));
+    const limit = asPositiveInt(args.limit, "limit", 20, 1, 200);
+    const format = normalizeFormat(args.format);
 
-function shortIsoForPrompt(value) {
-  if (!value || typeof value !== "string") {
-    return "unknown";
-  }
-  return value.replace("T", " ").replace("Z", "").replace(/\.\d+$/, "");
-}
+    const sessionFile = resolveSessionFilePath(null, session_id);
+    const { entries, parseErrors } = await readEntries({ sessionIds: [session_id] });
+    const { index } = await getOrBuildSessionIndex();
+    const resumeData = buildResumeSessionData(entries, parseErrors, { project, session_id, limit, index });
+    if (!resumeData) {
+      const payload = {
+        file: sessionFile,
+        indexFile: SESSION_INDEX_FILE,
+        project,
+        session_id,
+        parseErrors,
+        summary: null,
+        latest_handoff: null,
+        entries: [],
+      };
+      return toolStructured(
+        payload,
+        format,
+        `No entries found for session_id=${session_id} in ${sessionFile} (project=${project}).`,
+      );
+    }
 
-function parsePromptResumeIndex(name) {
-  if (!name.startsWith(PROMPT_RESUME_PREFIX)) {
-    return undefined;
-  }
-  const token = name.slice(PROMPT_RESUME_PREFIX.length);
-  if (!/^\d+$/.test(token)) {
-    return undefined;
-  }
-  const idx = Number(token) - 1;
-  if (!Number.isInteger(idx) || idx < 0) {
-    return undefined;
+    return toolStructured(
+      { file: sessionFile, indexFile: SESSION_INDEX_FILE, ...resumeData },
+      format,
+      formatResumeSessionText(resumeData, sessionFile),
+    );
   }
-  return idx;
-}
-
-async function buildPromptSessionList(project) {
-  const options = {
-    project,
-    agent: undefined,
-    since: undefined,
-    limit: MAX_PROMPT_SESSIONS,
-    includeUnsessioned: false,
-    format: "text",
-  };
-  const { parseErrors, visibleSessions } = await buildSessionListResult(options);
-  return { parseErrors, sessions: visibleSessions };
-}
 
-function hasSessionId(entry) {
-  return typeof entry.session_id === "string" && entry.session_id.trim().length > 0;
-}
+  if (name === "search_shared_context") {
+    const query = enforceStringMaxLength(asString(args.query, "query", { required: true }), "query", MAX_ARRAY_ITEM_CHARS);
+    const project = normalizeProject(asString(args.project, "project"));
+    const agent = asString(args.agent, "agent");
+    const session_id = normalizeSessionId(args.session_id);
+    const kind = asEntryKind(args.kind);
+    const limit = asPositiveInt(args.limit, "limit", 10, 1, 200);
+    const format = normalizeFormat(args.format);
+    const { parseErrors, results } = await searchSharedContext({ query, project, agent, session_id, kind, limit });
+    const payload = {
+      file: SEARCH_INDEX_FILE,
+      indexFile: SESSION_INDEX_FILE,
+      query,
+      filters: { project, agent, session_id, kind, limit },
+      count: results.length,
+      parseErrors,
+      results,
+    };
+    return toolStructured(payload, format, summarizeSearchText(results, SEARCH_INDEX_FILE, { query, project, parseErrors }));
+  }
 
-function getSessionEntries(entries, { project, session_id }) {
-  if (session_id === NO_SESSION_BUCKET) {
-    return entries.filter((entry) => (project ? entry.project === project : true) && !hasSessionId(entry));
+  if (name === "set_session_status") {
+    const session_id = await resolveSessionIdInput(args.session_id, { required: true });
+    const status = asString(args.status, "status", { required: true });
+    if (!SESSION_STATUSES.includes(status)) {
+      throw new Error(`status must be one of: ${SESSION_STATUSES.join(", ")}`);
+    }
+    const reason = enforceStringMaxLength(asString(args.reason, "reason"), "reason", MAX_ARRAY_ITEM_CHARS);
+    const { index } = await getOrBuildSessionIndex();
+    const record = Object.hasOwn(index.sessions, session_id) ? index.sessions[session_id] : null;
+    if (!record) {
+      return toolText(`Session ${session_id} not found in ${SESSION_INDEX_FILE}.`, true);
+    }
+    const previousStatus = record.status || "open";
+    const entry = {
+      ...makeEntryBase("status", { ...args, session_id }),
+      status,
+      reason: reason || undefined,
+    };
+    await appendEntry(entry);
+    return toolText(
+      `Set session ${session_id} status to ${status} (was ${previousStatus})\nentry=${entry.id}\nagent=${entry.agent}\nts=${entry.ts}`,
+    );
   }
-  return filterEntries(entries, { project, session_id });
-}
 
-function buildResumeSessionData(entries, parseErrors, { project, session_id, limit }) {
-  const sessionEntries = getSessionEntries(entries, { project, session_id });
-  if (!sessionEntries.length) {
-    return null;
+  if (name === "rename_session") {
+    const session_id = await resolveSessionIdInput(args.session_id, { required: true });
+    const new_session_id = normalizeSessionId(asString(args.new_session_id, "new_session_id", { required: true }));
+    const result = await moveSessionEntries({
+      sourceSessionIds: [session_id],
+      targetSessionId: new_session_id,
+      requireNewTarget: true,
+    });
+    return toolText(formatSessionMoveResult(`Renamed session ${session_id} to ${new_session_id}`, result));
   }
-  const summary = buildSessionSummaries(sessionEntries, {
-    includeUnsessioned: session_id === NO_SESSION_BUCKET,
-  })[0];
-  const latestHandoffs = sessionEntries.filter((entry) => entry.kind === "handoff");
-  const latestHandoff = latestHandoffs.length ? latestHandoffs[latestHandoffs.length - 1] : null;
-  const recentEntries = selectRecent(sessionEntries, limit);
-  return {
-    project,
-    session_id,
-    parseErrors,
-    summary,
-    latest_handoff: latestHandoff,
-    entries: recentEntries,
-  };
-}
 
-function formatEntry(entry, index) {
-  const parts = [];
-  const ordinal = index + 1;
-  parts.push(
-    `[${ordinal}] ${sanitizeDisplayText(entry.ts || "unknown-time", { singleLine: true })} ${sanitizeDisplayText(entry.kind || "unknown", { singleLine: true })} by ${sanitizeDisplayText(entry.agent || "unknown-agent", { singleLine: true })}`,
-  );
-  parts.push(`project=${sanitizeDisplayText(entry.project || "unknown", { singleLine: true })}`);
-  if (entry.session_id) parts.push(`session=${sanitizeDisplayText(entry.session_id, { singleLine: true })}`);
-  if (entry.task) parts.push(`task=${sanitizeDisplayText(entry.task, { singleLine: true })}`);
-  let line = parts.join(" | ");
+  if (name === "merge_sessions") {
+    const sourceIds = enforceStringArrayLimits(
+      asStringArray(args.source_session_ids, "source_session_ids"),
+      "source_session_ids",
+    );
+    if (!sourceIds?.length) {
+      throw new Error("source_session_ids must contain at least one session_id");
+    }
+    const source_session_ids = [];
+    sourceIds.forEach((sessionId) => pushUniqueString(source_session_ids, sessionId));
+    const target_session_id = normalizeSessionId(asString(args.target_session_id, "target_session_id", { required: true }));
+    const result = await moveSessionEntries({
+      sourceSessionIds: source_session_ids,
+      targetSessionId: target_session_id,
+    });
+    return toolText(
+      formatSessionMoveResult(`Merged ${source_session_ids.join(", ")} into session ${target_session_id}`, result),
+    );
+  }
 
-  const body = [];
-  if (entry.kind === "note") {
-    body.push(sanitizeDisplayText(entry.text || ""));
-  } else if (entry.kind === "handoff") {
-    body.push(`summary: ${sanitizeDisplayText(entry.summary || "")}`);
-    if (Array.isArray(entry.next_steps) && entry.next_steps.length) {
-      body.push(
-        `next_steps: ${entry.next_steps.map((s, i) => `${i + 1}. ${sanitizeDisplayText(s, { singleLine: true })}`).join(" | ")}`,
+  if (name === "fork_session") {
+    const session_id = await resolveSessionIdInput(args.session_id, { required: true });
+    const entry_id = asString(args.entry_id, "entry_id");
+    const summaryOverride = enforceStringMaxLength(
+      asString(args.summary, "summary", { trim: false }),
+      "summary",
+      MAX_HANDOFF_SUMMARY_CHARS,
+    );
+    const activate = asBoolean(args.activate, "activate", true);
+    const { index } = await getOrBuildSessionIndex();
+    if (!Object.hasOwn(index.sessions, session_id)) {
+      return toolText(`Session ${session_id} not found in ${SESSION_INDEX_FILE}.`, true);
+    }
+    const new_session_id = normalizeSessionId(args.new_session_id) || makeForkSessionId(session_id);
+
+    const { entries } = await readEntries({ sessionIds: [session_id] });
+    const forkPoint = resolveForkPoint(entries, entry_id);
+    if (!forkPoint) {
+      return toolText(
+        entry_id
+          ? `Entry ${entry_id} not found in session ${session_id}.`
+          : `Session ${session_id} has no handoff to fork from; pass entry_id to fork at a specific entry.`,
+        true,
       );
     }
-    if (Array.isArray(entry.open_questions) && entry.open_questions.length) {
-      body.push(`open_questions: ${entry.open_questions.map((s) => sanitizeDisplayText(s, { singleLine: true })).join(" | ")}`);
+    const priorEntries = entries.slice(0, entries.indexOf(forkPoint) + 1);
+    const baseHandoff = priorEntries.filter((entry) => entry.kind === "handoff").pop() || null;
+    const forkPointText = forkPoint.kind === "handoff" ? forkPoint.summary : forkPoint.text;
+    // Pending steps keep their original ids so completions recorded against the parent still line up.
+    const pendingSteps = baseHandoff ? buildStepChecklist(priorEntries, baseHandoff).filter((step) => !step.done) : undefined;
+    const entry = {
+      ...makeEntryBase("handoff", {
+        ...args,
+        session_id: new_session_id,
+        project: asString(args.project, "project") || forkPoint.project,
+        task: asString(args.task, "task") || forkPoint.task || baseHandoff?.task,
+      }),
+      summary: summaryOverride || forkPointText || `Forked from session ${session_id}.`,
+      next_steps: pendingSteps?.map((step) => step.text),
+      next_step_ids: pendingSteps?.map((step) => step.id),
+      open_questions: baseHandoff
+        ? buildQuestionList(priorEntries, baseHandoff)
+          .filter((question) => !question.answered)
+          .map((question) => ({ id: question.id, text: question.text }))
+        : undefined,
+      files: baseHandoff?.files,
+      forked_from: {
+        session_id,
+        entry_id: forkPoint.id,
+        ts: forkPoint.ts,
+      },
+    };
+    try {
+      await appendEntries([entry], { requireNewSessions: true });
+    } catch (error) {
+      if (error?.sessionExists) {
+        return toolText(`Session ${new_session_id} already exists; choose another new_session_id.`, true);
+      }
+      throw error;
     }
-    if (Array.isArray(entry.files) && entry.files.length) {
-      body.push(`files: ${entry.files.map((s) => sanitizeDisplayText(s, { singleLine: true })).join(", ")}`);
+    if (activate) {
+      await writeActiveSessionId(new_session_id);
     }
-  } else {
-    body.push(JSON.stringify(entry));
-  }
-  if (Array.isArray(entry.tags) && entry.tags.length) {
-    body.push(`tags: ${entry.tags.map((s) => sanitizeDisplayText(s, { singleLine: true })).join(", ")}`);
+    const entryFile = sessionFilePathFromKey(sessionBucketToFileKey(new_session_id));
+    return toolText(
+      [
+        `Forked session ${session_id} at ${forkPoint.kind || "entry"} ${forkPoint.id || "(no-id)"} into ${new_session_id}`,
+        `file=${entryFile}`,
+        `handoff=${entry.id}`,
+        activate ? "Fork is now the active session." : "Active session unchanged.",
+      ].join("\n"),
+    );
   }
-  return `${line}\n${body.join("\n")}`;
-}
 
-function summarizeRead(entries, parseErrors, filePath) {
-  if (!entries.length) {
-    const parseNote = parseErrors.length ? ` (${parseErrors.length} malformed line(s) skipped)` : "";
-    return `No matching entries in ${filePath}.${parseNote}`;
+  if (name === "complete_step") {
+    const session_id = await resolveSessionIdInput(args.session_id, { required: true });
+    const step_id = asString(args.step_id, "step_id", { required: true });
+    const note = enforceStringMaxLength(asString(args.note, "note", { trim: false }), "note", MAX_NOTE_TEXT_CHARS);
+    const { entries } = await readEntries({ sessionIds: [session_id] });
+    const sessionEntries = getSessionEntries(entries, { session_id });
+    let handoff = null;
+    let step = null;
+    sessionEntries.forEach((entry) => {
+      if (entry.kind !== "handoff") return;
+      const found = normalizeHandoffSteps(entry).find((candidate) => candidate.id === step_id);
+      if (found) {
+        handoff = entry;
+        step = found;
+      }
+    });
+    if (!step) {
+      return toolText(`Step ${step_id} not found in any handoff of session ${session_id}.`, true);
+    }
+    const current = buildStepChecklist(sessionEntries, handoff).find((candidate) => candidate.id === step_id);
+    if (current?.done) {
+      return toolText(`Step ${step_id} was already completed by ${current.completed_by || "unknown-agent"} at ${current.completed_at || "unknown-time"}.`);
+    }
+    const entry = {
+      ...makeEntryBase("step_completion", {
+        ...args,
+        session_id,
+        project: asString(args.project, "project") || handoff.project,
+      }),
+      step_id,
+      handoff_id: handoff.id,
+      step_text: step.text,
+      note: note || undefined,
+    };
+    await appendEntry(entry);
+    return toolText(`Completed step ${step_id} in session ${session_id}: ${step.text}\nentry=${entry.id}\nts=${entry.ts}`);
   }
-  const header = `Shared context: ${entries.length} entr${entries.length === 1 ? "y" : "ies"} from ${filePath}`;
-  const errorLine = parseErrors.length ? `\nNote: skipped ${parseErrors.length} malformed JSONL line(s).` : "";
-  const body = entries.map((entry, idx) => formatEntry(entry, idx)).join("\n\n");
-  return `${header}${errorLine}\n\n${body}`;
-}
 
-function toolText(text, isError = false) {
-  const result = {
-    content: [{ type: "text", text: sanitizeDisplayText(text) }],
-  };
-  if (isError) {
-    result.isError = true;
+  if (name === "export_session") {
+    const session_id = await resolveSessionIdInput(args.session_id, { required: true });
+    const project = normalizeProject(asString(args.project, "project"));
+    const format = asExportFormat(args.format);
+    const rendered = await exportSession({ session_id, project, format });
+    if (rendered === null) {
+      return toolText(`No entries found for session_id=${session_id} (project=${project}).`, true);
+    }
+    return toolText(rendered);
+  }
+
+  if (name === "import_session") {
+    const agent = asString(args.agent, "agent", { required: true });
+    // Only inline content: reading server-side paths on behalf of a client is left to the `import` CLI.
+    const raw = asString(args.content, "content", { required: true, trim: false });
+    const resolvedFormat = asImportFormat(args.format) || detectImportFormat(raw);
+    const explicitSessionId = normalizeSessionId(args.session_id);
+    const result = await importSessionContent({
+      raw,
+      format: resolvedFormat,
+      agent,
+      sessionId: resolvedFormat === "markdown" ? await resolveSessionIdInput(args.session_id) : explicitSessionId,
+      project: resolvedFormat === "markdown"
+        ? normalizeProject(asString(args.project, "project"))
+        : asString(args.project, "project"),
+      task: asString(args.task, "task"),
+    });
+    return toolText(formatImportResult(result));
   }
-  return result;
-}
-
-function toolJson(obj) {
-  return {
-    content: [{ type: "text", text: JSON.stringify(obj, null, 2) }],
-  };
-}
 
-function makeEntryBase(kind, args) {
-  return {
-    id: randomUUID(),
-    ts: new Date().toISOString(),
-    kind,
-    project: normalizeProject(args.project),
-    agent: asString(args.agent, "agent", { required: true }),
-    session_id: asString(args.session_id, "session_id"),
-    task: asString(args.task, "task"),
-  };
-}
+  if (name === "restore_session") {
+    const agent = asString(args.agent, "agent", { required: true });
+    const session_id = normalizeSessionId(asString(args.session_id, "session_id", { required: true }));
+    const result = await restoreRetiredSession({ sessionId: session_id, agent });
+    if (!result) {
+      return toolText(`No retired session: ${session_id}`, true);
+    }
+    return toolText(
+      [
+        `Restored session ${session_id} (status=${result.status})`,
+        `file=${result.filePath}`,
+        `entries=${result.entryCount}`,
+      ].join("\n"),
+    );
+  }
 
-async function callTool(name, rawArgs) {
-  const args = isObject(rawArgs) ? rawArgs : {};
+  if (name === "compact_session") {
+    const agent = asString(args.agent, "agent", { required: true });
+    const session_id = await resolveSessionIdInput(args.session_id, { required: true });
+    const keepRecent = asPositiveInt(args.keep_recent, "keep_recent", DEFAULT_COMPACT_KEEP_RECENT, 1, 1000);
+    const result = await compactSessionEntries({ sessionId: session_id, agent, keepRecent });
+    if (!result.compactedCount) {
+      return toolText(`Nothing to compact in session ${session_id}: ${result.keptCount} entries, all recent or at/after the latest handoff.`);
+    }
+    const lines = [
+      `Compacted ${result.compactedCount} entries of session ${session_id} into digest ${result.digest.id}`,
+      `file=${result.filePath}`,
+      `archive=${result.archiveFile}`,
+      `kept=${result.keptCount}`,
+    ];
+    if (result.malformedLineCount) {
+      lines.push(`Note: moved ${result.malformedLineCount} malformed JSONL line(s) to the archive.`);
+    }
+    return toolText(lines.join("\n"));
+  }
 
-  if (name === "append_shared_note") {
+  if (name === "changes_since_handoff") {
+    const session_id = await resolveSessionIdInput(args.session_id, { required: true });
+    const project = normalizeProject(asString(args.project, "project"));
+    const format = normalizeFormat(args.format);
+    const { entries, parseErrors } = await readEntries({ sessionIds: [session_id] });
+    const { index } = await getOrBuildSessionIndex();
+    const resumeData = buildResumeSessionData(entries, parseErrors, { project, session_id, limit: 1, index });
+    const handoff = resumeData?.latest_handoff;
+    if (!handoff) {
+      return toolText(`Session ${session_id} has no handoff to compare against (project=${project}).`, true);
+    }
+    const baseCommit = isObject(handoff.git) ? handoff.git.head : undefined;
+    if (!baseCommit) {
+      return toolText(`Latest handoff ${handoff.id || "(no-id)"} in session ${session_id} did not record a git commit.`, true);
+    }
+    const changes = await collectChangesSinceCommit(baseCommit);
+    if (changes.reason === "invalid_commit") {
+      return toolText(
+        `Latest handoff ${handoff.id || "(no-id)"} recorded git head "${sanitizeDisplayText(String(baseCommit), { singleLine: true })}", which is not a commit id.`,
+        true,
+      );
+    }
+    if (!changes.ok) {
+      return toolText(
+        changes.reason === "not_a_repository"
+          ? `The server's working directory (${process.cwd()}) is not a git repository.`
+          : `Commit ${baseCommit} from handoff ${handoff.id || "(no-id)"} is not in this repository (history rewritten or a different clone?).`,
+        true,
+      );
+    }
+    const result = {
+      session_id,
+      handoff_id: handoff.id,
+      handoff_ts: handoff.ts,
+      base_commit: baseCommit,
+      base_branch: handoff.git.branch,
+      head: changes.current.head,
+      branch: changes.current.branch,
+      commits: changes.commits,
+      commits_truncated: changes.commits_truncated,
+      files: changes.files,
+      untracked: changes.untracked,
+      incomplete: changes.incomplete,
+      totals: changes.totals,
+    };
+    return toolStructured(result, format, formatChangesSinceHandoff(result));
+  }
+
+  if (name === "attach_artifact") {
     const resolvedSessionId = await resolveSessionIdInput(args.session_id);
-    const text = enforceStringMaxLength(
-      resolveNoteTextInput(args),
-      "text",
-      MAX_NOTE_TEXT_CHARS,
-    );
+    const content = asString(args.content, "content", { required: true, trim: false });
+    const encoding = asString(args.encoding, "encoding") || "utf8";
+    if (encoding !== "utf8" && encoding !== "base64") {
+      throw new Error("encoding must be one of: utf8, base64");
+    }
+    const buffer = encoding === "base64" ? decodeBase64Strict(content, "content") : Buffer.from(content, "utf8");
+    if (buffer.length > MAX_ARTIFACT_BYTES) {
+      throw new Error(`content exceeds max size (${MAX_ARTIFACT_BYTES} bytes)`);
+    }
+    const name = enforceStringMaxLength(asString(args.name, "name"), "name", MAX_ARRAY_ITEM_CHARS);
+    const mime_type = enforceStringMaxLength(asString(args.mime_type, "mime_type"), "mime_type", MAX_ARRAY_ITEM_CHARS)
+      || (encoding === "base64" ? "application/octet-stream" : "text/plain");
+    const text = enforceStringMaxLength(asString(args.text, "text", { trim: false }), "text", MAX_NOTE_TEXT_CHARS);
     const tags = enforceStringArrayLimits(asStringArray(args.tags, "tags"), "tags");
+    const stored = await storeArtifact(buffer, { mimeType: mime_type });
     const entry = {
       ...makeEntryBase("note", { ...args, session_id: resolvedSessionId }),
-      text,
+      text: text || `Attached artifact ${name || stored.hash.slice(0, 12)} (${buffer.length} bytes).`,
+      artifact: { hash: stored.hash, name, mime_type, bytes: buffer.length },
       tags,
+      git: await captureGitContext(),
     };
     await appendEntry(entry);
-    const entryFile = sessionFilePathFromKey(sessionBucketToFileKey(resolveEntrySessionBucket(entry.session_id)));
+    const claimWarning = await describeClaimConflict(entry.session_id, entry.agent);
     return toolText(
-      `Appended note ${entry.id} to ${entryFile}\nproject=${entry.project}\nagent=${entry.agent}\nts=${entry.ts}`,
+      [
+        `Attached artifact ${stored.hash} (${buffer.length} bytes${stored.existed ? ", already stored" : ""})`,
+        `uri=shared-context://artifact/${stored.hash}`,
+        `file=${stored.filePath}`,
+        `note=${entry.id}`,
+      ].join("\n") + claimWarning,
     );
   }
 
-  if (name === "write_shared_handoff") {
+  if (name === "record_decision") {
     const resolvedSessionId = await resolveSessionIdInput(args.session_id);
-    const summary = enforceStringMaxLength(
-      asString(args.summary, "summary", { required: true, trim: false }),
-      "summary",
-      MAX_HANDOFF_SUMMARY_CHARS,
+    const decision = enforceStringMaxLength(
+      asString(args.decision, "decision", { required: true, trim: false }),
+      "decision",
+      MAX_NOTE_TEXT_CHARS,
     );
-    const next_steps = enforceStringArrayLimits(asStringArray(args.next_steps, "next_steps"), "next_steps");
-    const open_questions = enforceStringArrayLimits(asStringArray(args.open_questions, "open_questions"), "open_questions");
+    const rationale = enforceStringMaxLength(asString(args.rationale, "rationale", { trim: false }), "rationale", MAX_NOTE_TEXT_CHARS);
+    const alternatives = enforceStringArrayLimits(asStringArray(args.alternatives, "alternatives"), "alternatives");
     const files = enforceStringArrayLimits(asStringArray(args.files, "files"), "files");
+    const tags = enforceStringArrayLimits(asStringArray(args.tags, "tags"), "tags");
     const entry = {
-      ...makeEntryBase("handoff", { ...args, session_id: resolvedSessionId }),
-      summary,
-      next_steps,
-      open_questions,
+      ...makeEntryBase("decision", { ...args, session_id: resolvedSessionId }),
+      decision,
+      rationale: rationale || undefined,
+      alternatives,
       files,
+      tags,
     };
     await appendEntry(entry);
     const entryFile = sessionFilePathFromKey(sessionBucketToFileKey(resolveEntrySessionBucket(entry.session_id)));
+    const claimWarning = await describeClaimConflict(entry.session_id, entry.agent);
     return toolText(
-      `Wrote handoff ${entry.id} to ${entryFile}\nproject=${entry.project}\nagent=${entry.agent}\nts=${entry.ts}`,
+      `Recorded decision ${entry.id} in ${entryFile}\nproject=${entry.project}\nagent=${entry.agent}\nts=${entry.ts}${claimWarning}`,
     );
   }
 
-  if (name === "read_shared_context") {
+  if (name === "list_decisions") {
     const project = normalizeProject(asString(args.project, "project"));
+    const session_id = normalizeSessionId(args.session_id);
     const agent = asString(args.agent, "agent");
-    const session_id = await resolveSessionIdInput(args.session_id);
-    const kind = args.kind === undefined ? undefined : asString(args.kind, "kind");
-    if (kind && kind !== "note" && kind !== "handoff") {
-      throw new Error("kind must be 'note' or 'handoff'");
-    }
+    const file = asString(args.file, "file");
+    const tags = enforceStringArrayLimits(asStringArray(args.tags, "tags"), "tags");
     const since = asIsoDateOrUndefined(args.since, "since");
     const limit = asPositiveInt(args.limit, "limit", 20, 1, 200);
     const format = normalizeFormat(args.format);
@@ -1808,172 +5845,362 @@ async function callTool(name, rawArgs) {
     const { entries, parseErrors } = await readEntries({
       sessionIds: session_id ? [session_id] : undefined,
     });
-    const filtered = filterEntries(entries, { project, agent, session_id, kind, since });
-    const recent = selectRecent(filtered, limit);
-    if (format === "json") {
-      return toolJson({
-        file: sourceFile,
-        indexFile: SESSION_INDEX_FILE,
-        filters: { project, agent, session_id, kind, since, limit },
-        count: recent.length,
-        parseErrors,
-        entries: recent,
-      });
-    }
-    return toolText(summarizeRead(recent, parseErrors, sourceFile));
+    const decisions = filterEntries(entries, { project, agent, session_id, kind: "decision", since, tags }).filter(
+      (entry) => !file || (Array.isArray(entry.files) && entry.files.some((entryFile) => entryFile.includes(file))),
+    );
+    const recent = selectRecent(decisions, limit);
+    const payload = {
+      file: sourceFile,
+      filters: { project, session_id, agent, file, tags, since, limit },
+      count: recent.length,
+      parseErrors,
+      decisions: recent,
+    };
+    return toolStructured(payload, format, summarizeRead(recent, parseErrors, sourceFile));
   }
 
-  if (name === "get_latest_handoff") {
-    const project = normalizeProject(asString(args.project, "project"));
-    const agent = asString(args.agent, "agent");
-    const session_id = await resolveSessionIdInput(args.session_id);
-    const format = normalizeFormat(args.format);
-    const sourceFile = session_id ? resolveSessionFilePath(null, session_id) : SESSION_DATA_DIR;
-    const { entries, parseErrors } = await readEntries({
-      sessionIds: session_id ? [session_id] : undefined,
-    });
-    const handoffs = filterEntries(entries, { project, agent, session_id, kind: "handoff" });
-    const latest = handoffs.length ? handoffs[handoffs.length - 1] : null;
-    if (!latest) {
-      return toolText(`No handoff found in ${sourceFile} for project=${project}.`);
+  if (name === "claim_session") {
+    const agent = asString(args.agent, "agent", { required: true });
+    const session_id = await resolveSessionIdInput(args.session_id, { required: true });
+    const ttlSeconds = asPositiveInt(args.ttl_seconds, "ttl_seconds", DEFAULT_CLAIM_TTL_SECONDS, 1, MAX_CLAIM_TTL_SECONDS);
+    const result = await claimSession({ sessionId: session_id, agent, ttlSeconds });
+    if (result.reason === "not_found") {
+      return toolText(`Session ${session_id} not found in ${SESSION_INDEX_FILE}.`, true);
     }
-    if (format === "json") {
-      return toolJson({ file: sourceFile, indexFile: SESSION_INDEX_FILE, parseErrors, handoff: latest });
+    if (result.reason === "archived") {
+      return toolText(`Session ${session_id} is archived; set its status to open or blocked before claiming it.`, true);
     }
-    const text = `Latest handoff from ${sourceFile}\n${formatEntry(latest, 0)}${
-      parseErrors.length ? `\n\nNote: skipped ${parseErrors.length} malformed JSONL line(s).` : ""
-    }`;
-    return toolText(text);
-  }
-
-  if (name === "list_sessions") {
-    const options = parseSessionListOptions(args);
-    const { project, agent, since, limit, includeUnsessioned, format } = options;
-    const { parseErrors, visibleSessions: sessions } = await buildSessionListResult(options);
-
-    if (format === "json") {
-      return toolJson({
-        file: SESSION_INDEX_FILE,
-        project,
-        filters: { agent, since, limit, include_unsessioned: includeUnsessioned },
-        count: sessions.length,
-        parseErrors,
-        sessions,
-      });
+    if (!result.ok) {
+      return toolText(
+        `Session ${session_id} is already claimed by ${result.claim.agent} until ${result.claim.expires_at}.`,
+        true,
+      );
     }
-
     return toolText(
-      summarizeSessionsText(sessions, SESSION_INDEX_FILE, { project, parseErrors }),
+      `${result.renewed ? "Renewed" : "Claimed"} session ${session_id} for ${agent}\nclaimed_at=${result.claim.claimed_at}\nexpires_at=${result.claim.expires_at}`,
     );
   }
 
-  if (name === "choose_session") {
-    const options = parseSessionListOptions(args);
-    const { project, limit, format } = options;
-
-    const index = asPositiveInt(args.index, "index", undefined, 1, 200);
-    const session_id = asString(args.session_id, "session_id");
-    const hasIndex = index !== undefined;
-    const hasSessionIdArg = session_id !== undefined;
-    if (!hasIndex && !hasSessionIdArg) {
-      throw new Error("choose_session requires either index or session_id");
+  if (name === "release_session") {
+    const agent = asString(args.agent, "agent", { required: true });
+    const session_id = await resolveSessionIdInput(args.session_id, { required: true });
+    const force = asBoolean(args.force, "force", false);
+    const result = await releaseSession({ sessionId: session_id, agent, force });
+    if (!result.ok) {
+      return toolText(
+        `Session ${session_id} is claimed by ${result.claim.agent} until ${result.claim.expires_at}; pass force=true to release it anyway.`,
+        true,
+      );
     }
-    if (hasIndex && hasSessionIdArg) {
-      throw new Error("choose_session accepts either index or session_id, not both");
+    if (!result.released) {
+      return toolText(`Session ${session_id} has no active claim.`);
     }
+    return toolText(`Released session ${session_id} (was claimed by ${result.claim.agent}).`);
+  }
 
-    const { parseErrors, allSessions, visibleSessions } = await buildSessionListResult(options);
-
-    let selected;
-    if (hasIndex) {
-      selected = visibleSessions[index - 1] || null;
-      if (!selected) {
-        return toolText(
-          `No session at index ${index}. list_sessions returned ${visibleSessions.length} session(s) for project=${project}.`,
-          true,
-        );
-      }
-    } else {
-      selected = allSessions.find((session) => session.session_id === session_id) || null;
-      if (!selected) {
-        return toolText(`Session ${session_id} not found in ${SESSION_INDEX_FILE} for project=${project}.`, true);
+  if (name === "answer_question") {
+    const session_id = await resolveSessionIdInput(args.session_id, { required: true });
+    const question_id = asString(args.question_id, "question_id", { required: true });
+    const answer = enforceStringMaxLength(
+      asString(args.answer, "answer", { required: true, trim: false }),
+      "answer",
+      MAX_NOTE_TEXT_CHARS,
+    );
+    const { entries } = await readEntries({ sessionIds: [session_id] });
+    const sessionEntries = getSessionEntries(entries, { session_id });
+    let handoff = null;
+    let question = null;
+    sessionEntries.forEach((entry) => {
+      if (entry.kind !== "handoff") return;
+      const found = normalizeHandoffQuestions(entry).find((candidate) => candidate.id === question_id);
+      if (found) {
+        handoff = entry;
+        question = found;
       }
+    });
+    if (!question) {
+      return toolText(`Question ${question_id} not found in any handoff of session ${session_id}.`, true);
     }
-
-    const resumeArgs = {
-      session_id: selected.session_id,
-      project,
-      limit: 20,
-      format,
+    const current = buildQuestionList(sessionEntries, handoff).find((candidate) => candidate.id === question_id);
+    if (current?.answered) {
+      return toolText(`Question ${question_id} was already answered by ${current.answered_by || "unknown-agent"} at ${current.answered_at || "unknown-time"}.`);
+    }
+    const entry = {
+      ...makeEntryBase("answer", {
+        ...args,
+        session_id,
+        project: asString(args.project, "project") || handoff.project,
+      }),
+      question_id,
+      handoff_id: handoff.id,
+      question_text: question.text,
+      answer,
     };
+    await appendEntry(entry);
+    return toolText(`Answered question ${question_id} in session ${session_id}: ${question.text}\nentry=${entry.id}\nts=${entry.ts}`);
+  }
 
-    await writeActiveSessionId(selected.session_id);
-
-    if (format === "json") {
-      return toolJson({
-        file: SESSION_INDEX_FILE,
-        project,
-        parseErrors,
-        selected_session: selected,
-        choice: hasIndex ? { index } : { session_id: selected.session_id },
-        resume_tool: "resume_session",
-        resume_args: resumeArgs,
-      });
+  if (name === "list_open_questions") {
+    const project = normalizeProject(asString(args.project, "project"));
+    const session_id = normalizeSessionId(args.session_id);
+    const format = normalizeFormat(args.format);
+    const sourceFile = session_id ? resolveSessionFilePath(null, session_id) : SESSION_DATA_DIR;
+    const { entries, parseErrors } = await readEntries({
+      sessionIds: session_id ? [session_id] : undefined,
+    });
+    const questions = listOpenQuestions(entries, { project, session_id });
+    const payload = { file: sourceFile, project, filters: { session_id }, count: questions.length, parseErrors, questions };
+    if (!questions.length) {
+      return toolStructured(payload, format, `No open questions in ${sourceFile} for project=${project}.`);
     }
-
-    const lines = [];
-    lines.push(`Selected session from ${SESSION_INDEX_FILE}`);
-    lines.push(formatSessionSummary(selected, 0));
-    lines.push("");
-    lines.push("Next: call resume_session with:");
-    lines.push(JSON.stringify(resumeArgs, null, 2));
+    const lines = [`Open questions: ${questions.length} in project=${project} from ${sourceFile}`];
+    questions.forEach((question) => {
+      lines.push(
+        `- session=${sanitizeDisplayText(question.session_id, { singleLine: true })} [${sanitizeDisplayText(question.id, { singleLine: true })}] ${sanitizeDisplayText(question.text, { singleLine: true })} (asked by ${sanitizeDisplayText(question.asked_by || "unknown-agent", { singleLine: true })} at ${sanitizeDisplayText(question.asked_at || "unknown-time", { singleLine: true })})`,
+      );
+    });
     if (parseErrors.length) {
-      lines.push("");
       lines.push(`Note: skipped ${parseErrors.length} malformed JSONL line(s).`);
     }
-    return toolText(lines.join("\n"));
+    return toolStructured(payload, format, lines.join("\n"));
   }
 
-  if (name === "resume_session") {
-    const session_id = await resolveSessionIdInput(args.session_id, { required: true });
+  if (name === "list_tags") {
     const project = normalizeProject(asString(args.project, "project"));
-    const limit = asPositiveInt(args.limit, "limit", 20, 1, 200);
+    const session_id = normalizeSessionId(args.session_id);
     const format = normalizeFormat(args.format);
+    const { index, parseErrors } = await getOrBuildSessionIndex();
+    const catalogue = buildTagCatalogue(index, { project, session_id });
+    const payload = {
+      file: SESSION_INDEX_FILE,
+      project,
+      filters: { session_id },
+      count: catalogue.tags.length,
+      parseErrors,
+      ...catalogue,
+    };
+    return toolStructured(payload, format, summarizeTagsText(catalogue, SESSION_INDEX_FILE, { project, parseErrors }));
+  }
 
-    const sessionFile = resolveSessionFilePath(null, session_id);
-    const { entries, parseErrors } = await readEntries({ sessionIds: [session_id] });
-    const resumeData = buildResumeSessionData(entries, parseErrors, { project, session_id, limit });
-    if (!resumeData) {
-      return toolText(`No entries found for session_id=${session_id} in ${sessionFile} (project=${project}).`);
-    }
+  return toolText(`Unknown tool: ${name}`, true);
+}
+
+const RESOURCE_TEMPLATES = [
+  {
+    uriTemplate: "shared-context://session/{session_id}",
+    name: "Shared Context Session",
+    description: "Resume view of one session: summary, latest handoff with checklist, and recent entries. Percent-encode session ids containing '/'.",
+    mimeType: "text/plain",
+  },
+  {
+    uriTemplate: "shared-context://session/{session_id}/handoff",
+    name: "Shared Context Session Handoff",
+    description: "Latest handoff of one session with its step checklist and open questions.",
+    mimeType: "text/plain",
+  },
+  {
+    uriTemplate: "shared-context://project/{project}/sessions",
+    name: "Shared Context Project Sessions",
+    description: "Resumable sessions of one project, newest first (done/archived sessions hidden).",
+    mimeType: "text/plain",
+  },
+  {
+    uriTemplate: "shared-context://artifact/{hash}",
+    name: "Shared Context Artifact",
+    description: "A blob stored by attach_artifact, addressed by its sha256 hash.",
+  },
+];
 
-    if (format === "json") {
-      return toolJson({ file: sessionFile, indexFile: SESSION_INDEX_FILE, ...resumeData });
+function decodeResourceParam(value, uri) {
+  try {
+    const decoded = decodeURIComponent(value);
+    if (decoded.trim()) {
+      return decoded.trim();
     }
+  } catch {
+    // fall through to the error below
+  }
+  throw new Error(`Invalid resource URI: ${uri}`);
+}
 
-    const lines = [];
-    lines.push(`Resume session ${session_id} from ${sessionFile}`);
-    if (resumeData.summary) {
-      lines.push("");
-      lines.push(formatSessionSummary(resumeData.summary, 0));
+async function readSessionResource(uri, sessionId, { handoffOnly }) {
+  const { index } = await getOrBuildSessionIndex();
+  if (!Object.hasOwn(index.sessions, sessionId)) {
+    throw new Error(`Session not found: ${sessionId}`);
+  }
+  const project = index.sessions[sessionId].project;
+  const sessionFile = resolveSessionFilePath(index, sessionId);
+  const { entries, parseErrors } = await readEntries({ sessionIds: [sessionId] });
+  const resumeData = buildResumeSessionData(entries, parseErrors, { project, session_id: sessionId, limit: 20, index });
+  let text;
+  if (!resumeData) {
+    text = `No entries found for session_id=${sessionId} in ${sessionFile}.`;
+  } else if (handoffOnly) {
+    text = resumeData.latest_handoff
+      ? `Latest handoff from ${sessionFile}\n${formatEntry(resumeData.latest_handoff, 0, {
+        checklist: resumeData.checklist,
+        openQuestions: resumeData.open_questions,
+      })}`
+      : `No handoff found in ${sessionFile}.`;
+  } else {
+    text = formatResumeSessionText(resumeData, sessionFile);
+  }
+  return { contents: [{ uri, mimeType: "text/plain", text }] };
+}
+
+function resolveSubscriptionFiles(uri) {
+  // Session resources follow their own JSONL file; everything else derived from the index follows the index.
+  const sessionMatch = uri.match(/^shared-context:\/\/session\/(.+?)(\/handoff)?$/);
+  if (sessionMatch) {
+    const sessionId = decodeResourceParam(sessionMatch[1], uri);
+    return [sessionFilePathFromKey(sessionBucketToFileKey(sessionId))];
+  }
+  if (uri.startsWith("shared-context://artifact/")) {
+    // Artifacts are content-addressed and never change.
+    return [];
+  }
+  if (
+    ["shared-context://raw", "shared-context://latest", "shared-context://info"].includes(uri) ||
+    /^shared-context:\/\/project\/[^/]+\/sessions$/.test(uri)
+  ) {
+    return [SESSION_INDEX_FILE];
+  }
+  throw new Error(`Unknown resource URI: ${uri}`);
+}
+
+async function computeSubscriptionSignature(uri) {
+  const parts = [];
+  for (const filePath of resolveSubscriptionFiles(uri)) {
+    parts.push(makeFileSignature(await statFile(filePath)) ?? "missing");
+  }
+  return parts.join("|");
+}
+
+async function subscribeResource(session, uri) {
+  session.subscriptions.set(uri, await computeSubscriptionSignature(uri));
+  await refreshStorageWatch();
+}
+
+async function unsubscribeResource(session, uri) {
+  session.subscriptions.delete(uri);
+  await refreshStorageWatch();
+}
+
+async function checkResourceSubscriptions(session) {
+  for (const [uri, previous] of session.subscriptions) {
+    const signature = await computeSubscriptionSignature(uri);
+    if (signature !== previous && session.subscriptions.has(uri)) {
+      session.subscriptions.set(uri, signature);
+      sendNotification(session, "notifications/resources/updated", { uri });
     }
-    lines.push("");
-    lines.push("latest_handoff:");
-    lines.push(resumeData.latest_handoff ? formatEntry(resumeData.latest_handoff, 0) : "(none)");
-    lines.push("");
-    lines.push("recent_entries:");
-    resumeData.entries.forEach((entry, idx) => {
-      lines.push(formatEntry(entry, idx));
-      if (idx < resumeData.entries.length - 1) lines.push("");
+  }
+}
+
+async function checkPromptListChanged(session, currentOrder) {
+  if (session.promptSessionOrder === null) {
+    return;
+  }
+  if (currentOrder !== session.promptSessionOrder) {
+    session.promptSessionOrder = currentOrder;
+    sendNotification(session, "notifications/prompts/list_changed");
+  }
+}
+
+function closeClientSession(session) {
+  clientSessions.delete(session);
+  session.subscriptions.clear();
+  session.promptSessionOrder = null;
+  refreshStorageWatch().catch((error) => logErr("Storage watch refresh failed", error));
+}
+
+async function handleStorageChange() {
+  if (storageWatch.checking) {
+    storageWatch.rerun = true;
+    return;
+  }
+  storageWatch.checking = true;
+  try {
+    do {
+      storageWatch.rerun = false;
+      let currentOrder;
+      for (const session of clientSessions) {
+        await checkResourceSubscriptions(session);
+        if (session.promptSessionOrder !== null) {
+          currentOrder ??= makePromptSessionOrder((await buildPromptSessionList(DEFAULT_PROJECT)).sessions);
+          await checkPromptListChanged(session, currentOrder);
+        }
+      }
+    } while (storageWatch.rerun);
+  } catch (error) {
+    logErr("Storage change check failed", error);
+  } finally {
+    storageWatch.checking = false;
+  }
+}
+
+function scheduleStorageChange() {
+  if (storageWatch.debounceTimer) {
+    return;
+  }
+  // Timers and watchers are created outside the request context: their checks are background work, not part of the
+  // request that happened to start them, so their logs go to every client that set a level and cancellation of
+  // that request cannot reach them.
+  storageWatch.debounceTimer = requestContext.exit(() =>
+    setTimeout(() => {
+      storageWatch.debounceTimer = null;
+      handleStorageChange();
+    }, WATCH_DEBOUNCE_MS),
+  );
+  storageWatch.debounceTimer.unref?.();
+}
+
+async function refreshStorageWatch() {
+  const needed = [...clientSessions].some(
+    (session) => session.subscriptions.size > 0 || session.promptSessionOrder !== null,
+  );
+  if (!needed) {
+    storageWatch.watcher?.close();
+    storageWatch.watcher = null;
+    storageWatch.rootWatcher?.close();
+    storageWatch.rootWatcher = null;
+    clearInterval(storageWatch.pollTimer);
+    storageWatch.pollTimer = null;
+    return;
+  }
+  if (!storageWatch.pollTimer) {
+    // Polling covers platforms/filesystems where fs.watch is missing or drops events (network shares).
+    storageWatch.pollTimer = requestContext.exit(() => setInterval(handleStorageChange, WATCH_POLL_MS));
+    storageWatch.pollTimer.unref?.();
+  }
+  if (!storageWatch.watcher || !storageWatch.rootWatcher) {
+    await ensureStorageDirectories().catch((error) => logErr("Storage directories unavailable; falling back to polling", error));
+  }
+  if (!storageWatch.watcher) {
+    storageWatch.watcher = startStorageWatcher("watcher", SESSION_DATA_DIR, scheduleStorageChange);
+  }
+  if (!storageWatch.rootWatcher) {
+    // The root directory holds unrelated files too (other roots, the legacy JSONL), so only storage file names count.
+    storageWatch.rootWatcher = startStorageWatcher("rootWatcher", path.dirname(CONTEXT_FILE), (_event, fileName) => {
+      if (!fileName || ROOT_WATCH_FILE_NAMES.has(String(fileName))) {
+        scheduleStorageChange();
+      }
     });
-    if (resumeData.parseErrors.length) {
-      lines.push("");
-      lines.push(`Note: skipped ${resumeData.parseErrors.length} malformed JSONL line(s).`);
-    }
-    return toolText(lines.join("\n"));
   }
+}
 
-  return toolText(`Unknown tool: ${name}`, true);
+function startStorageWatcher(key, dir, listener) {
+  try {
+    const watcher = requestContext.exit(() => fsSync.watch(dir, { persistent: false }, listener));
+    watcher.on("error", (error) => {
+      logErr(`Storage watch on ${dir} failed; falling back to polling`, error);
+      watcher.close();
+      if (storageWatch[key] === watcher) storageWatch[key] = null;
+    });
+    return watcher;
+  } catch (error) {
+    logErr(`Storage watch on ${dir} unavailable; falling back to polling`, error);
+    return null;
+  }
 }
 
 async function listResources() {
@@ -2067,6 +6294,15 @@ async function readResource(uri) {
       sessionDataDir: SESSION_DATA_DIR,
       lockFile: LOCK_FILE,
       sessionIndexFile: SESSION_INDEX_FILE,
+      searchIndexFile: SEARCH_INDEX_FILE,
+      claimsFile: CLAIMS_FILE,
+      artifactsDir: ARTIFACTS_DIR,
+      compactedDir: COMPACTED_DIR,
+      retiredDir: RETIRED_DIR,
+      retention: {
+        days: RETENTION_DAYS || null,
+        projectDays: Object.fromEntries(RETENTION_PROJECT_DAYS),
+      },
       activeSessionFile: ACTIVE_SESSION_FILE,
       activeSessionId,
       defaultProject: DEFAULT_PROJECT,
@@ -2088,6 +6324,54 @@ async function readResource(uri) {
     };
   }
 
+  const sessionMatch = uri.match(/^shared-context:\/\/session\/(.+?)(\/handoff)?$/);
+  if (sessionMatch) {
+    return await readSessionResource(uri, decodeResourceParam(sessionMatch[1], uri), { handoffOnly: Boolean(sessionMatch[2]) });
+  }
+
+  const projectMatch = uri.match(/^shared-context:\/\/project\/([^/]+)\/sessions$/);
+  if (projectMatch) {
+    const project = decodeResourceParam(projectMatch[1], uri);
+    const options = parseSessionListOptions({ project });
+    const { parseErrors, visibleSessions } = await buildSessionListResult(options);
+    return {
+      contents: [
+        {
+          uri,
+          mimeType: "text/plain",
+          text: summarizeSessionsText(visibleSessions, SESSION_INDEX_FILE, { project, parseErrors }),
+        },
+      ],
+    };
+  }
+
+  if (uri.startsWith("shared-context://artifact/")) {
+    const hash = uri.slice("shared-context://artifact/".length);
+    if (!isArtifactHash(hash)) {
+      throw new Error(`Invalid artifact hash in resource URI: ${uri}`);
+    }
+    let buffer;
+    try {
+      buffer = await fs.readFile(artifactPathFromHash(hash));
+    } catch (error) {
+      if (error && error.code === "ENOENT") {
+        throw new Error(`Artifact not found: ${hash}`);
+      }
+      throw error;
+    }
+    const mimeType = await readArtifactMimeType(hash);
+    // A recorded binary type always comes back as a blob, even when the bytes happen to be valid UTF-8.
+    if (!mimeType || /^text\/|[/+](?:json|xml|x-ndjson)$/.test(mimeType)) {
+      try {
+        const text = new TextDecoder("utf-8", { fatal: true }).decode(buffer);
+        return { contents: [{ uri, mimeType: mimeType || "text/plain", text }] };
+      } catch {
+        // not text after all; return it as a blob
+      }
+    }
+    return { contents: [{ uri, mimeType: mimeType || "application/octet-stream", blob: buffer.toString("base64") }] };
+  }
+
   throw new Error(`Unknown resource URI: ${uri}`);
 }
 
@@ -2108,6 +6392,12 @@ function formatPromptSessionDescription(summary) {
     shortIsoForPrompt(summary.latest_ts),
     `entries:${summary.entry_count}`,
   ];
+  if (summary.status && summary.status !== "open") {
+    parts.push(`status:${summary.status}`);
+  }
+  if (summary.claim) {
+    parts.push(`claimed:${truncateText(summary.claim.agent, 24)}`);
+  }
   if (summary.task) {
     parts.push(`task:${truncateText(summary.task, 36)}`);
   }
@@ -2117,9 +6407,24 @@ function formatPromptSessionDescription(summary) {
   return parts.join(" | ");
 }
 
-async function listPrompts() {
+function makePromptSessionOrder(sessions) {
+  return JSON.stringify(sessions.map((summary) => summary.session_id));
+}
+
+async function listPrompts(session, cursor) {
+  if (cursor) {
+    // Later pages come from the snapshot taken by the first page so resume_# numbering stays consistent.
+    if (!session.promptSessionSnapshot?.prompts) {
+      throw Object.assign(new Error("Invalid cursor"), { code: -32602 });
+    }
+    const { page, nextCursor } = pageList(session.promptSessionSnapshot.prompts, cursor, "prompts");
+    return { prompts: page, nextCursor };
+  }
+
   const project = DEFAULT_PROJECT;
   const { sessions } = await buildPromptSessionList(project);
+  session.promptSessionOrder = makePromptSessionOrder(sessions);
+  await refreshStorageWatch();
   const suggestedSessionId = await makeSuggestedSessionId();
   const prompts = [
     {
@@ -2150,10 +6455,40 @@ async function listPrompts() {
     ],
   });
 
-  return { prompts };
+  session.promptSessionSnapshot = { project, sessionIds: sessions.map((summary) => summary.session_id), prompts };
+  const { page, nextCursor } = pageList(prompts, undefined, "prompts");
+  return { prompts: page, nextCursor };
+}
+
+async function resolveResumePromptSession(session, name, promptIndex, project) {
+  const snapshot = session.promptSessionSnapshot;
+  if (!snapshot || snapshot.project !== project) {
+    // The client never listed prompts for this project, so there is nothing to be stable against.
+    const { sessions } = await buildPromptSessionList(project);
+    const selectedSummary = sessions[promptIndex];
+    if (!selectedSummary) {
+      throw Object.assign(new Error("Session prompt index out of range"), { code: -32602 });
+    }
+    return selectedSummary.session_id;
+  }
+
+  const sessionId = snapshot.sessionIds[promptIndex];
+  if (!sessionId) {
+    throw Object.assign(new Error("Session prompt index out of range"), { code: -32602 });
+  }
+  const { index } = await getOrBuildSessionIndex();
+  if (!isObject(index?.sessions) || !Object.hasOwn(index.sessions, sessionId)) {
+    throw Object.assign(
+      new Error(
+        `${name} pointed at session ${sessionId}, which no longer exists (renamed, merged or retired). List prompts again and pick a session.`,
+      ),
+      { code: -32602 },
+    );
+  }
+  return sessionId;
 }
 
-async function getPrompt(params) {
+async function getPrompt(session, params) {
   const name = asString(params.name, "params.name", { required: true });
   const argumentsObj = isObject(params.arguments) ? params.arguments : {};
   const project = normalizeProject(asString(argumentsObj.project, "project"));
@@ -2184,12 +6519,7 @@ async function getPrompt(params) {
     if (promptIndex === undefined) {
       throw Object.assign(new Error("Invalid prompt session index"), { code: -32602 });
     }
-    const { sessions } = await buildPromptSessionList(project);
-    const selectedSummary = sessions[promptIndex];
-    if (!selectedSummary) {
-      throw Object.assign(new Error("Session prompt index out of range"), { code: -32602 });
-    }
-    selectedSessionId = selectedSummary.session_id;
+    selectedSessionId = await resolveResumePromptSession(session, name, promptIndex, project);
   } else {
     throw Object.assign(new Error("Prompt not found"), { code: -32602 });
   }
@@ -2197,10 +6527,12 @@ async function getPrompt(params) {
   await writeActiveSessionId(selectedSessionId);
   const sessionFile = resolveSessionFilePath(null, selectedSessionId);
   const { entries, parseErrors } = await readEntries({ sessionIds: [selectedSessionId] });
+  const { index } = await getOrBuildSessionIndex();
   const resumeData = buildResumeSessionData(entries, parseErrors, {
     project,
     session_id: selectedSessionId,
     limit: 8,
+    index,
   });
 
   if (!resumeData) {
@@ -2222,9 +6554,19 @@ async function getPrompt(params) {
     lines.push("session_summary:");
     lines.push(formatSessionSummary(resumeData.summary, 0));
   }
+  if (resumeData.lineage.length) {
+    lines.push(`forked_from: ${formatLineage(resumeData.lineage)}`);
+  }
   lines.push("");
   lines.push("latest_handoff:");
-  lines.push(resumeData.latest_handoff ? formatEntry(resumeData.latest_handoff, 0) : "(none)");
+  lines.push(
+    resumeData.latest_handoff
+      ? formatEntry(resumeData.latest_handoff, 0, {
+        checklist: resumeData.checklist,
+        openQuestions: resumeData.open_questions,
+      })
+      : "(none)",
+  );
   lines.push("");
   lines.push("next_step:");
   lines.push("Call resume_session with no session_id to load full context.");
@@ -2232,19 +6574,20 @@ async function getPrompt(params) {
   return promptResponse("Select and resume a session", lines.join("\n"));
 }
 
-async function handleRequest(message) {
+async function handleRequest(message, session = stdioSession) {
   const { id, method } = message;
   const params = isObject(message.params) ? message.params : {};
 
   if (method === "initialize") {
-    state.initialized = true;
-    state.clientProtocolVersion = typeof params.protocolVersion === "string" ? params.protocolVersion : null;
+    session.initialized = true;
+    session.clientProtocolVersion = typeof params.protocolVersion === "string" ? params.protocolVersion : null;
     return {
-      protocolVersion: state.clientProtocolVersion || "2024-11-05",
+      protocolVersion: session.clientProtocolVersion || "2024-11-05",
       capabilities: {
         tools: {},
-        resources: {},
-        prompts: {},
+        resources: { subscribe: true },
+        prompts: { listChanged: true },
+        logging: {},
       },
       serverInfo: {
         name: SERVER_NAME,
@@ -2264,26 +6607,41 @@ async function handleRequest(message) {
   }
 
   if (method === "notifications/cancelled" || method === "$/cancelRequest") {
+    cancelInFlightRequest(session, params);
     return null;
   }
 
   if (method === "shutdown") {
+    if (session !== stdioSession) {
+      // An HTTP client only ends its own session; the process keeps serving the others.
+      closeHttpClientSession(session);
+    }
     return {};
   }
 
   if (method === "exit") {
+    if (session !== stdioSession) {
+      closeHttpClientSession(session);
+      return null;
+    }
     setImmediate(() => process.exit(0));
     return null;
   }
 
   if (method === "tools/list") {
-    return { tools };
+    const { page, nextCursor } = pageList(LISTED_TOOLS, decodeCursor(params.cursor, "tools"), "tools");
+    return { tools: page, nextCursor };
   }
 
   if (method === "tools/call") {
     const name = asString(params.name, "params.name", { required: true });
     const args = isObject(params.arguments) ? params.arguments : {};
-    return await callTool(name, args);
+    const result = await callTool(name, args);
+    if (WRITE_TOOL_NAMES.has(name)) {
+      // Writes from this process are reported without waiting for the watcher, but never delay the tool result.
+      scheduleStorageChange();
+    }
+    return result;
   }
 
   if (method === "resources/list") {
@@ -2295,19 +6653,36 @@ async function handleRequest(message) {
     return await readResource(uri);
   }
 
+  if (method === "resources/subscribe") {
+    const uri = asString(params.uri, "params.uri", { required: true });
+    await subscribeResource(session, uri);
+    return {};
+  }
+
+  if (method === "resources/unsubscribe") {
+    const uri = asString(params.uri, "params.uri", { required: true });
+    await unsubscribeResource(session, uri);
+    return {};
+  }
+
   if (method === "resources/templates/list") {
-    return { resourceTemplates: [] };
+    return { resourceTemplates: RESOURCE_TEMPLATES };
   }
 
   if (method === "prompts/list") {
-    return await listPrompts();
+    return await listPrompts(session, decodeCursor(params.cursor, "prompts"));
   }
 
   if (method === "prompts/get") {
-    return await getPrompt(params);
+    return await getPrompt(session, params);
   }
 
   if (method === "logging/setLevel") {
+    const level = asString(params.level, "params.level", { required: true });
+    if (!LOG_LEVELS.includes(level)) {
+      throw Object.assign(new Error(`params.level must be one of: ${LOG_LEVELS.join(", ")}`), { code: -32602 });
+    }
+    session.logLevel = level;
     return {};
   }
 
@@ -2315,7 +6690,9 @@ async function handleRequest(message) {
 }
 
 let inputBuffer = Buffer.alloc(0);
-let draining = false;
+// Decoded stdio messages wait here so cancellations can be seen while an earlier request is still running.
+const pendingMessages = [];
+let processingMessages = false;
 
 function findHeaderEnd(buffer) {
   const crlf = buffer.indexOf("\r\n\r\n");
@@ -2429,56 +6806,331 @@ function tryDecodeIncomingMessage() {
   return tryDecodeFrame();
 }
 
-async function drainInput() {
-  if (draining) return;
-  draining = true;
+function drainInput() {
+  while (true) {
+    let frame;
+    try {
+      frame = tryDecodeIncomingMessage();
+    } catch (error) {
+      logErr("Transport decode error", error);
+      emitLog("error", "limits", { message: "Rejected inbound message", detail: String(error?.message || error) });
+      sendError(null, -32700, "Parse error", { detail: String(error) });
+      inputBuffer = Buffer.alloc(0);
+      break;
+    }
+    if (frame === null) {
+      break;
+    }
+
+    let message;
+    try {
+      message = JSON.parse(frame);
+    } catch (error) {
+      logErr("JSON parse error", error);
+      sendError(null, -32700, "Parse error", { detail: String(error) });
+      continue;
+    }
+
+    if (isObject(message) && (message.method === "notifications/cancelled" || message.method === "$/cancelRequest")) {
+      cancelInFlightRequest(stdioSession, isObject(message.params) ? message.params : {});
+      continue;
+    }
+    pendingMessages.push({ message, request: trackInFlightRequest(stdioSession, message) });
+  }
+  processPendingMessages().catch((error) => logErr("Message processing error", error));
+}
+
+async function processPendingMessages() {
+  if (processingMessages) return;
+  processingMessages = true;
   try {
-    while (true) {
-      let frame;
-      try {
-        frame = tryDecodeIncomingMessage();
-      } catch (error) {
-        logErr("Transport decode error", error);
-        sendError(null, -32700, "Parse error", { detail: String(error) });
-        inputBuffer = Buffer.alloc(0);
-        return;
+    while (pendingMessages.length) {
+      const { message, request } = pendingMessages.shift();
+      const response = await processIncomingMessage(message, stdioSession, request);
+      if (response) {
+        sendMessage(response);
       }
-      if (frame === null) {
+    }
+  } finally {
+    processingMessages = false;
+  }
+}
+
+// Runs one parsed JSON-RPC message for a client session; returns the response to send, or null for notifications
+// and cancelled requests (the spec says those get no response).
+async function processIncomingMessage(message, session, request = trackInFlightRequest(session, message)) {
+  try {
+    if (request?.cancelled) {
+      return null;
+    }
+    if (!isObject(message) || message.jsonrpc !== "2.0" || typeof message.method !== "string") {
+      throw Object.assign(new Error("Invalid Request"), { code: -32600 });
+    }
+
+    const hasId = Object.prototype.hasOwnProperty.call(message, "id");
+    const result = await requestContext.run({ session, request }, () => handleRequest(message, session));
+    if (request?.cancelled) {
+      return null;
+    }
+    if (hasId && result !== null) {
+      return jsonRpcResult(message.id, result);
+    }
+    return null;
+  } catch (error) {
+    if (error?.cancelled || request?.cancelled) {
+      return null;
+    }
+    const code = Number.isInteger(error?.code) ? error.code : -32603;
+    const messageText = code === -32601 ? error.message : error?.message || "Internal error";
+    if (isObject(message) && Object.prototype.hasOwnProperty.call(message, "id")) {
+      return jsonRpcError(message.id, code, messageText);
+    }
+    logErr("Notification handling error", error);
+    return null;
+  } finally {
+    if (request && session.inFlight.get(request.id) === request) {
+      session.inFlight.delete(request.id);
+    }
+  }
+}
+
+// Streamable HTTP transport: POST carries client messages, GET opens an SSE stream for server notifications.
+const httpSessions = new Map();
+
+function createHttpClientSession() {
+  const streams = new Set();
+  const session = createClientSession((message) => {
+    const payload = `event: message\ndata: ${JSON.stringify(message)}\n\n`;
+    for (const stream of streams) {
+      stream.write(payload);
+    }
+  });
+  session.streams = streams;
+  session.lastSeenMs = Date.now();
+  httpSessions.set(session.id, session);
+  return session;
+}
+
+function closeHttpClientSession(session) {
+  httpSessions.delete(session.id);
+  for (const stream of session.streams) {
+    stream.end();
+  }
+  session.streams.clear();
+  closeClientSession(session);
+}
+
+function sweepIdleHttpSessions(nowMs) {
+  for (const session of httpSessions.values()) {
+    if (!session.streams.size && nowMs - session.lastSeenMs > HTTP_SESSION_IDLE_MS) {
+      closeHttpClientSession(session);
+    }
+  }
+}
+
+function writeHttpJson(res, status, body, headers = {}) {
+  res.writeHead(status, { "Content-Type": "application/json; charset=utf-8", ...headers });
+  res.end(JSON.stringify(body));
+}
+
+function asHttpHost(value) {
+  // The endpoint has no authentication, so it only ever listens on loopback.
+  const host = typeof value === "string" && value ? value : DEFAULT_HTTP_HOST;
+  if (!LOOPBACK_HOSTNAMES.has(host)) {
+    throw new Error(`Refusing --host ${host}: the HTTP transport is unauthenticated and only binds to loopback (${[...LOOPBACK_HOSTNAMES].join(", ")})`);
+  }
+  return host;
+}
+
+function isAllowedHttpHost(hostHeader) {
+  // A DNS-rebinding page reaches 127.0.0.1 under its own name, which shows up in Host.
+  if (!hostHeader) {
+    return false;
+  }
+  try {
+    return LOOPBACK_HOSTNAMES.has(new URL(`http://${hostHeader}`).hostname);
+  } catch {
+    return false;
+  }
+}
+
+function isAllowedHttpOrigin(origin) {
+  // Browsers always send Origin; non-browser clients may omit it, and Host is checked separately.
+  if (!origin) {
+    return true;
+  }
+  try {
+    return LOOPBACK_HOSTNAMES.has(new URL(origin).hostname);
+  } catch {
+    return false;
+  }
+}
+
+function readHttpBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on("data", (chunk) => {
+      size += chunk.length;
+      if (size > MAX_INBOUND_FRAME_BYTES) {
+        reject(Object.assign(new Error(`Request body exceeds max inbound frame size (${MAX_INBOUND_FRAME_BYTES} bytes)`), { status: 413 }));
+        req.destroy();
         return;
       }
+      chunks.push(chunk);
+    });
+    req.on("end", () => resolve(Buffer.concat(chunks).toString("utf8")));
+    req.on("error", reject);
+  });
+}
 
-      let message;
-      try {
-        message = JSON.parse(frame);
-      } catch (error) {
-        logErr("JSON parse error", error);
-        sendError(null, -32700, "Parse error", { detail: String(error) });
-        continue;
-      }
+function lookupHttpClientSession(req, res) {
+  const sessionId = req.headers["mcp-session-id"];
+  if (typeof sessionId !== "string" || !sessionId) {
+    writeHttpJson(res, 400, jsonRpcError(null, -32600, "Missing Mcp-Session-Id header"));
+    return null;
+  }
+  const session = httpSessions.get(sessionId);
+  if (!session) {
+    writeHttpJson(res, 404, jsonRpcError(null, -32600, `Unknown Mcp-Session-Id: ${sessionId}`));
+    return null;
+  }
+  session.lastSeenMs = Date.now();
+  return session;
+}
 
-      try {
-        if (!isObject(message) || message.jsonrpc !== "2.0" || typeof message.method !== "string") {
-          throw Object.assign(new Error("Invalid Request"), { code: -32600 });
-        }
+async function handleHttpPost(req, res) {
+  let message;
+  try {
+    message = JSON.parse(await readHttpBody(req));
+  } catch (error) {
+    const session = httpSessions.get(req.headers["mcp-session-id"]);
+    if (error.status === 413 && session) {
+      requestContext.run({ session, request: null }, () =>
+        emitLog("error", "limits", { message: "Rejected oversized HTTP request body", max: MAX_INBOUND_FRAME_BYTES }),
+      );
+    }
+    writeHttpJson(res, error.status || 400, jsonRpcError(null, -32700, "Parse error", { detail: String(error) }));
+    return;
+  }
+  if (!isObject(message)) {
+    writeHttpJson(res, 400, jsonRpcError(null, -32600, "Invalid Request"));
+    return;
+  }
 
-        const hasId = Object.prototype.hasOwnProperty.call(message, "id");
-        const result = await handleRequest(message);
-        if (hasId && result !== null) {
-          sendResult(message.id, result);
-        }
-      } catch (error) {
-        const code = Number.isInteger(error?.code) ? error.code : -32603;
-        const messageText = code === -32601 ? error.message : error?.message || "Internal error";
-        if (Object.prototype.hasOwnProperty.call(message, "id")) {
-          sendError(message.id, code, messageText);
-        } else {
-          logErr("Notification handling error", error);
-        }
-      }
+  const isInitialize = message.method === "initialize";
+  const session = isInitialize ? createHttpClientSession() : lookupHttpClientSession(req, res);
+  if (!session) {
+    return;
+  }
+  const response = await processIncomingMessage(message, session);
+  if (isInitialize && (!response || response.error)) {
+    closeHttpClientSession(session);
+  }
+  if (!response) {
+    res.writeHead(202);
+    res.end();
+    return;
+  }
+  writeHttpJson(res, 200, response, isInitialize && !response.error ? { "Mcp-Session-Id": session.id } : {});
+}
+
+function handleHttpStream(req, res) {
+  if (!String(req.headers.accept || "").includes("text/event-stream")) {
+    writeHttpJson(res, 406, jsonRpcError(null, -32600, "GET requires Accept: text/event-stream"));
+    return;
+  }
+  const session = lookupHttpClientSession(req, res);
+  if (!session) {
+    return;
+  }
+  res.writeHead(200, {
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+    "Mcp-Session-Id": session.id,
+  });
+  res.write(": stream open\n\n");
+  session.streams.add(res);
+  req.on("close", () => {
+    session.streams.delete(res);
+    session.lastSeenMs = Date.now();
+  });
+}
+
+async function handleHttpRequest(req, res) {
+  const { pathname } = new URL(req.url || "/", "http://localhost");
+  if (pathname !== HTTP_ENDPOINT_PATH) {
+    writeHttpJson(res, 404, jsonRpcError(null, -32600, `Not found; the MCP endpoint is ${HTTP_ENDPOINT_PATH}`));
+    return;
+  }
+  if (!isAllowedHttpHost(req.headers.host)) {
+    writeHttpJson(res, 403, jsonRpcError(null, -32600, "Host not allowed"));
+    return;
+  }
+  if (!isAllowedHttpOrigin(req.headers.origin)) {
+    writeHttpJson(res, 403, jsonRpcError(null, -32600, "Origin not allowed"));
+    return;
+  }
+  sweepIdleHttpSessions(Date.now());
+
+  if (req.method === "POST") {
+    await handleHttpPost(req, res);
+    return;
+  }
+  if (req.method === "GET") {
+    handleHttpStream(req, res);
+    return;
+  }
+  if (req.method === "DELETE") {
+    const session = lookupHttpClientSession(req, res);
+    if (session) {
+      closeHttpClientSession(session);
+      res.writeHead(204);
+      res.end();
     }
-  } finally {
-    draining = false;
+    return;
+  }
+  res.writeHead(405, { Allow: "GET, POST, DELETE" });
+  res.end();
+}
+
+function asHttpPort(value) {
+  if (value === undefined) {
+    return DEFAULT_HTTP_PORT;
   }
+  const port = Number(value);
+  if (!Number.isInteger(port) || port < 0 || port > 65535) {
+    throw new Error(`Invalid --port: ${value}`);
+  }
+  return port;
+}
+
+async function runHttpServer(argv) {
+  const args = parseCliArgs(argv);
+  const host = asHttpHost(args.host);
+  const port = asHttpPort(args.port);
+  // The stdio peer does not exist in HTTP mode; drop it so it never keeps the storage watch alive.
+  closeClientSession(stdioSession);
+
+  const server = http.createServer((req, res) => {
+    handleHttpRequest(req, res).catch((error) => {
+      logErr("HTTP request failed", error);
+      if (!res.headersSent) {
+        writeHttpJson(res, 500, jsonRpcError(null, -32603, "Internal error"));
+      } else {
+        res.end();
+      }
+    });
+  });
+  await new Promise((resolve, reject) => {
+    server.once("error", reject);
+    server.listen(port, host, resolve);
+  });
+  const address = server.address();
+  const displayHost = host.includes(":") ? `[${host}]` : host;
+  process.stderr.write(`${SERVER_NAME} listening on http://${displayHost}:${address.port}${HTTP_ENDPOINT_PATH}\n`);
+  return server;
 }
 
 async function runSelfTest() {
@@ -2512,12 +7164,116 @@ async function runSelfTest() {
   await fs.unlink(tempFile).catch(() => {});
 }
 
+function parseCliArgs(argv) {
+  const out = { positional: [] };
+  for (let i = 0; i < argv.length; i += 1) {
+    const token = argv[i];
+    if (!token.startsWith("--")) {
+      out.positional.push(token);
+      continue;
+    }
+    const eqIndex = token.indexOf("=");
+    if (eqIndex !== -1) {
+      out[token.slice(2, eqIndex)] = token.slice(eqIndex + 1);
+      continue;
+    }
+    const next = argv[i + 1];
+    if (next !== undefined && !next.startsWith("--")) {
+      out[token.slice(2)] = next;
+      i += 1;
+    } else {
+      out[token.slice(2)] = true;
+    }
+  }
+  return out;
+}
+
+async function writeCliOutput(text, outPath) {
+  if (typeof outPath === "string" && outPath) {
+    const resolved = path.resolve(expandHomePath(outPath));
+    await fs.mkdir(path.dirname(resolved), { recursive: true });
+    await fs.writeFile(resolved, text, "utf8");
+    process.stderr.write(`wrote ${resolved}\n`);
+    return;
+  }
+  process.stdout.write(text);
+}
+
+async function runExportCli(argv) {
+  const args = parseCliArgs(argv);
+  if (args.help) {
+    process.stdout.write(
+      "Usage: node server.mjs export [session_id] [--format markdown|html] [--project <key>] [--out <path>]\n" +
+        "Defaults to the active session, markdown, and stdout.\n",
+    );
+    return;
+  }
+  const session_id = await resolveSessionIdInput(args.positional[0] ?? args.session, { required: true });
+  const project = normalizeProject(typeof args.project === "string" ? args.project : undefined);
+  const format = asExportFormat(typeof args.format === "string" ? args.format : undefined);
+  const rendered = await exportSession({ session_id, project, format });
+  if (rendered === null) {
+    throw new Error(`No entries found for session_id=${session_id} (project=${project}).`);
+  }
+  await writeCliOutput(rendered, args.out);
+}
+
+async function runImportCli(argv) {
+  const args = parseCliArgs(argv);
+  if (args.help || !args.positional[0]) {
+    process.stdout.write(
+      "Usage: node server.mjs import <file> [--session <id>] [--format markdown|ndjson] [--agent <name>] [--project <key>] [--task <title>]\n" +
+        "Markdown goes into --session (or the active session); NDJSON keeps each entry's session unless --session is set.\n",
+    );
+    return;
+  }
+  const { raw, source } = await readImportFile(args.positional[0]);
+  const format = asImportFormat(typeof args.format === "string" ? args.format : undefined) || detectImportFormat(raw, source);
+  const sessionArg = typeof args.session === "string" ? args.session : undefined;
+  const projectArg = typeof args.project === "string" ? args.project : undefined;
+  const result = await importSessionContent({
+    raw,
+    format,
+    agent: typeof args.agent === "string" && args.agent.trim() ? args.agent.trim() : DEFAULT_IMPORT_AGENT,
+    sessionId: format === "markdown" ? await resolveSessionIdInput(sessionArg) : normalizeSessionId(sessionArg),
+    project: format === "markdown" ? normalizeProject(projectArg) : projectArg,
+    task: typeof args.task === "string" ? args.task : undefined,
+    source,
+  });
+  process.stdout.write(`${formatImportResult(result)}\n`);
+}
+
 async function main() {
   if (process.argv.includes("--self-test")) {
     await runSelfTest();
     return;
   }
 
+  if (process.argv[2] === "export") {
+    await runExportCli(process.argv.slice(3));
+    return;
+  }
+
+  if (process.argv[2] === "import") {
+    await runImportCli(process.argv.slice(3));
+    return;
+  }
+
+  // Runs before stdin is read so the first requests already see the retired state.
+  await maybeApplyRetention({ force: true });
+
+  process.on("uncaughtException", (error) => {
+    logErr("uncaughtException", error);
+  });
+  process.on("unhandledRejection", (error) => {
+    logErr("unhandledRejection", error);
+  });
+
+  if (process.argv.includes("--http")) {
+    await runHttpServer(process.argv.slice(2));
+    return;
+  }
+
   process.stdin.on("data", (chunk) => {
     const incoming = Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk);
     if (
@@ -2525,21 +7281,15 @@ async function main() {
       inputBuffer.length + incoming.length > MAX_INPUT_BUFFER_BYTES
     ) {
       inputBuffer = Buffer.alloc(0);
+      emitLog("error", "limits", { message: "Dropped input exceeding the max buffer size", max: MAX_INPUT_BUFFER_BYTES });
       sendError(null, -32600, `Incoming MCP message exceeds max buffer size (${MAX_INPUT_BUFFER_BYTES} bytes)`);
       return;
     }
     inputBuffer = Buffer.concat([inputBuffer, incoming]);
-    drainInput().catch((error) => logErr("Drain error", error));
+    drainInput();
   });
   process.stdin.on("error", (error) => logErr("stdin error", error));
   process.stdout.on("error", (error) => logErr("stdout error", error));
-
-  process.on("uncaughtException", (error) => {
-    logErr("uncaughtException", error);
-  });
-  process.on("unhandledRejection", (error) => {
-    logErr("unhandledRejection", error);
-  });
 }
 
 main().catch((error) => {
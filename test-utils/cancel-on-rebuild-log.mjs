@@ -0,0 +1,16 @@
+// Preloaded into the server (`node --import`) by the mid-rebuild cancel test. The moment the server writes its
+// "Rebuilding sessions index" log, a cancel for CANCEL_ON_REBUILD_REQUEST_ID is fed into stdin, so it always lands
+// after the rebuild started and before its first file read, however fast the machine is.
+const requestId = process.env.CANCEL_ON_REBUILD_REQUEST_ID;
+const writeStdout = process.stdout.write.bind(process.stdout);
+let cancelSent = false;
+
+process.stdout.write = (chunk, ...rest) => {
+  const result = writeStdout(chunk, ...rest);
+  if (!cancelSent && requestId && String(chunk).includes("Rebuilding sessions index")) {
+    cancelSent = true;
+    const cancel = { jsonrpc: "2.0", method: "notifications/cancelled", params: { requestId } };
+    process.stdin.emit("data", Buffer.from(`${JSON.stringify(cancel)}\n`, "utf8"));
+  }
+  return result;
+};
@@ -1,4 +1,7 @@
 import { spawn } from "node:child_process";
+import { fileURLToPath } from "node:url";
+
+const SERVER_PATH = fileURLToPath(new URL("../server.mjs", import.meta.url));
 
 function makeTimeout(ms, message) {
   return new Promise((_, reject) => {
@@ -17,8 +20,8 @@ export function parseToolJson(toolResult) {
   return JSON.parse(text);
 }
 
-export function createMcpLineClient({ cwd, env = {} } = {}) {
-  const child = spawn(process.execPath, ["server.mjs"], {
+export function createMcpLineClient({ cwd, env = {}, nodeArgs = [] } = {}) {
+  const child = spawn(process.execPath, [...nodeArgs, SERVER_PATH], {
     cwd,
     env: { ...process.env, ...env },
     stdio: ["pipe", "pipe", "pipe"],
@@ -0,0 +1,1496 @@
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import http from "node:http";
+import os from "node:os";
+import path from "node:path";
+import test from "node:test";
+import { execFileSync, spawn, spawnSync } from "node:child_process";
+import { fileURLToPath } from "node:url";
+import { gzipSync } from "node:zlib";
+import { createMcpLineClient, parseToolJson } from "../test-utils/mcp-line-client.mjs";
+
+async function startClient(t, envOverrides = {}, { cwd = process.cwd(), nodeArgs } = {}) {
+  const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), "contextflowmcp-tools-"));
+  const contextFile = path.join(tempDir, "shared-context.jsonl");
+  const activeSessionFile = path.join(tempDir, "active-session.txt");
+  const env = {
+    MCP_SHARED_CONTEXT_FILE: contextFile,
+    MCP_SHARED_CONTEXT_ACTIVE_SESSION_FILE: activeSessionFile,
+    MCP_SHARED_CONTEXT_PROJECT: "tool-tests",
+    ...envOverrides,
+  };
+  const client = createMcpLineClient({
+    cwd,
+    env,
+    nodeArgs,
+  });
+
+  t.after(async () => {
+    await client.close();
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  await client.initialize();
+  return { client, tempDir, contextFile, activeSessionFile };
+}
+
+async function createGitRepo(t) {
+  // A throwaway repository with two commits, so git-aware tools never depend on this checkout's history.
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "contextflowmcp-repo-"));
+  t.after(() => fs.rm(dir, { recursive: true, force: true }));
+  const git = (...args) =>
+    execFileSync("git", ["-c", "user.name=Test", "-c", "user.email=test@example.com", ...args], {
+      cwd: dir,
+      encoding: "utf8",
+    }).trim();
+  git("init", "-q");
+  await fs.writeFile(path.join(dir, "README.md"), "# demo\n", "utf8");
+  git("add", "README.md");
+  git("commit", "-q", "-m", "Initial commit");
+  const parent = git("rev-parse", "HEAD");
+  await fs.writeFile(path.join(dir, "README.md"), "# demo\n\nMore text.\n", "utf8");
+  await fs.mkdir(path.join(dir, "src"));
+  await fs.writeFile(path.join(dir, "src", "app.js"), "export const answer = 42;\n", "utf8");
+  git("add", "README.md", "src/app.js");
+  git("commit", "-q", "-m", "Add app");
+  return { dir, parent, head: git("rev-parse", "HEAD") };
+}
+
+test("search_shared_context ranks hits across sessions with highlighted snippets", async (t) => {
+  const { client, contextFile } = await startClient(t);
+
+  await client.callTool("append_shared_note", {
+    agent: "claude",
+    session_id: "auth-cookie",
+    text: "Root cause is the SameSite cookie setting on the session cookie.",
+  });
+  await client.callTool("write_shared_handoff", {
+    agent: "codex",
+    session_id: "billing",
+    summary: "Invoices render fine; the cookie banner still overlaps the footer.",
+  });
+  await client.callTool("append_shared_note", {
+    agent: "gemini",
+    session_id: "billing",
+    text: "Nothing related here.",
+  });
+
+  const searchResult = await client.callTool("search_shared_context", {
+    query: "samesite cookie",
+    format: "json",
+  });
+  const payload = parseToolJson(searchResult);
+  assert.equal(payload.count, 2);
+  assert.equal(payload.results[0].session_id, "auth-cookie");
+  assert.match(payload.results[0].snippet, /\*\*SameSite\*\* \*\*cookie\*\*/);
+  assert.ok(payload.results[0].entry_id, "hits should carry the entry id");
+
+  const phraseResult = await client.callTool("search_shared_context", {
+    query: "\"cookie banner\"",
+    format: "json",
+  });
+  const phrasePayload = parseToolJson(phraseResult);
+  assert.equal(phrasePayload.count, 1);
+  assert.equal(phrasePayload.results[0].session_id, "billing");
+  assert.equal(phrasePayload.results[0].kind, "handoff");
+
+  const searchIndexStat = await fs.stat(`${contextFile}.search-index.json`);
+  assert.ok(searchIndexStat.isFile(), "search index sidecar should exist");
+});
+
+test("search_shared_context rebuilds a deleted search index", async (t) => {
+  const { client, contextFile } = await startClient(t);
+
+  await client.callTool("append_shared_note", {
+    agent: "claude",
+    session_id: "rebuild",
+    text: "flaky websocket reconnect",
+  });
+  await fs.rm(`${contextFile}.search-index.json`);
+
+  const searchResult = await client.callTool("search_shared_context", {
+    query: "websocket",
+    format: "json",
+  });
+  assert.equal(parseToolJson(searchResult).count, 1);
+});
+
+test("tag filters narrow read_shared_context and list_sessions, and list_tags aggregates counts", async (t) => {
+  const { client } = await startClient(t);
+
+  await client.callTool("append_shared_note", {
+    agent: "claude",
+    session_id: "tagged-a",
+    text: "auth bug repro",
+    tags: ["bug", "auth"],
+  });
+  await client.callTool("append_shared_note", {
+    agent: "claude",
+    session_id: "tagged-a",
+    text: "another auth bug note",
+    tags: ["bug"],
+  });
+  await client.callTool("append_shared_note", {
+    agent: "codex",
+    session_id: "tagged-b",
+    text: "perf investigation",
+    tags: ["perf"],
+  });
+
+  const readResult = await client.callTool("read_shared_context", {
+    session_id: "tagged-a",
+    tags: ["bug", "auth"],
+    format: "json",
+  });
+  assert.equal(parseToolJson(readResult).count, 1);
+
+  const anyResult = await client.callTool("list_sessions", {
+    any_tags: ["auth", "perf"],
+    format: "json",
+  });
+  assert.equal(parseToolJson(anyResult).count, 2);
+
+  const allResult = await client.callTool("list_sessions", {
+    tags: ["bug"],
+    format: "json",
+  });
+  const allPayload = parseToolJson(allResult);
+  assert.equal(allPayload.count, 1);
+  assert.equal(allPayload.sessions[0].session_id, "tagged-a");
+  assert.equal(allPayload.sessions[0].tag_counts.bug, 2);
+
+  const tagsResult = await client.callTool("list_tags", { format: "json" });
+  const tagsPayload = parseToolJson(tagsResult);
+  assert.deepEqual(tagsPayload.tags[0], { tag: "bug", count: 2, sessions: 1 });
+  assert.equal(tagsPayload.count, 3);
+  assert.equal(tagsPayload.sessions.length, 2);
+});
+
+test("set_session_status hides done sessions from lists and prompts unless requested", async (t) => {
+  const { client } = await startClient(t);
+
+  await client.callTool("append_shared_note", { agent: "claude", session_id: "finished", text: "wrapped up" });
+  await client.callTool("append_shared_note", { agent: "claude", session_id: "ongoing", text: "still going" });
+
+  const statusResult = await client.callTool("set_session_status", {
+    agent: "claude",
+    session_id: "finished",
+    status: "done",
+    reason: "merged",
+  });
+  assert.match(statusResult.content[0].text, /status to done \(was open\)/);
+
+  const defaultList = parseToolJson(await client.callTool("list_sessions", { format: "json" }));
+  assert.deepEqual(defaultList.sessions.map((session) => session.session_id), ["ongoing"]);
+
+  const doneList = parseToolJson(await client.callTool("list_sessions", { status: ["done"], format: "json" }));
+  assert.equal(doneList.count, 1);
+  assert.equal(doneList.sessions[0].status, "done");
+
+  const promptsResult = await client.request("prompts/list");
+  const resumePrompts = promptsResult.prompts.filter((prompt) => /^resume_\d+$/.test(prompt.name));
+  assert.equal(resumePrompts.length, 1);
+  assert.match(resumePrompts[0].description, /^ongoing/);
+
+  const chosen = parseToolJson(await client.callTool("choose_session", { session_id: "finished", format: "json" }));
+  assert.equal(chosen.selected_session.status, "done");
+});
+
+test("rename_session and merge_sessions rewrite files, index and active session", async (t) => {
+  const { client, activeSessionFile } = await startClient(t);
+
+  await client.callTool("append_shared_note", { agent: "claude", session_id: "feature/old", text: "first" });
+  await client.callTool("append_shared_note", { agent: "codex", session_id: "parallel", text: "second" });
+  await client.callTool("append_shared_note", { agent: "claude", session_id: "feature/old", text: "third" });
+  await fs.writeFile(activeSessionFile, "feature/old\n", "utf8");
+
+  const renameResult = await client.callTool("rename_session", { new_session_id: "feature/new" });
+  assert.match(renameResult.content[0].text, /Renamed session feature\/old to feature\/new/);
+  assert.equal((await fs.readFile(activeSessionFile, "utf8")).trim(), "feature/new");
+
+  const renameConflict = await client.callToolRaw("rename_session", {
+    session_id: "parallel",
+    new_session_id: "feature/new",
+  });
+  assert.match(renameConflict.error.message, /already exists/);
+
+  await client.callTool("merge_sessions", {
+    source_session_ids: ["parallel"],
+    target_session_id: "feature/new",
+  });
+
+  const sessions = parseToolJson(await client.callTool("list_sessions", { format: "json" }));
+  assert.deepEqual(sessions.sessions.map((session) => session.session_id), ["feature/new"]);
+  assert.equal(sessions.sessions[0].entry_count, 3);
+
+  const read = parseToolJson(await client.callTool("read_shared_context", { session_id: "feature/new", format: "json" }));
+  assert.deepEqual(read.entries.map((entry) => entry.text), ["first", "second", "third"]);
+  assert.ok(read.entries.every((entry) => entry.session_id === "feature/new"));
+
+  const info = JSON.parse((await client.request("resources/read", { uri: "shared-context://info" })).contents[0].text);
+  const sessionFiles = (await fs.readdir(info.sessionDataDir)).filter((name) => name.endsWith(".jsonl"));
+  assert.equal(sessionFiles.length, 1);
+});
+
+test("rename_session and merge_sessions carry compaction archives and retired copies along", async (t) => {
+  const { client } = await startClient(t);
+  const fileKey = (sessionId) => Buffer.from(sessionId).toString("base64url");
+
+  for (const text of ["one", "two", "three"]) {
+    await client.callTool("append_shared_note", { agent: "claude", session_id: "compacted-old", text });
+  }
+  await client.callTool("compact_session", { agent: "claude", session_id: "compacted-old", keep_recent: 1 });
+  await client.callTool("append_shared_note", { agent: "codex", session_id: "retired-src", text: "live" });
+  const info = JSON.parse((await client.request("resources/read", { uri: "shared-context://info" })).contents[0].text);
+  // A retired copy left behind by retention before the session was written to again.
+  const retiredLine = { id: "retired-1", ts: "2020-01-01T00:00:00.000Z", kind: "note", project: "tool-tests", agent: "codex", session_id: "retired-src", text: "old" };
+  await fs.mkdir(info.retiredDir, { recursive: true });
+  await fs.writeFile(path.join(info.retiredDir, `${fileKey("retired-src")}.jsonl.gz`), gzipSync(`${JSON.stringify(retiredLine)}\n`));
+
+  await client.callTool("rename_session", { session_id: "compacted-old", new_session_id: "compacted-new" });
+  assert.deepEqual(await fs.readdir(info.compactedDir), [`${fileKey("compacted-new")}.jsonl`]);
+  const renamed = parseToolJson(await client.callTool("read_shared_context", { session_id: "compacted-new", format: "json" }));
+  assert.equal(renamed.entries[0].kind, "digest");
+  assert.equal(renamed.entries[0].compacted.archive_file, `${fileKey("compacted-new")}.jsonl`);
+
+  await client.callTool("merge_sessions", { source_session_ids: ["retired-src"], target_session_id: "compacted-new" });
+  assert.deepEqual(await fs.readdir(info.retiredDir), [`${fileKey("compacted-new")}.jsonl.gz`]);
+  const restored = await client.callTool("restore_session", { agent: "codex", session_id: "compacted-new" });
+  assert.match(restored.content[0].text, /Restored session compacted-new/);
+  const merged = parseToolJson(await client.callTool("read_shared_context", { session_id: "compacted-new", format: "json" }));
+  const old = merged.entries.find((entry) => entry.id === "retired-1");
+  assert.equal(old.session_id, "compacted-new");
+  assert.deepEqual(await fs.readdir(info.retiredDir), []);
+});
+
+test("fork_session refuses an existing new_session_id, also when two forks race for it", async (t) => {
+  const { client, contextFile, activeSessionFile } = await startClient(t);
+  await client.callTool("write_shared_handoff", { agent: "claude", session_id: "trunk", summary: "Base." });
+  await client.callTool("append_shared_note", { agent: "claude", session_id: "taken", text: "Already here." });
+
+  const taken = await client.callTool("fork_session", { agent: "codex", session_id: "trunk", new_session_id: "taken", activate: false });
+  assert.equal(taken.isError, true);
+  assert.match(taken.content[0].text, /Session taken already exists/);
+
+  const other = createMcpLineClient({
+    cwd: process.cwd(),
+    env: {
+      MCP_SHARED_CONTEXT_FILE: contextFile,
+      MCP_SHARED_CONTEXT_ACTIVE_SESSION_FILE: `${activeSessionFile}.other`,
+      MCP_SHARED_CONTEXT_PROJECT: "tool-tests",
+    },
+  });
+  t.after(() => other.close());
+  await other.initialize();
+  // Hold the write lock until both forks wait for it, so both have looked the target up before either writes.
+  const lockFile = `${contextFile}.lock`;
+  await fs.writeFile(lockFile, JSON.stringify({ pid: process.pid, created_at: new Date().toISOString() }), "utf8");
+  const forks = [];
+  for (const peer of [client, other]) {
+    assert.deepEqual(await peer.request("logging/setLevel", { level: "debug" }), {});
+    const waiting = peer.waitForMessage(
+      (message) => message.method === "notifications/message" && message.params.logger === "lock",
+      10000,
+    );
+    forks.push(peer.callTool("fork_session", { agent: "codex", session_id: "trunk", new_session_id: "contested", activate: false }));
+    await waiting;
+  }
+  await fs.unlink(lockFile);
+  const results = await Promise.all(forks);
+  assert.equal(results.filter((result) => result.isError).length, 1);
+  const contested = parseToolJson(await client.callTool("read_shared_context", { session_id: "contested", format: "json" }));
+  assert.equal(contested.count, 1);
+});
+
+test("fork_session seeds a new session from the latest handoff and resume_session shows lineage", async (t) => {
+  const { client, activeSessionFile } = await startClient(t);
+
+  await client.callTool("write_shared_handoff", {
+    agent: "claude",
+    session_id: "mainline",
+    summary: "Cache layer half done.",
+    next_steps: ["Wire invalidation"],
+    task: "Add caching",
+  });
+  await client.callTool("append_shared_note", { agent: "claude", session_id: "mainline", text: "later note" });
+
+  const forkResult = await client.callTool("fork_session", {
+    agent: "codex",
+    session_id: "mainline",
+    new_session_id: "mainline-alt",
+  });
+  assert.match(forkResult.content[0].text, /Forked session mainline at handoff .* into mainline-alt/);
+  assert.equal((await fs.readFile(activeSessionFile, "utf8")).trim(), "mainline-alt");
+
+  const resumed = parseToolJson(await client.callTool("resume_session", { format: "json" }));
+  assert.equal(resumed.session_id, "mainline-alt");
+  assert.equal(resumed.latest_handoff.summary, "Cache layer half done.");
+  assert.deepEqual(resumed.latest_handoff.next_steps, ["Wire invalidation"]);
+  assert.equal(resumed.latest_handoff.task, "Add caching");
+  assert.equal(resumed.lineage[0].session_id, "mainline");
+  assert.equal(resumed.lineage[0].entry_id, resumed.latest_handoff.forked_from.entry_id);
+
+  const resumedText = await client.callTool("resume_session", {});
+  assert.match(resumedText.content[0].text, /forked_from: session=mainline entry=/);
+
+  const missing = await client.callTool("fork_session", { agent: "codex", session_id: "mainline", entry_id: "nope" });
+  assert.equal(missing.isError, true);
+});
+
+test("complete_step marks handoff steps done and resume_session shows the checklist", async (t) => {
+  const { client } = await startClient(t);
+
+  await client.callTool("write_shared_handoff", {
+    agent: "claude",
+    session_id: "checklist",
+    summary: "Ready for the next agent.",
+    next_steps: ["Update cookie options", "Add regression test"],
+  });
+
+  const handoff = parseToolJson(await client.callTool("get_latest_handoff", { session_id: "checklist", format: "json" }));
+  assert.deepEqual(handoff.handoff.next_steps, ["Update cookie options", "Add regression test"]);
+  const [firstStep, secondStep] = handoff.checklist;
+  assert.deepEqual(handoff.handoff.next_step_ids, [firstStep.id, secondStep.id]);
+  assert.ok(firstStep.id && secondStep.id && firstStep.id !== secondStep.id, "steps should carry distinct ids");
+  assert.deepEqual(handoff.checklist.map((step) => step.done), [false, false]);
+
+  await client.callTool("complete_step", { agent: "codex", session_id: "checklist", step_id: firstStep.id });
+  const again = await client.callTool("complete_step", { agent: "codex", session_id: "checklist", step_id: firstStep.id });
+  assert.match(again.content[0].text, /already completed by codex/);
+  const missing = await client.callTool("complete_step", { agent: "codex", session_id: "checklist", step_id: "nope-1" });
+  assert.equal(missing.isError, true);
+
+  const resumed = parseToolJson(await client.callTool("resume_session", { session_id: "checklist", format: "json" }));
+  assert.deepEqual(
+    resumed.checklist.map((step) => [step.text, step.done, step.completed_by]),
+    [["Update cookie options", true, "codex"], ["Add regression test", false, undefined]],
+  );
+
+  const resumedText = (await client.callTool("resume_session", { session_id: "checklist" })).content[0].text;
+  assert.match(resumedText, new RegExp(`\\[x\\] ${firstStep.id} Update cookie options \\(done by codex`));
+  assert.match(resumedText, new RegExp(`\\[ \\] ${secondStep.id} Add regression test`));
+});
+
+test("claim_session leases a session, warns other writers and release_session frees it", async (t) => {
+  const { client } = await startClient(t);
+
+  await client.callTool("append_shared_note", { agent: "claude", session_id: "leased", text: "starting" });
+  const claimResult = await client.callTool("claim_session", { agent: "claude", session_id: "leased", ttl_seconds: 600 });
+  assert.match(claimResult.content[0].text, /Claimed session leased for claude/);
+  const renewResult = await client.callTool("claim_session", { agent: "claude", session_id: "leased" });
+  assert.match(renewResult.content[0].text, /Renewed session leased/);
+
+  const conflict = await client.callTool("claim_session", { agent: "codex", session_id: "leased" });
+  assert.equal(conflict.isError, true);
+  assert.match(conflict.content[0].text, /already claimed by claude/);
+
+  const noteResult = await client.callTool("append_shared_note", { agent: "codex", session_id: "leased", text: "me too" });
+  assert.match(noteResult.content[0].text, /Warning: session leased is claimed by claude until /);
+  const ownNote = await client.callTool("append_shared_note", { agent: "claude", session_id: "leased", text: "mine" });
+  assert.doesNotMatch(ownNote.content[0].text, /Warning/);
+
+  const listed = parseToolJson(await client.callTool("list_sessions", { format: "json" }));
+  assert.equal(listed.sessions[0].claim.agent, "claude");
+  assert.match((await client.callTool("list_sessions", {})).content[0].text, /claimed_by=claude until /);
+
+  const refused = await client.callTool("release_session", { agent: "codex", session_id: "leased" });
+  assert.equal(refused.isError, true);
+  await client.callTool("release_session", { agent: "codex", session_id: "leased", force: true });
+  const afterRelease = parseToolJson(await client.callTool("list_sessions", { format: "json" }));
+  assert.equal(afterRelease.sessions[0].claim, undefined);
+
+  const unknown = await client.callTool("claim_session", { agent: "claude", session_id: "no-such-session" });
+  assert.equal(unknown.isError, true);
+  assert.match(unknown.content[0].text, /Session no-such-session not found/);
+  await client.callTool("set_session_status", { agent: "claude", session_id: "leased", status: "archived" });
+  const archived = await client.callTool("claim_session", { agent: "claude", session_id: "leased" });
+  assert.equal(archived.isError, true);
+  assert.match(archived.content[0].text, /Session leased is archived/);
+  const claimsFile = JSON.parse((await client.request("resources/read", { uri: "shared-context://info" })).contents[0].text).claimsFile;
+  assert.deepEqual(JSON.parse(await fs.readFile(claimsFile, "utf8")).claims, {});
+});
+
+test("record_decision stores decisions that list_decisions finds across sessions", async (t) => {
+  const { client } = await startClient(t);
+
+  await client.callTool("record_decision", {
+    agent: "claude",
+    session_id: "storage",
+    decision: "Keep one JSONL file per session.",
+    rationale: "Appends stay cheap and files stay small.",
+    alternatives: ["SQLite", "single shared JSONL"],
+    files: ["server.mjs"],
+  });
+  await client.callTool("append_shared_note", { agent: "claude", session_id: "storage", text: "unrelated" });
+  await client.callTool("record_decision", {
+    agent: "codex",
+    session_id: "docs",
+    decision: "Document tools in README only.",
+    files: ["README.md"],
+  });
+
+  const all = parseToolJson(await client.callTool("list_decisions", { format: "json" }));
+  assert.equal(all.count, 2);
+  assert.deepEqual(all.decisions[0].alternatives, ["SQLite", "single shared JSONL"]);
+
+  const byFile = parseToolJson(await client.callTool("list_decisions", { file: "README", format: "json" }));
+  assert.deepEqual(byFile.decisions.map((entry) => entry.session_id), ["docs"]);
+
+  const text = (await client.callTool("list_decisions", { session_id: "storage" })).content[0].text;
+  assert.match(text, /decision: Keep one JSONL file per session\./);
+  assert.match(text, /rejected: SQLite \| single shared JSONL/);
+
+  const sessions = parseToolJson(await client.callTool("list_sessions", { format: "json" }));
+  const storage = sessions.sessions.find((session) => session.session_id === "storage");
+  assert.equal(storage.decision_count, 1);
+});
+
+test("answer_question resolves handoff questions and list_open_questions shows only the open ones", async (t) => {
+  const { client } = await startClient(t);
+
+  await client.callTool("write_shared_handoff", {
+    agent: "claude",
+    session_id: "questions-a",
+    summary: "Parser rewrite halfway.",
+    open_questions: ["Keep the legacy syntax?", "Who owns the grammar file?"],
+  });
+  await client.callTool("write_shared_handoff", {
+    agent: "codex",
+    session_id: "questions-b",
+    summary: "Nothing blocking.",
+    open_questions: ["Ship behind a flag?"],
+  });
+
+  const handoff = parseToolJson(await client.callTool("get_latest_handoff", { session_id: "questions-a", format: "json" }));
+  const [legacyQuestion, ownerQuestion] = handoff.handoff.open_questions;
+  assert.ok(legacyQuestion.id && legacyQuestion.id !== ownerQuestion.id, "questions should carry distinct ids");
+
+  const answerResult = await client.callTool("answer_question", {
+    agent: "codex",
+    session_id: "questions-a",
+    question_id: legacyQuestion.id,
+    answer: "No, drop it.",
+  });
+  assert.match(answerResult.content[0].text, /Answered question .* Keep the legacy syntax\?/);
+  const missing = await client.callTool("answer_question", {
+    agent: "codex",
+    session_id: "questions-a",
+    question_id: "nope-q1",
+    answer: "?",
+  });
+  assert.equal(missing.isError, true);
+
+  const open = parseToolJson(await client.callTool("list_open_questions", { format: "json" }));
+  assert.deepEqual(open.questions.map((question) => question.text).sort(), ["Ship behind a flag?", "Who owns the grammar file?"]);
+
+  const resumed = parseToolJson(await client.callTool("resume_session", { session_id: "questions-a", format: "json" }));
+  assert.deepEqual(resumed.open_questions.map((question) => question.id), [ownerQuestion.id]);
+  const resumedText = (await client.callTool("resume_session", { session_id: "questions-a" })).content[0].text;
+  assert.match(resumedText, /\[\?\] .* Who owns the grammar file\?/);
+  assert.doesNotMatch(resumedText.split("recent_entries:")[0], /Keep the legacy syntax/);
+});
+
+test("attach_artifact stores blobs by hash, serves them as resources and lists them in resume_session", async (t) => {
+  const { client, contextFile } = await startClient(t, { MCP_SHARED_CONTEXT_MAX_ARTIFACT_BYTES: "128" });
+
+  const log = "TypeError: cannot read properties of undefined\n    at render (app.js:12:5)\n";
+  const attachResult = await client.callTool("attach_artifact", {
+    agent: "claude",
+    session_id: "artifacts",
+    content: log,
+    name: "stack.log",
+    mime_type: "text/x-log",
+  });
+  const hash = attachResult.content[0].text.match(/Attached artifact ([a-f0-9]{64})/)[1];
+  assert.equal(await fs.readFile(path.join(`${contextFile}.artifacts`, hash), "utf8"), log);
+
+  const again = await client.callTool("attach_artifact", { agent: "codex", session_id: "artifacts", content: log });
+  assert.match(again.content[0].text, /already stored/);
+
+  const resource = await client.request("resources/read", { uri: `shared-context://artifact/${hash}` });
+  assert.equal(resource.contents[0].text, log);
+  assert.equal(resource.contents[0].mimeType, "text/x-log");
+
+  const binary = await client.callTool("attach_artifact", {
+    agent: "claude",
+    session_id: "artifacts",
+    content: Buffer.from([0xff, 0x00, 0xfe]).toString("base64"),
+    encoding: "base64",
+  });
+  const binaryHash = binary.content[0].text.match(/Attached artifact ([a-f0-9]{64})/)[1];
+  const binaryResource = await client.request("resources/read", { uri: `shared-context://artifact/${binaryHash}` });
+  assert.equal(binaryResource.contents[0].blob, "/wD+");
+  assert.equal(binaryResource.contents[0].mimeType, "application/octet-stream");
+
+  const typed = await client.callTool("attach_artifact", {
+    agent: "claude",
+    session_id: "artifacts",
+    content: Buffer.from("GIF89a").toString("base64"),
+    encoding: "base64",
+    mime_type: "image/gif",
+  });
+  const typedHash = typed.content[0].text.match(/Attached artifact ([a-f0-9]{64})/)[1];
+  const typedResource = await client.request("resources/read", { uri: `shared-context://artifact/${typedHash}` });
+  assert.deepEqual(typedResource.contents[0], {
+    uri: `shared-context://artifact/${typedHash}`,
+    mimeType: "image/gif",
+    blob: Buffer.from("GIF89a").toString("base64"),
+  });
+
+  // Unpadded and base64url spellings of the same bytes land on the same artifact.
+  for (const content of ["_wD-", "_wD+"]) {
+    const variant = await client.callTool("attach_artifact", { agent: "claude", session_id: "artifact-encodings", content, encoding: "base64" });
+    assert.match(variant.content[0].text, new RegExp(`Attached artifact ${binaryHash}`));
+  }
+  const unpadded = await client.callTool("attach_artifact", {
+    agent: "claude",
+    session_id: "artifact-encodings",
+    content: Buffer.from("GIF89a!").toString("base64url"),
+    encoding: "base64",
+  });
+  assert.match(unpadded.content[0].text, /Attached artifact [a-f0-9]{64} \(7 bytes/);
+  for (const content of ["QR==", "QQ=", "Q", "QQ==="]) {
+    const invalid = await client.callToolRaw("attach_artifact", { agent: "claude", session_id: "artifact-encodings", content, encoding: "base64" });
+    assert.match(invalid.error.message, /content is not valid base64/, content);
+  }
+
+  const badBase64 = await client.callToolRaw("attach_artifact", {
+    agent: "claude",
+    session_id: "artifacts",
+    content: "not base64!",
+    encoding: "base64",
+  });
+  assert.match(badBase64.error.message, /content is not valid base64/);
+
+  const tooBig = await client.callToolRaw("attach_artifact", { agent: "claude", session_id: "artifacts", content: "x".repeat(129) });
+  assert.match(tooBig.error.message, /exceeds max size \(128 bytes\)/);
+
+  const resumed = parseToolJson(await client.callTool("resume_session", { session_id: "artifacts", format: "json" }));
+  assert.deepEqual(resumed.artifacts.map((artifact) => [artifact.name, artifact.hash]), [
+    ["stack.log", hash],
+    [undefined, hash],
+    [undefined, binaryHash],
+    [undefined, typedHash],
+  ]);
+  const resumedText = (await client.callTool("resume_session", { session_id: "artifacts" })).content[0].text;
+  assert.match(resumedText, new RegExp(`artifacts:\\n- stack\\.log sha256:${hash}`));
+});
+
+test("rename_session carries a claim over and merge_sessions keeps only the target's claim", async (t) => {
+  const { client, contextFile } = await startClient(t);
+  const claimsFile = `${contextFile}.claims.json`;
+  const readClaims = async () => JSON.parse(await fs.readFile(claimsFile, "utf8")).claims;
+
+  for (const [session_id, agent] of [["wip", "claude"], ["side", "codex"]]) {
+    await client.callTool("append_shared_note", { agent, session_id, text: "work" });
+    await client.callTool("claim_session", { agent, session_id, ttl_seconds: 600 });
+  }
+
+  const renamed = await client.callTool("rename_session", { session_id: "wip", new_session_id: "wip-2" });
+  assert.match(renamed.content[0].text, /Claim by claude \(until .*\) now applies to the target session/);
+  assert.deepEqual(Object.keys(await readClaims()).sort(), ["side", "wip-2"]);
+  const conflict = await client.callTool("append_shared_note", { agent: "codex", session_id: "wip-2", text: "late" });
+  assert.match(conflict.content[0].text, /Warning: session wip-2 is claimed by claude/);
+
+  const merged = await client.callTool("merge_sessions", { source_session_ids: ["side"], target_session_id: "wip-2" });
+  assert.match(merged.content[0].text, /Released 1 claim\(s\) on the source session\(s\)/);
+  const claims = await readClaims();
+  assert.deepEqual(Object.keys(claims), ["wip-2"]);
+  assert.equal(claims["wip-2"].agent, "claude");
+});
+
+test("notes and handoffs capture git state, and the capture is skipped outside a repository", async (t) => {
+  const repo = await createGitRepo(t);
+  await fs.writeFile(path.join(repo.dir, "notes.txt"), "untracked\n", "utf8");
+  // A stale stat makes a plain `git status` rewrite .git/index; the capture must leave it alone.
+  const later = new Date(Date.now() + 60_000);
+  await fs.utimes(path.join(repo.dir, "README.md"), later, later);
+  const indexBefore = (await fs.stat(path.join(repo.dir, ".git", "index"))).mtimeMs;
+  const { client } = await startClient(t, {}, { cwd: repo.dir });
+
+  await client.callTool("append_shared_note", { agent: "claude", session_id: "git-state", text: "inside the repo" });
+  assert.equal((await fs.stat(path.join(repo.dir, ".git", "index"))).mtimeMs, indexBefore);
+  const read = parseToolJson(await client.callTool("read_shared_context", { session_id: "git-state", format: "json" }));
+  const { git } = read.entries[0];
+  assert.equal(git.head, repo.head);
+  assert.equal(git.changed_file_count, 1);
+  assert.deepEqual(git.changed_files, ["notes.txt"]);
+  const text = (await client.callTool("read_shared_context", { session_id: "git-state" })).content[0].text;
+  assert.match(text, new RegExp(`git: .*@${git.head.slice(0, 12)}`));
+
+  const noRepo = await startClient(t, { GIT_DIR: path.join(os.tmpdir(), `contextflowmcp-missing-${process.pid}.git`) });
+  await noRepo.client.callTool("write_shared_handoff", { agent: "codex", session_id: "no-git", summary: "outside" });
+  const handoff = parseToolJson(await noRepo.client.callTool("get_latest_handoff", { session_id: "no-git", format: "json" }));
+  assert.equal(handoff.handoff.git, undefined);
+});
+
+test("changes_since_handoff lists commits and diff stats since the handoff's recorded commit", async (t) => {
+  const repo = await createGitRepo(t);
+  const { client, contextFile, activeSessionFile } = await startClient(t, {}, { cwd: repo.dir });
+
+  await client.callTool("write_shared_handoff", { agent: "claude", session_id: "since", summary: "Stopping here." });
+  const headSha = repo.head;
+  const parentSha = repo.parent;
+  const info = JSON.parse((await client.request("resources/read", { uri: "shared-context://info" })).contents[0].text);
+  const [sessionFile] = await fs.readdir(info.sessionDataDir);
+  const sessionPath = path.join(info.sessionDataDir, sessionFile);
+  await fs.writeFile(sessionPath, (await fs.readFile(sessionPath, "utf8")).replace(headSha, parentSha), "utf8");
+
+  const changes = parseToolJson(await client.callTool("changes_since_handoff", { session_id: "since", format: "json" }));
+  assert.equal(changes.base_commit, parentSha);
+  assert.equal(changes.head, headSha);
+  assert.deepEqual(changes.commits.map((commit) => commit.sha), [headSha]);
+  assert.equal(changes.commits[0].subject, "Add app");
+  assert.deepEqual(changes.files, [
+    { path: "README.md", added: 2, deleted: 0, binary: false },
+    { path: "src/app.js", added: 1, deleted: 0, binary: false },
+  ]);
+  assert.deepEqual(changes.untracked, []);
+  assert.deepEqual(changes.incomplete, []);
+  assert.deepEqual(changes.totals, { files: 2, added: 3, deleted: 0 });
+
+  const text = (await client.callTool("changes_since_handoff", { session_id: "since" })).content[0].text;
+  assert.match(text, new RegExp(`commits \\(1\\):\\n- ${headSha.slice(0, 12)} `));
+
+  // A git whose untracked listing fails still yields the commits and diff, with the missing part reported.
+  const binDir = await fs.mkdtemp(path.join(os.tmpdir(), "contextflowmcp-bin-"));
+  t.after(() => fs.rm(binDir, { recursive: true, force: true }));
+  await fs.writeFile(
+    path.join(binDir, "git"),
+    "#!/bin/sh\nif [ \"$1\" = ls-files ]; then exit 128; fi\nPATH=\"$REAL_PATH\" exec git \"$@\"\n",
+    { mode: 0o755 },
+  );
+  const { client: partial } = await startClient(
+    t,
+    {
+      MCP_SHARED_CONTEXT_FILE: contextFile,
+      MCP_SHARED_CONTEXT_ACTIVE_SESSION_FILE: activeSessionFile,
+      PATH: `${binDir}${path.delimiter}${process.env.PATH}`,
+      REAL_PATH: process.env.PATH,
+    },
+    { cwd: repo.dir },
+  );
+  const degraded = parseToolJson(await partial.callTool("changes_since_handoff", { session_id: "since", format: "json" }));
+  assert.deepEqual(degraded.commits.map((commit) => commit.sha), [headSha]);
+  assert.equal(degraded.files.length, 2);
+  assert.deepEqual(degraded.incomplete, ["untracked"]);
+  const degradedText = (await partial.callTool("changes_since_handoff", { session_id: "since" })).content[0].text;
+  assert.match(degradedText, /incomplete: git failed or timed out listing untracked/);
+
+  await client.callTool("write_shared_handoff", { agent: "claude", session_id: "since-none", summary: "x" });
+  await fs.writeFile(
+    path.join(info.sessionDataDir, (await fs.readdir(info.sessionDataDir)).find((name) => name !== sessionFile)),
+    `${JSON.stringify({ id: "h1", ts: new Date().toISOString(), kind: "handoff", project: "tool-tests", agent: "claude", session_id: "since-none", summary: "x", git: { head: "0".repeat(40) } })}\n`,
+    "utf8",
+  );
+  const unknown = await client.callTool("changes_since_handoff", { session_id: "since-none" });
+  assert.equal(unknown.isError, true);
+  assert.match(unknown.content[0].text, /not in this repository/);
+
+  const outputPath = path.join(info.sessionDataDir, "injected.txt");
+  await fs.writeFile(
+    path.join(info.sessionDataDir, (await fs.readdir(info.sessionDataDir)).find((name) => name !== sessionFile)),
+    `${JSON.stringify({ id: "h2", ts: new Date().toISOString(), kind: "handoff", project: "tool-tests", agent: "claude", session_id: "since-none", summary: "x", git: { head: `--output=${outputPath}` } })}\n`,
+    "utf8",
+  );
+  const injected = await client.callTool("changes_since_handoff", { session_id: "since-none" });
+  assert.equal(injected.isError, true);
+  assert.match(injected.content[0].text, /which is not a commit id/);
+  await assert.rejects(fs.stat(outputPath), { code: "ENOENT" });
+});
+
+test("compact_session rolls older entries into a digest and archives the original lines", async (t) => {
+  const { client } = await startClient(t);
+
+  await client.callTool("write_shared_handoff", {
+    agent: "claude",
+    session_id: "long",
+    summary: "First pass done.",
+    open_questions: ["Support IE11?"],
+    files: ["src/a.js"],
+  });
+  await client.callTool("record_decision", { agent: "claude", session_id: "long", decision: "Use fetch.", files: ["src/b.js"] });
+  for (let i = 0; i < 4; i += 1) {
+    const text = i === 3 ? `progress ${i} ${"x".repeat(600)}` : `progress ${i}`;
+    await client.callTool("append_shared_note", { agent: "codex", session_id: "long", text, tags: ["wip"] });
+  }
+  await client.callTool("write_shared_handoff", {
+    agent: "codex",
+    session_id: "long",
+    summary: "Mid pass done.",
+    open_questions: ["Drop jQuery?"],
+  });
+  await client.callTool("write_shared_handoff", { agent: "codex", session_id: "long", summary: "Second pass done." });
+  await client.callTool("append_shared_note", { agent: "claude", session_id: "long", text: "after handoff" });
+
+  const before = parseToolJson(await client.callTool("list_sessions", { format: "json" })).sessions[0];
+  const compactResult = await client.callTool("compact_session", { agent: "gemini", session_id: "long", keep_recent: 1 });
+  assert.match(compactResult.content[0].text, /Compacted 7 entries of session long into digest digest-/);
+
+  const read = parseToolJson(await client.callTool("read_shared_context", { session_id: "long", format: "json" }));
+  assert.deepEqual(read.entries.map((entry) => entry.kind), ["digest", "handoff", "note"]);
+  const [digest] = read.entries;
+  assert.deepEqual(digest.handoffs.map((handoff) => handoff.summary), ["First pass done.", "Mid pass done."]);
+  assert.deepEqual(digest.decisions.map((decision) => decision.decision), ["Use fetch."]);
+  // The mid-pass handoff restated the open questions without IE11, so only its question survives.
+  assert.deepEqual(digest.open_questions.map((question) => question.text), ["Drop jQuery?"]);
+  assert.deepEqual(digest.notes.slice(0, 3).map((note) => note.text), ["progress 0", "progress 1", "progress 2"]);
+  assert.equal(digest.notes[3].text.length, 500);
+  assert.match(digest.notes[3].text, /^progress 3 x+\.\.\.$/);
+  assert.equal(digest.notes[0].agent, "codex");
+  const digestSearch = parseToolJson(await client.callTool("search_shared_context", { query: "progress 1", format: "json" }));
+  assert.equal(digestSearch.results.some((result) => result.entry_id === digest.id), true);
+  assert.deepEqual(digest.files, ["src/a.js", "src/b.js"]);
+  assert.deepEqual(digest.tag_counts, { wip: 4 });
+
+  const after = parseToolJson(await client.callTool("list_sessions", { format: "json" })).sessions[0];
+  assert.equal(after.entry_count, 3);
+  assert.equal(after.handoff_count, before.handoff_count);
+  assert.equal(after.note_count, before.note_count);
+  assert.equal(after.decision_count, 1);
+  assert.equal(after.latest_handoff_summary, "Second pass done.");
+  assert.deepEqual(after.tag_counts, before.tag_counts);
+
+  const info = JSON.parse((await client.request("resources/read", { uri: "shared-context://info" })).contents[0].text);
+  const [archiveName] = await fs.readdir(info.compactedDir);
+  const archived = (await fs.readFile(path.join(info.compactedDir, archiveName), "utf8")).trim().split("\n");
+  assert.equal(archived.length, 7);
+
+  const again = await client.callTool("compact_session", { agent: "gemini", session_id: "long", keep_recent: 1 });
+  assert.match(again.content[0].text, /Nothing to compact/);
+});
+
+test("retention retires stale sessions at startup and restore_session restores them", async (t) => {
+  const { client, contextFile, activeSessionFile } = await startClient(t);
+
+  await client.callTool("append_shared_note", { agent: "claude", session_id: "stale", text: "old work" });
+  await client.callTool("append_shared_note", { agent: "claude", session_id: "fresh", text: "new work" });
+  const info = JSON.parse((await client.request("resources/read", { uri: "shared-context://info" })).contents[0].text);
+  await client.close();
+  const stalePath = path.join(info.sessionDataDir, `${Buffer.from("stale").toString("base64url")}.jsonl`);
+  const staleRaw = await fs.readFile(stalePath, "utf8");
+  await fs.writeFile(stalePath, staleRaw.replace(/"ts":"[^"]+"/, "\"ts\":\"2020-01-01T00:00:00.000Z\""), "utf8");
+  await fs.rm(info.sessionIndexFile);
+
+  const { client: retained } = await startClient(t, {
+    MCP_SHARED_CONTEXT_FILE: contextFile,
+    MCP_SHARED_CONTEXT_ACTIVE_SESSION_FILE: activeSessionFile,
+    MCP_SHARED_CONTEXT_RETENTION_DAYS: "30",
+  });
+  const listed = parseToolJson(await retained.callTool("list_sessions", { format: "json" }));
+  assert.deepEqual(listed.sessions.map((session) => session.session_id), ["fresh"]);
+  await assert.rejects(fs.stat(stalePath), { code: "ENOENT" });
+  const retiredFiles = await fs.readdir(info.retiredDir);
+  assert.deepEqual(retiredFiles, [`${Buffer.from("stale").toString("base64url")}.jsonl.gz`]);
+
+  const restored = await retained.callTool("restore_session", { agent: "codex", session_id: "stale" });
+  assert.match(restored.content[0].text, /Restored session stale \(status=open\)/);
+  const read = parseToolJson(await retained.callTool("read_shared_context", { session_id: "stale", format: "json" }));
+  assert.deepEqual(read.entries.map((entry) => entry.text || entry.reason), ["old work", "restored"]);
+  assert.deepEqual(await fs.readdir(info.retiredDir), []);
+
+  const missing = await retained.callTool("restore_session", { agent: "codex", session_id: "never-retired" });
+  assert.equal(missing.isError, true);
+  assert.match(missing.content[0].text, /No retired session: never-retired/);
+});
+
+test("export_session renders Markdown and escaped HTML, also from the CLI", async (t) => {
+  const { client, contextFile, activeSessionFile } = await startClient(t);
+
+  await client.callTool("write_shared_handoff", {
+    agent: "claude",
+    session_id: "exported",
+    summary: "Login fixed <script>alert(1)</script>",
+    next_steps: ["Add test", "Update docs"],
+    task: "Login bug",
+  });
+  const handoff = parseToolJson(await client.callTool("get_latest_handoff", { session_id: "exported", format: "json" }));
+  await client.callTool("complete_step", { agent: "codex", session_id: "exported", step_id: handoff.checklist[0].id });
+
+  const markdown = (await client.callTool("export_session", { session_id: "exported" })).content[0].text;
+  assert.match(markdown, /^# Session exported\n/);
+  assert.match(markdown, /- \*\*task:\*\* Login bug/);
+  assert.match(markdown, /- \[x\] Add test _\(done by codex\)_\n- \[ \] Update docs/);
+  assert.match(markdown, /## Timeline\n\n- \\\[1\\\] .* handoff by claude/);
+  assert.doesNotMatch(markdown, /<script>/);
+  assert.equal((await client.callTool("export_session", { session_id: "exported" })).content[0].text, markdown);
+
+  const html = (await client.callTool("export_session", { session_id: "exported", format: "html" })).content[0].text;
+  assert.match(html, /^<!doctype html>/);
+  assert.match(html, /Login fixed &lt;script&gt;alert\(1\)&lt;\/script&gt;/);
+  assert.doesNotMatch(html, /<script>/);
+
+  const cli = execFileSync(process.execPath, ["server.mjs", "export", "exported", "--format", "html"], {
+    encoding: "utf8",
+    env: {
+      ...process.env,
+      MCP_SHARED_CONTEXT_FILE: contextFile,
+      MCP_SHARED_CONTEXT_ACTIVE_SESSION_FILE: activeSessionFile,
+      MCP_SHARED_CONTEXT_PROJECT: "tool-tests",
+    },
+  });
+  assert.match(cli, /<h1>Session exported<\/h1>/);
+});
+
+test("export_session Markdown escapes stored text and imports back as the same handoff", async (t) => {
+  const { client } = await startClient(t);
+
+  const summary = "Split the parser\n## Summary\n- [ ] not a step, see [docs](http://x) *now*\n1. not a list either\n> <b>quoted</b> & done";
+  await client.callTool("write_shared_handoff", {
+    agent: "claude",
+    session_id: "round-trip",
+    summary,
+    next_steps: ["Rename `parse_v2`", "Drop [legacy] #flags"],
+    open_questions: ["Keep *both* parsers?"],
+    files: ["src/parse_v2.js"],
+    task: "Parser | cleanup",
+  });
+  const original = parseToolJson(await client.callTool("get_latest_handoff", { session_id: "round-trip", format: "json" }));
+  await client.callTool("complete_step", { agent: "codex", session_id: "round-trip", step_id: original.checklist[0].id });
+
+  const markdown = (await client.callTool("export_session", { session_id: "round-trip" })).content[0].text;
+  assert.match(markdown, /^\\#\\# Summary$/m);
+  assert.match(markdown, /\\\[docs\\\]\\\(http:\/\/x\\\)/);
+  assert.doesNotMatch(markdown, /<b>/);
+
+  const imported = await client.callTool("import_session", { agent: "human", session_id: "round-trip-copy", content: markdown });
+  assert.match(imported.content[0].text, /Imported 2 markdown entries into round-trip-copy/);
+  const copy = parseToolJson(await client.callTool("get_latest_handoff", { session_id: "round-trip-copy", format: "json" }));
+  assert.equal(copy.handoff.task, "Parser | cleanup");
+  assert.equal(copy.handoff.summary, summary);
+  assert.deepEqual(copy.handoff.next_steps, original.handoff.next_steps);
+  assert.deepEqual(copy.checklist.map((step) => step.done), [true, false]);
+  assert.deepEqual(copy.handoff.open_questions.map((question) => question.text), ["Keep *both* parsers?"]);
+  assert.deepEqual(copy.handoff.files, ["src/parse_v2.js"]);
+});
+
+test("import_session turns Markdown handoffs into entries and de-duplicates NDJSON by id", async (t) => {
+  const { client, contextFile, activeSessionFile, tempDir } = await startClient(t);
+
+  const markdown = [
+    "# Payment retries",
+    "",
+    "## Summary",
+    "Retries work for card payments.",
+    "",
+    "## Next steps",
+    "- [x] Add backoff _(done by codex)_",
+    "- [ ] Cover SEPA",
+    "1. Update runbook",
+    "",
+    "## Open questions",
+    "* Cap retries at 5?",
+    "- [x] Retry on 409? — no",
+    "",
+    "## Files",
+    "- `src/payments/retry.js`",
+  ].join("\n");
+  const mdResult = await client.callTool("import_session", { agent: "human", session_id: "imported", content: markdown });
+  assert.match(mdResult.content[0].text, /Imported 2 markdown entries into imported/);
+  assert.match(mdResult.content[0].text, /Skipped 1 checked open question/);
+  const latest = parseToolJson(await client.callTool("get_latest_handoff", { session_id: "imported", format: "json" }));
+  const { handoff } = latest;
+  assert.equal(handoff.summary, "Retries work for card payments.");
+  assert.equal(handoff.task, "Payment retries");
+  assert.deepEqual(handoff.next_steps, ["Add backoff", "Cover SEPA", "Update runbook"]);
+  assert.deepEqual(latest.checklist.map((step) => step.done), [true, false, false]);
+  assert.deepEqual(handoff.open_questions.map((question) => question.text), ["Cap retries at 5?"]);
+  assert.deepEqual(handoff.files, ["src/payments/retry.js"]);
+
+  const ndjsonPath = path.join(tempDir, "other-root.jsonl");
+  const foreign = ["one", "two"].map((text, i) => ({
+    id: `foreign-${i + 1}`,
+    ts: `2025-01-0${i + 1}T00:00:00.000Z`,
+    kind: "note",
+    project: "tool-tests",
+    agent: "codex",
+    session_id: "from-elsewhere",
+    text,
+  }));
+  await fs.writeFile(ndjsonPath, `${foreign.map((entry) => JSON.stringify(entry)).join("\n")}\n`, "utf8");
+  await assert.rejects(
+    client.callTool("import_session", { agent: "human", path: ndjsonPath }),
+    /Missing required string: content/,
+  );
+  const first = await client.callTool("import_session", { agent: "human", content: await fs.readFile(ndjsonPath, "utf8") });
+  assert.match(first.content[0].text, /Imported 2 ndjson entries into from-elsewhere/);
+  const cli = execFileSync(process.execPath, ["server.mjs", "import", ndjsonPath], {
+    encoding: "utf8",
+    env: {
+      ...process.env,
+      MCP_SHARED_CONTEXT_FILE: contextFile,
+      MCP_SHARED_CONTEXT_ACTIVE_SESSION_FILE: activeSessionFile,
+      MCP_SHARED_CONTEXT_PROJECT: "tool-tests",
+    },
+  });
+  assert.match(cli, /Imported 0 ndjson entries\nSkipped 2 entries already present/);
+
+  const read = parseToolJson(await client.callTool("read_shared_context", { session_id: "from-elsewhere", format: "json" }));
+  assert.deepEqual(read.entries.map((entry) => entry.id), ["foreign-1", "foreign-2"]);
+
+  // Two processes importing the same batch at once: the id check runs under the write lock, so only one writes it.
+  const other = createMcpLineClient({
+    cwd: process.cwd(),
+    env: {
+      MCP_SHARED_CONTEXT_FILE: contextFile,
+      MCP_SHARED_CONTEXT_ACTIVE_SESSION_FILE: activeSessionFile,
+      MCP_SHARED_CONTEXT_PROJECT: "tool-tests",
+    },
+  });
+  t.after(() => other.close());
+  await other.initialize();
+  const racing = ["three", "four", "five"]
+    .map((text, i) => JSON.stringify({ id: `race-${i}`, kind: "note", agent: "codex", session_id: "raced", text }))
+    .join("\n");
+  await Promise.all(
+    [client, other].map((peer) => peer.callTool("import_session", { agent: "human", format: "ndjson", content: racing })),
+  );
+  const raced = parseToolJson(await client.callTool("read_shared_context", { session_id: "raced", format: "json" }));
+  assert.deepEqual(raced.entries.map((entry) => entry.id), ["race-0", "race-1", "race-2"]);
+});
+
+test("import_session validates every NDJSON line and writes nothing when one is invalid", async (t) => {
+  const { client } = await startClient(t, {
+    MCP_SHARED_CONTEXT_MAX_NOTE_TEXT_CHARS: "50",
+    MCP_SHARED_CONTEXT_MAX_CONTEXT_FILE_BYTES: "4096",
+  });
+  const valid = { id: "ok-1", kind: "note", agent: "codex", session_id: "batch", text: "fine" };
+  const invalid = [
+    { id: "bad-kind", kind: "gossip", agent: "codex", session_id: "batch", text: "x" },
+    { id: "too-long", kind: "note", agent: "codex", session_id: "batch", text: "x".repeat(51) },
+    { id: "bad-handoff", kind: "handoff", agent: "codex", session_id: "batch", next_steps: ["no summary"] },
+    { id: "bad-session", kind: "note", agent: "codex", session_id: 42, text: "x" },
+    { id: "bad-git", kind: "note", agent: "codex", session_id: "batch", text: "x", git: { head: "--output=/tmp/x" } },
+    { id: "bad-tags", kind: "digest", agent: "codex", session_id: "batch", compacted: {}, tag_counts: { bug: { nested: 1 } } },
+    { id: "bad-archive", kind: "digest", agent: "codex", session_id: "batch", compacted: { archive_file: "../escape.jsonl" } },
+    {
+      id: "bad-handoffs",
+      kind: "digest",
+      agent: "codex",
+      session_id: "batch",
+      compacted: {},
+      handoffs: [{ id: "h", summary: 42 }],
+    },
+    { id: "bad-notes", kind: "digest", agent: "codex", session_id: "batch", compacted: {}, notes: [{ id: "n", text: ["x"] }] },
+  ];
+  for (const line of invalid) {
+    const content = `${JSON.stringify(valid)}\n${JSON.stringify(line)}\n`;
+    await assert.rejects(
+      client.callTool("import_session", { agent: "human", format: "ndjson", content }),
+      /Import rejected \(nothing written\): entry 2:/,
+    );
+  }
+  await assert.rejects(
+    client.callTool("import_session", { agent: "human", format: "ndjson", content: `${JSON.stringify(valid)}\n{not json\n` }),
+    /Import rejected \(nothing written\): line 2 is not a JSON object/,
+  );
+  await assert.rejects(
+    client.callTool("import_session", { agent: "human", format: "ndjson", content: `${JSON.stringify(valid)}\n`.repeat(100) }),
+    /Import content exceeds configured max size \(4096 bytes\)/,
+  );
+  const sessions = parseToolJson(await client.callTool("list_sessions", { format: "json" }));
+  assert.equal(sessions.sessions.some((session) => session.session_id === "batch"), false);
+
+  const extra = { ...valid, id: "ok-2", unexpected: "dropped", tags: ["import"] };
+  const imported = await client.callTool("import_session", {
+    agent: "human",
+    format: "ndjson",
+    content: [valid, extra].map((entry) => JSON.stringify(entry)).join("\n"),
+  });
+  assert.match(imported.content[0].text, /Imported 2 ndjson entries into batch/);
+  const read = parseToolJson(await client.callTool("read_shared_context", { session_id: "batch", format: "json" }));
+  assert.deepEqual(read.entries.map((entry) => entry.id), ["ok-1", "ok-2"]);
+  assert.equal(read.entries[1].unexpected, undefined);
+  const search = parseToolJson(await client.callTool("search_shared_context", { query: "fine", format: "json" }));
+  assert.equal(search.count, 2);
+
+  const digest = {
+    id: "digest-1",
+    kind: "digest",
+    agent: "codex",
+    session_id: "digested",
+    compacted: { entry_count: 3, kinds: { note: 3 }, agents: ["codex"], archive_file: "x.jsonl", payload: { deep: true } },
+    handoffs: [{ id: "h1", agent: "codex", summary: "Old plan", extra: { deep: true } }],
+    notes: [{ id: "n1", ts: "2024-01-01T00:00:00.000Z", agent: "codex", text: "Tried the cache.", extra: true }],
+    tag_counts: { bug: 2 },
+  };
+  await client.callTool("import_session", { agent: "human", format: "ndjson", content: JSON.stringify(digest) });
+  const stored = parseToolJson(await client.callTool("read_shared_context", { session_id: "digested", format: "json" })).entries[0];
+  assert.deepEqual(stored.compacted, { entry_count: 3, kinds: { note: 3 }, agents: ["codex"], archive_file: "x.jsonl" });
+  assert.deepEqual(stored.handoffs, [{ id: "h1", agent: "codex", summary: "Old plan" }]);
+  assert.deepEqual(stored.notes, [{ id: "n1", ts: "2024-01-01T00:00:00.000Z", agent: "codex", text: "Tried the cache." }]);
+});
+
+test("resource templates expose a session, its latest handoff and a project's sessions", async (t) => {
+  const { client } = await startClient(t);
+
+  await client.callTool("write_shared_handoff", {
+    agent: "claude",
+    session_id: "feature/templated",
+    summary: "Templates wired.",
+    next_steps: ["Document URIs"],
+  });
+  await client.callTool("append_shared_note", { agent: "codex", session_id: "feature/templated", text: "read it" });
+
+  const templates = await client.request("resources/templates/list");
+  assert.deepEqual(templates.resourceTemplates.map((template) => template.uriTemplate), [
+    "shared-context://session/{session_id}",
+    "shared-context://session/{session_id}/handoff",
+    "shared-context://project/{project}/sessions",
+    "shared-context://artifact/{hash}",
+  ]);
+
+  const encoded = encodeURIComponent("feature/templated");
+  const session = await client.request("resources/read", { uri: `shared-context://session/${encoded}` });
+  assert.match(session.contents[0].text, /^Resume session feature\/templated from /);
+  assert.match(session.contents[0].text, /recent_entries:[\s\S]*read it/);
+
+  const handoff = await client.request("resources/read", { uri: `shared-context://session/${encoded}/handoff` });
+  assert.match(handoff.contents[0].text, /summary: Templates wired\.\nnext_steps:\n {2}\[ \] .* Document URIs/);
+
+  const sessions = await client.request("resources/read", { uri: "shared-context://project/tool-tests/sessions" });
+  assert.match(sessions.contents[0].text, /\[1\] session=feature\/templated/);
+
+  const missing = await client.requestRaw("resources/read", { uri: "shared-context://session/nope" });
+  assert.match(missing.error.message, /Session not found: nope/);
+});
+
+test("resources/subscribe notifies when another process appends to a watched session", async (t) => {
+  const { client, contextFile, activeSessionFile } = await startClient(t, { MCP_SHARED_CONTEXT_WATCH_POLL_MS: "200" });
+  const initialized = await client.initialize();
+  assert.equal(initialized.capabilities.resources.subscribe, true);
+
+  await client.callTool("append_shared_note", { agent: "claude", session_id: "watched", text: "Start." });
+  const uri = "shared-context://session/watched";
+  assert.deepEqual(await client.request("resources/subscribe", { uri }), {});
+
+  const other = createMcpLineClient({
+    cwd: process.cwd(),
+    env: {
+      MCP_SHARED_CONTEXT_FILE: contextFile,
+      MCP_SHARED_CONTEXT_ACTIVE_SESSION_FILE: `${activeSessionFile}.other`,
+      MCP_SHARED_CONTEXT_PROJECT: "tool-tests",
+    },
+  });
+  t.after(() => other.close());
+  await other.initialize();
+
+  const updated = client.waitForMessage(
+    (message) => message.method === "notifications/resources/updated" && message.params?.uri === uri,
+    5000,
+  );
+  await other.callTool("append_shared_note", { agent: "codex", session_id: "watched", text: "From elsewhere." });
+  await updated;
+
+  assert.deepEqual(await client.request("resources/unsubscribe", { uri }), {});
+  const unknown = await client.requestRaw("resources/subscribe", { uri: "shared-context://bogus" });
+  assert.match(unknown.error.message, /Unknown resource URI/);
+});
+
+test("the storage watch also follows the sessions index beside the sessions directory", async (t) => {
+  // Polling is effectively off, so only the directory watch can deliver the update.
+  const { client, contextFile } = await startClient(t, { MCP_SHARED_CONTEXT_WATCH_POLL_MS: "600000" });
+  await client.callTool("append_shared_note", { agent: "claude", session_id: "indexed", text: "Start." });
+  const uri = "shared-context://info";
+  assert.deepEqual(await client.request("resources/subscribe", { uri }), {});
+
+  const updated = client.waitForMessage(
+    (message) => message.method === "notifications/resources/updated" && message.params?.uri === uri,
+    5000,
+  );
+  // Let the check scheduled by the append settle first, so it cannot be what reports the change.
+  await new Promise((resolve) => setTimeout(resolve, 300));
+  const later = new Date(Date.now() + 60_000);
+  await fs.utimes(`${contextFile}.sessions-index.json`, later, later);
+  await updated;
+});
+
+test("prompts/list_changed fires when the resume_# session order changes", async (t) => {
+  const { client, contextFile, activeSessionFile } = await startClient(t, { MCP_SHARED_CONTEXT_WATCH_POLL_MS: "200" });
+  const initialized = await client.initialize();
+  assert.equal(initialized.capabilities.prompts.listChanged, true);
+
+  await client.callTool("append_shared_note", { agent: "claude", session_id: "older", text: "First." });
+  await client.callTool("append_shared_note", { agent: "claude", session_id: "newer", text: "Second." });
+  const listed = await client.request("prompts/list");
+  assert.match(listed.prompts.find((prompt) => prompt.name === "resume_1").description, /^newer /);
+
+  const reordered = client.waitForMessage((message) => message.method === "notifications/prompts/list_changed");
+  await client.callTool("append_shared_note", { agent: "claude", session_id: "older", text: "Back to this one." });
+  const firstChange = await reordered;
+  await client.request("prompts/list");
+
+  const other = createMcpLineClient({
+    cwd: process.cwd(),
+    env: {
+      MCP_SHARED_CONTEXT_FILE: contextFile,
+      MCP_SHARED_CONTEXT_ACTIVE_SESSION_FILE: `${activeSessionFile}.other`,
+      MCP_SHARED_CONTEXT_PROJECT: "tool-tests",
+    },
+  });
+  t.after(() => other.close());
+  await other.initialize();
+
+  const added = client.waitForMessage(
+    (message) => message.method === "notifications/prompts/list_changed" && message !== firstChange,
+    5000,
+  );
+  await other.callTool("append_shared_note", { agent: "codex", session_id: "elsewhere", text: "New session." });
+  await added;
+  const relisted = await client.request("prompts/list");
+  assert.match(relisted.prompts.find((prompt) => prompt.name === "resume_1").description, /^elsewhere /);
+});
+
+test("resume_# prompts resolve against the list the client saw", async (t) => {
+  const { client } = await startClient(t);
+
+  await client.callTool("append_shared_note", { agent: "claude", session_id: "picked", text: "Listed first." });
+  await client.request("prompts/list");
+  await client.callTool("append_shared_note", { agent: "codex", session_id: "interloper", text: "Arrived later." });
+
+  const resumed = await client.request("prompts/get", { name: "resume_1" });
+  assert.match(resumed.messages[0].content[0].text, /^Active session selected: picked$/m);
+
+  await client.callTool("rename_session", { agent: "claude", session_id: "picked", new_session_id: "picked-renamed" });
+  const stale = await client.requestRaw("prompts/get", { name: "resume_1" });
+  assert.match(stale.error.message, /resume_1 pointed at session picked, which no longer exists/);
+
+  await client.request("prompts/list");
+  const relisted = await client.request("prompts/get", { name: "resume_2" });
+  assert.match(relisted.messages[0].content[0].text, /^Active session selected: picked-renamed$/m);
+});
+
+test("cursors page back through entries, sessions, tools and prompts", async (t) => {
+  const { client } = await startClient(t, { MCP_SHARED_CONTEXT_LIST_PAGE_SIZE: "10" });
+
+  for (let i = 1; i <= 5; i += 1) {
+    await client.callTool("append_shared_note", { agent: "claude", session_id: `paged-${i}`, text: `Note ${i}.` });
+  }
+
+  const first = parseToolJson(await client.callTool("read_shared_context", { limit: 2, format: "json" }));
+  assert.deepEqual(first.entries.map((entry) => entry.text), ["Note 4.", "Note 5."]);
+  assert.ok(first.next_cursor);
+
+  await client.callTool("append_shared_note", { agent: "claude", session_id: "paged-1", text: "Appended meanwhile." });
+  const second = parseToolJson(
+    await client.callTool("read_shared_context", { limit: 2, cursor: first.next_cursor, format: "json" }),
+  );
+  assert.deepEqual(second.entries.map((entry) => entry.text), ["Note 2.", "Note 3."]);
+  const third = parseToolJson(
+    await client.callTool("read_shared_context", { limit: 2, cursor: second.next_cursor, format: "json" }),
+  );
+  assert.deepEqual(third.entries.map((entry) => entry.text), ["Note 1."]);
+  assert.equal(third.next_cursor, null);
+
+  const sessionsPage = parseToolJson(await client.callTool("list_sessions", { limit: 2, format: "json" }));
+  assert.deepEqual(sessionsPage.sessions.map((summary) => summary.session_id), ["paged-1", "paged-5"]);
+  const sessionsNext = parseToolJson(
+    await client.callTool("list_sessions", { limit: 2, cursor: sessionsPage.next_cursor, format: "json" }),
+  );
+  assert.deepEqual(sessionsNext.sessions.map((summary) => summary.session_id), ["paged-4", "paged-3"]);
+
+  const wrongKind = await client.callToolRaw("read_shared_context", { cursor: sessionsPage.next_cursor });
+  assert.match(JSON.stringify(wrongKind), /Invalid cursor/);
+
+  const toolNames = [];
+  let cursor;
+  do {
+    const page = await client.request("tools/list", cursor ? { cursor } : {});
+    assert.ok(page.tools.length <= 10);
+    toolNames.push(...page.tools.map((tool) => tool.name));
+    assert.ok(page.tools.every((tool) => !Object.hasOwn(tool, "mutates")));
+    cursor = page.nextCursor;
+  } while (cursor);
+  assert.ok(toolNames.includes("read_shared_context") && toolNames.includes("release_session"));
+  assert.equal(new Set(toolNames).size, toolNames.length);
+
+  const prompts = await client.request("prompts/list");
+  assert.equal(prompts.nextCursor, undefined);
+  const badCursor = await client.requestRaw("tools/list", { cursor: "not-a-cursor" });
+  assert.equal(badCursor.error.code, -32602);
+});
+
+async function startHttpServer(t, tempDir) {
+  const child = spawn(process.execPath, ["server.mjs", "--http", "--port", "0"], {
+    cwd: process.cwd(),
+    env: {
+      ...process.env,
+      MCP_SHARED_CONTEXT_FILE: path.join(tempDir, "shared-context.jsonl"),
+      MCP_SHARED_CONTEXT_ACTIVE_SESSION_FILE: path.join(tempDir, "active-session.txt"),
+      MCP_SHARED_CONTEXT_PROJECT: "tool-tests",
+    },
+    stdio: ["ignore", "ignore", "pipe"],
+  });
+  t.after(() => child.kill());
+  child.stderr.setEncoding("utf8");
+  let stderr = "";
+  return await new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error(`HTTP server did not start: ${stderr}`)), 5000);
+    child.stderr.on("data", (chunk) => {
+      stderr += chunk;
+      const match = stderr.match(/listening on (http:\/\/\S+)/);
+      if (match) {
+        clearTimeout(timer);
+        resolve(match[1]);
+      }
+    });
+  });
+}
+
+test("HTTP transport serves concurrent sessions and streams notifications over SSE", async (t) => {
+  const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), "contextflowmcp-http-"));
+  t.after(() => fs.rm(tempDir, { recursive: true, force: true }));
+  const url = await startHttpServer(t, tempDir);
+  assert.match(url, /^http:\/\/127\.0\.0\.1:\d+\/mcp$/);
+
+  let nextId = 1;
+  async function post(body, sessionId) {
+    const res = await fetch(url, {
+      method: "POST",
+      headers: { "Content-Type": "application/json", ...(sessionId ? { "Mcp-Session-Id": sessionId } : {}) },
+      body: JSON.stringify({ jsonrpc: "2.0", ...body }),
+    });
+    return { res, json: res.status === 200 ? await res.json() : null };
+  }
+  async function openSession() {
+    const { res, json } = await post({ id: nextId++, method: "initialize", params: { protocolVersion: "2025-06-18" } });
+    assert.equal(json.result.serverInfo.name, "ContextFlowMCP");
+    return res.headers.get("mcp-session-id");
+  }
+
+  const watcher = await openSession();
+  const writer = await openSession();
+  assert.notEqual(watcher, writer);
+  assert.equal((await post({ method: "notifications/initialized" }, watcher)).res.status, 202);
+  assert.equal((await post({ id: nextId++, method: "ping" })).res.status, 400);
+
+  async function appendNote(sessionId, agent, text) {
+    const params = { name: "append_shared_note", arguments: { agent, session_id: "over-http", text } };
+    return post({ id: nextId++, method: "tools/call", params }, sessionId);
+  }
+
+  await appendNote(writer, "claude", "Hi.");
+  const uri = "shared-context://session/over-http";
+  const subscribed = await post({ id: nextId++, method: "resources/subscribe", params: { uri } }, watcher);
+  assert.deepEqual(subscribed.json.result, {});
+
+  const controller = new AbortController();
+  t.after(() => controller.abort());
+  const stream = await fetch(url, {
+    headers: { Accept: "text/event-stream", "Mcp-Session-Id": watcher },
+    signal: controller.signal,
+  });
+  assert.equal(stream.headers.get("content-type"), "text/event-stream");
+  const reader = stream.body.pipeThrough(new TextDecoderStream()).getReader();
+  await reader.read();
+
+  await appendNote(writer, "codex", "From the other session.");
+  let events = "";
+  while (!events.includes("notifications/resources/updated")) {
+    const { value, done } = await reader.read();
+    assert.ok(!done, "SSE stream closed before the notification arrived");
+    events += value;
+  }
+  assert.match(events, /event: message\ndata: \{"jsonrpc":"2\.0","method":"notifications\/resources\/updated","params":\{"uri":"shared-context:\/\/session\/over-http"\}\}/);
+
+  const deleted = await fetch(url, { method: "DELETE", headers: { "Mcp-Session-Id": writer } });
+  assert.equal(deleted.status, 204);
+  assert.equal((await post({ id: nextId++, method: "ping" }, writer)).res.status, 404);
+  const foreign = await fetch(url, { method: "POST", headers: { Origin: "http://evil.example" }, body: "{}" });
+  assert.equal(foreign.status, 403);
+  // fetch cannot override Host, so a rebinding request is sent with node:http.
+  const rebound = await new Promise((resolve, reject) => {
+    const req = http.request(url, { method: "POST", headers: { Host: "evil.example", "Content-Type": "application/json" } }, resolve);
+    req.on("error", reject);
+    req.end("{}");
+  });
+  rebound.resume();
+  assert.equal(rebound.statusCode, 403);
+
+  const exposed = spawnSync(process.execPath, ["server.mjs", "--http", "--port", "0", "--host", "0.0.0.0"], {
+    encoding: "utf8",
+    env: { ...process.env, MCP_SHARED_CONTEXT_FILE: path.join(tempDir, "shared-context.jsonl") },
+    timeout: 5000,
+  });
+  assert.equal(exposed.status, 1);
+  assert.match(exposed.stderr, /Refusing --host 0\.0\.0\.0/);
+});
+
+test("tools with an outputSchema return structuredContent in both formats", async (t) => {
+  const { client } = await startClient(t);
+  await client.callTool("write_shared_handoff", {
+    agent: "claude",
+    session_id: "typed",
+    summary: "Structured output wired.",
+    next_steps: ["Check clients"],
+  });
+
+  const { tools } = await client.request("tools/list");
+  const schemas = new Map(tools.filter((tool) => tool.outputSchema).map((tool) => [tool.name, tool.outputSchema]));
+  assert.ok(["read_shared_context", "list_sessions", "resume_session", "get_latest_handoff"].every((name) => schemas.has(name)));
+  assert.equal(schemas.has("append_shared_note"), false);
+
+  for (const [name, args] of [
+    ["read_shared_context", { session_id: "typed" }],
+    ["list_sessions", {}],
+    ["resume_session", { session_id: "typed" }],
+  ]) {
+    const textResult = await client.callTool(name, args);
+    assert.doesNotMatch(textResult.content[0].text, /^\{/, `${name} text fallback should stay human-readable`);
+    for (const key of schemas.get(name).required) {
+      assert.ok(Object.hasOwn(textResult.structuredContent, key), `${name} structuredContent is missing ${key}`);
+    }
+    const jsonResult = await client.callTool(name, { ...args, format: "json" });
+    assert.deepEqual(parseToolJson(jsonResult), jsonResult.structuredContent);
+  }
+
+  const resumed = await client.callTool("resume_session", { session_id: "typed" });
+  assert.equal(resumed.structuredContent.latest_handoff.summary, "Structured output wired.");
+  assert.equal(resumed.structuredContent.checklist[0].done, false);
+});
+
+test("logging/setLevel enables notifications/message for index rebuilds and skipped lines", async (t) => {
+  const { client, contextFile } = await startClient(t);
+  const initialized = await client.initialize();
+  assert.deepEqual(initialized.capabilities.logging, {});
+
+  await client.callTool("append_shared_note", { agent: "claude", session_id: "noisy", text: "Fine line." });
+  const sessionFile = path.join(`${contextFile}.sessions`, `${Buffer.from("noisy").toString("base64url")}.jsonl`);
+  await fs.appendFile(sessionFile, "{not json\n", "utf8");
+  await fs.rm(`${contextFile}.sessions-index.json`);
+
+  const invalid = await client.requestRaw("logging/setLevel", { level: "chatty" });
+  assert.equal(invalid.error.code, -32602);
+  assert.deepEqual(await client.request("logging/setLevel", { level: "info" }), {});
+
+  await client.callTool("read_shared_context", { session_id: "noisy" });
+  const rebuilt = await client.waitForMessage(
+    (message) => message.method === "notifications/message" && message.params.logger === "index",
+  );
+  assert.equal(rebuilt.params.level, "info");
+  assert.equal(rebuilt.params.data.skippedLines, 1);
+  const skipped = await client.waitForMessage(
+    (message) => message.method === "notifications/message" && message.params.logger === "parse",
+  );
+  assert.equal(skipped.params.level, "warning");
+  assert.match(skipped.params.data.message, /Skipped \d+ malformed JSONL line/);
+  assert.deepEqual(skipped.params.data.files, [{ file: path.basename(sessionFile), lines: 1 }]);
+  assert.doesNotMatch(JSON.stringify(skipped.params.data), /not json/);
+});
+
+test("cancelled requests stop early and get no response", async (t) => {
+  const { client, contextFile } = await startClient(t);
+  const sessionsDir = `${contextFile}.sessions`;
+  await fs.mkdir(sessionsDir, { recursive: true });
+  for (let i = 0; i < 200; i += 1) {
+    const sessionId = `bulk-${i}`;
+    const entry = {
+      id: sessionId,
+      ts: new Date(Date.UTC(2026, 0, 1, 0, 0, i)).toISOString(),
+      kind: "note",
+      project: "tool-tests",
+      agent: "bulk",
+      session_id: sessionId,
+      text: `Bulk ${i}.`,
+    };
+    const fileName = `${Buffer.from(sessionId).toString("base64url")}.jsonl`;
+    await fs.writeFile(path.join(sessionsDir, fileName), `${JSON.stringify(entry)}\n`);
+  }
+
+  const readCall = { name: "read_shared_context", arguments: { limit: 200 } };
+  client.sendRawLine(JSON.stringify({ jsonrpc: "2.0", id: "slow-read", method: "tools/call", params: readCall }));
+  client.sendRawLine(JSON.stringify({ jsonrpc: "2.0", method: "notifications/cancelled", params: { requestId: "slow-read" } }));
+  client.sendRawLine(JSON.stringify({ jsonrpc: "2.0", id: "queued", method: "tools/call", params: readCall }));
+  client.sendRawLine(JSON.stringify({ jsonrpc: "2.0", method: "$/cancelRequest", params: { id: "queued" } }));
+
+  const pong = await client.request("ping");
+  assert.deepEqual(pong, {});
+  await assert.rejects(
+    client.waitForMessage((message) => message.id === "slow-read" || message.id === "queued", 300),
+    /Timed out/,
+  );
+
+  const afterwards = parseToolJson(await client.callTool("read_shared_context", { limit: 200, format: "json" }));
+  assert.equal(afterwards.count, 200);
+});
+
+test("a cancel that arrives mid-rebuild stops the read without a response or a persisted index", async (t) => {
+  // The preload sends the cancel from inside the server's "Rebuilding" log write, before the first file is read.
+  const cancelHook = fileURLToPath(new URL("../test-utils/cancel-on-rebuild-log.mjs", import.meta.url));
+  const { client, contextFile } = await startClient(
+    t,
+    { CANCEL_ON_REBUILD_REQUEST_ID: "mid-read" },
+    { nodeArgs: ["--import", cancelHook] },
+  );
+  const sessionsDir = `${contextFile}.sessions`;
+  const indexFile = `${contextFile}.sessions-index.json`;
+  await fs.mkdir(sessionsDir, { recursive: true });
+  for (const sessionId of ["rebuild-a", "rebuild-b"]) {
+    const entry = {
+      id: sessionId,
+      ts: "2026-01-01T00:00:00.000Z",
+      kind: "note",
+      project: "tool-tests",
+      agent: "bulk",
+      session_id: sessionId,
+      text: `Note in ${sessionId}.`,
+    };
+    const fileName = `${Buffer.from(sessionId).toString("base64url")}.jsonl`;
+    await fs.writeFile(path.join(sessionsDir, fileName), `${JSON.stringify(entry)}\n`);
+  }
+  await assert.rejects(fs.stat(indexFile), { code: "ENOENT" });
+  assert.deepEqual(await client.request("logging/setLevel", { level: "debug" }), {});
+
+  client.sendRawLine(JSON.stringify({
+    jsonrpc: "2.0",
+    id: "mid-read",
+    method: "tools/call",
+    params: { name: "read_shared_context", arguments: { limit: 200 } },
+  }));
+  const started = await client.waitForMessage(
+    (message) => message.method === "notifications/message" && message.params.logger === "index",
+  );
+  assert.match(started.params.data.message, /^Rebuilding sessions index/);
+
+  // Messages are handled in order, so the ping answers only after the cancelled read has finished.
+  assert.deepEqual(await client.request("ping"), {});
+  await assert.rejects(client.waitForMessage((message) => message.id === "mid-read", 300), /Timed out/);
+  await assert.rejects(fs.stat(indexFile), { code: "ENOENT" });
+
+  const afterwards = parseToolJson(await client.callTool("read_shared_context", { limit: 200, format: "json" }));
+  assert.equal(afterwards.count, 2);
+  await fs.stat(indexFile);
+});
+
+test("HTTP exit and shutdown end only the calling session", async (t) => {
+  const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), "contextflowmcp-http-"));
+  t.after(() => fs.rm(tempDir, { recursive: true, force: true }));
+  const url = await startHttpServer(t, tempDir);
+
+  async function post(body, sessionId) {
+    return fetch(url, {
+      method: "POST",
+      headers: { "Content-Type": "application/json", ...(sessionId ? { "Mcp-Session-Id": sessionId } : {}) },
+      body: JSON.stringify({ jsonrpc: "2.0", ...body }),
+    });
+  }
+  async function openSession() {
+    const res = await post({ id: "init", method: "initialize", params: { protocolVersion: "2025-06-18" } });
+    return res.headers.get("mcp-session-id");
+  }
+
+  const leaving = await openSession();
+  const shuttingDown = await openSession();
+  const staying = await openSession();
+
+  assert.equal((await post({ method: "exit" }, leaving)).status, 202);
+  const shutdown = await post({ id: 1, method: "shutdown" }, shuttingDown);
+  assert.deepEqual((await shutdown.json()).result, {});
+  await new Promise((resolve) => setTimeout(resolve, 100));
+
+  assert.equal((await post({ id: 2, method: "ping" }, leaving)).status, 404);
+  assert.equal((await post({ id: 3, method: "ping" }, shuttingDown)).status, 404);
+  const pong = await post({ id: 4, method: "ping" }, staying);
+  assert.equal(pong.status, 200);
+  assert.deepEqual((await pong.json()).result, {});
+});